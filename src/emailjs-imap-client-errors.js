@@ -0,0 +1,181 @@
+// Copyright (c) 2014 Andris Reinman
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    // RFC 5530 codes for failures that might go away if the command is retried later
+    var TRANSIENT_CODES = ['UNAVAILABLE', 'INUSE'];
+
+    /**
+     * Sets up the prototype chain of an error constructor
+     *
+     * @param {Function} ErrorClass Error constructor
+     * @param {Function} Parent Constructor to inherit from
+     * @param {String} name Error name, eg. 'ImapError'
+     */
+    function inherit(ErrorClass, Parent, name) {
+        ErrorClass.prototype = Object.create(Parent.prototype);
+        ErrorClass.prototype.constructor = ErrorClass;
+        ErrorClass.prototype.name = name;
+    }
+
+    /**
+     * Base class for the errors of the IMAP client
+     *
+     * Response codes:
+     *   https://tools.ietf.org/html/rfc5530
+     *
+     * @constructor
+     * @param {String} message Error message
+     * @param {Object} [details] Optional details
+     * @param {String} [details.command] Command name, eg. 'UID FETCH'
+     * @param {String} [details.tag] Command tag
+     * @param {String} [details.code] Response code, eg. 'NONEXISTENT'
+     * @param {String} [details.serverText] Human readable text of the server response
+     */
+    function ImapError(message, details) {
+        details = details || {};
+
+        this.message = message || 'Error';
+        this.command = details.command;
+        this.tag = details.tag;
+        this.code = details.code;
+        this.serverText = details.serverText;
+        this.transient = TRANSIENT_CODES.indexOf(details.code) >= 0; // true if retrying later might succeed
+
+        if (typeof Error.captureStackTrace === 'function') {
+            Error.captureStackTrace(this, this.constructor);
+        } else {
+            this.stack = new Error(this.message).stack;
+        }
+    }
+    inherit(ImapError, Error, 'ImapError');
+
+    /**
+     * The server responded with NO, the command failed
+     *
+     * @constructor
+     */
+    function ImapNoResponseError(message, details) {
+        ImapError.call(this, message, details);
+    }
+    inherit(ImapNoResponseError, ImapError, 'ImapNoResponseError');
+
+    /**
+     * The server responded with BAD, the command was not accepted (protocol or syntax error)
+     *
+     * @constructor
+     */
+    function ImapBadResponseError(message, details) {
+        ImapError.call(this, message, details);
+    }
+    inherit(ImapBadResponseError, ImapError, 'ImapBadResponseError');
+
+    /**
+     * The credentials were rejected (AUTHENTICATIONFAILED, AUTHORIZATIONFAILED or EXPIRED)
+     *
+     * @constructor
+     */
+    function AuthenticationFailedError(message, details) {
+        ImapNoResponseError.call(this, message, details);
+    }
+    inherit(AuthenticationFailedError, ImapNoResponseError, 'AuthenticationFailedError');
+
+    /**
+     * The command would exceed a quota (OVERQUOTA)
+     *
+     * @constructor
+     */
+    function OverQuotaError(message, details) {
+        ImapNoResponseError.call(this, message, details);
+    }
+    inherit(OverQuotaError, ImapNoResponseError, 'OverQuotaError');
+
+    /**
+     * The mailbox does not exist (NONEXISTENT or TRYCREATE)
+     *
+     * @constructor
+     */
+    function NonExistentError(message, details) {
+        ImapNoResponseError.call(this, message, details);
+    }
+    inherit(NonExistentError, ImapNoResponseError, 'NonExistentError');
+
+    /**
+     * The connection was closed before the command was completed. The command
+     * might succeed over a new connection, so the error is always transient
+     *
+     * @constructor
+     */
+    function ConnectionClosedError(message, details) {
+        ImapError.call(this, message, details);
+        this.transient = true;
+    }
+    inherit(ConnectionClosedError, ImapError, 'ConnectionClosedError');
+
+    var CODE_ERRORS = {
+        'AUTHENTICATIONFAILED': AuthenticationFailedError,
+        'AUTHORIZATIONFAILED': AuthenticationFailedError,
+        'EXPIRED': AuthenticationFailedError,
+        'OVERQUOTA': OverQuotaError,
+        'NONEXISTENT': NonExistentError,
+        'TRYCREATE': NonExistentError
+    };
+
+    /**
+     * Creates an error for a tagged NO or BAD response
+     *
+     * @param {Object} response Parsed tagged response, see Imap#_processResponse
+     * @param {Object} [request] Structured request object of the command
+     * @returns {ImapError} Error that matches the response code
+     */
+    function fromResponse(response, request) {
+        var status = (response && response.command || '').toString().toUpperCase().trim();
+        var code = response && response.code;
+        var ErrorClass = status === 'BAD' ? ImapBadResponseError : (CODE_ERRORS[code] || ImapNoResponseError);
+
+        return new ErrorClass(response && response.humanReadable || 'Error', {
+            command: (request && request.command || '').toString().toUpperCase().trim() || undefined,
+            tag: response && response.tag,
+            code: code,
+            serverText: response && response.humanReadable
+        });
+    }
+
+    return {
+        ImapError: ImapError,
+        ImapNoResponseError: ImapNoResponseError,
+        ImapBadResponseError: ImapBadResponseError,
+        AuthenticationFailedError: AuthenticationFailedError,
+        OverQuotaError: OverQuotaError,
+        NonExistentError: NonExistentError,
+        ConnectionClosedError: ConnectionClosedError,
+        fromResponse: fromResponse
+    };
+}));
@@ -2,11 +2,11 @@
     'use strict';
 
     if (typeof define === 'function' && define.amd) {
-        define(['emailjs-tcp-socket', 'emailjs-imap-handler', 'emailjs-mime-codec', './emailjs-imap-client-compression'], factory);
+        define(['emailjs-tcp-socket', 'emailjs-imap-handler', 'emailjs-mime-codec', './emailjs-imap-client-compression', './emailjs-imap-client-errors'], factory);
     } else if (typeof exports === 'object') {
-        module.exports = factory(require('maimail-tcp-socket').default, require('emailjs-imap-handler'), require('emailjs-mime-codec'), require('./emailjs-imap-client-compression'), null);
+        module.exports = factory(require('maimail-tcp-socket').default, require('emailjs-imap-handler'), require('emailjs-mime-codec'), require('./emailjs-imap-client-compression'), require('./emailjs-imap-client-errors'));
     }
-}(this, function(TCPSocket, imapHandler, mimecodec, Compression) {
+}(this, function(TCPSocket, imapHandler, mimecodec, Compression, errors) {
     'use strict';
 
     //
@@ -18,8 +18,11 @@
     var MESSAGE_DEFLATE = 'deflate';
     var MESSAGE_DEFLATED_DATA_READY = 'deflated_ready';
 
-    var COMMAND_REGEX = /(\{(\d+)(\+)?\})?\r?\n/;
+    var COMMAND_REGEX = /(~?\{(\d+)(\+)?\})?\r?\n/;
+    var LITERAL_REGEX = /~?\{(\d+)(\+)?\}\r?\n$/; // literal8 (~{N}) is used for BINARY content
+    var BODY_LITERAL_REGEX = /^(BODY\[|BINARY\[|RFC822$|RFC822\.HEADER$|RFC822\.TEXT$)/i;
     var EOL = '\r\n';
+    var LF = 0x0a;
 
     /**
      * Creates a connection object to an IMAP server. Call `connect` method to inititate
@@ -32,6 +35,8 @@
      * @param {Object} [options] Optional options object
      * @param {Boolean} [options.useSecureTransport] Set to true, to use encrypted connection
      * @param {String} [options.compressionWorkerPath] offloads de-/compression computation to a web worker, this is the path to the browserified emailjs-compressor-worker.js
+     * @param {Boolean} [options.literalsAsString] Set to true, to buffer the input as a 'binary' string and to get message bodies as strings instead of Uint8Arrays
+     * @param {Boolean|Number} [options.pipelining] Set to true or to the maximum number of commands in flight, to send independent commands without waiting for the previous ones to complete
      */
     function Imap(host, port, options) {
         this.options = options || {};
@@ -52,9 +57,14 @@
         this._canSend = false; // Is it OK to send something to the server
         this._tagCounter = 0; // Counter to allow uniqueue imap tags
         this._currentCommand = false; // Current command that is waiting for response from the server
+        this._inFlight = []; // Commands that were sent and are waiting for the tagged response, more than one if pipelining
 
         this._idleTimer = false; // Timer waiting to enter idle
         this._socketTimeoutTimer = false; // Timer waiting to declare the socket dead starting from the last write
+        this.lastReceived = 0; // Timestamp of the last data received from the server
+        this._suspended = false; // Is reading from the socket suspended
+        this._canSuspend = true; // False once the socket turned out to not support suspend/resume
+        this._socketTimeoutPending = 0; // Socket timeout (ms) to arm when reading is resumed
 
         this.compressed = false; // Is the connection compressed and needs inflating/deflating
         this._workerPath = this.options.compressionWorkerPath; // The path for the compressor's worker script
@@ -65,8 +75,13 @@
         //
 
         // As the server sends data in chunks, it needs to be split into separate lines. Helps parsing the input.
-        this._incomingBuffer = '';
+        this._incomingBuffer = ''; // used with options.literalsAsString
+        this._incomingBuffers = []; // Uint8Array chunks that are not processed yet
+        this._incomingLength = 0; // Total length of the unprocessed chunks
+        this._incomingSearched = [0, 0]; // Number and total length of the leading chunks that have no LF
         this._command = '';
+        this._literals = []; // Uint8Array values of the literals in the incomplete command
+        this._commandLiterals = []; // Uint8Array values of the literals in the command being processed
         this._literalRemaining = 0;
 
         //
@@ -76,6 +91,7 @@
         this.onerror = null; // Irrecoverable error occurred. Connection to the server will be closed automatically.
         this.onready = null; // The connection to the server has been established and greeting is received
         this.onidle = null;  // There are no more commands to process
+        this.onalert = null; // The server sent an [ALERT] text that must be shown to the user
     }
 
     // Constants
@@ -99,6 +115,25 @@
      */
     Imap.prototype.TIMEOUT_SOCKET_MULTIPLIER = 0.1;
 
+    /**
+     * How many commands can be in flight if options.pipelining is true
+     */
+    Imap.prototype.PIPELINING_DEPTH = 10;
+
+    /**
+     * Commands that can be pipelined. These do not change the state of the session and do not depend
+     * on the selected mailbox, so the result is the same no matter in which order the server runs these.
+     * STATUS responses are matched to the commands by the mailbox name, other commands that expect
+     * the same untagged responses, eg. two LIST commands, are not in flight at the same time
+     *
+     * Pipelining details:
+     *   https://tools.ietf.org/html/rfc3501#section-5.5
+     */
+    // Commands that change the state of the connection, these can not be aborted once sent
+    Imap.prototype.STATE_CHANGING_COMMANDS = ['SELECT', 'EXAMINE', 'CLOSE', 'UNSELECT', 'LOGIN', 'AUTHENTICATE', 'STARTTLS', 'COMPRESS', 'ENABLE', 'LOGOUT'];
+
+    Imap.prototype.PIPELINING_COMMANDS = ['CAPABILITY', 'NOOP', 'LIST', 'LSUB', 'STATUS', 'NAMESPACE', 'GETQUOTA', 'GETQUOTAROOT', 'GETACL', 'LISTRIGHTS', 'MYRIGHTS', 'GETMETADATA'];
+
     // PUBLIC METHODS
 
     /**
@@ -113,6 +148,9 @@
      */
     Imap.prototype.connect = function(Socket) {
         return new Promise((resolve, reject) => {
+            this._suspended = false;
+            this._canSuspend = true;
+            this._socketTimeoutPending = 0;
             this.socket = (Socket || TCPSocket).open(this.host, this.port, {
                 binaryType: 'arraybuffer',
                 useSecureTransport: this.secureMode,
@@ -127,7 +165,7 @@
             } catch (E) {}
 
             // Connection closing unexpected is an error
-            this.socket.onclose = () => this._onError(new Error('Socket closed unexceptedly!'));
+            this.socket.onclose = () => this._onError(new errors.ConnectionClosedError('Socket closed unexceptedly!'));
             this.socket.ondata = (evt) => {
               try {
                 this._onData(evt);
@@ -159,12 +197,14 @@
             var tearDown = () => {
                 this._clientQueue = [];
                 this._currentCommand = false;
+                this._inFlight = [];
 
                 clearTimeout(this._idleTimer);
                 this._idleTimer = null;
 
                 clearTimeout(this._socketTimeoutTimer);
                 this._socketTimeoutTimer = null;
+                this._socketTimeoutPending = 0;
 
                 if (this.socket) {
                     // remove all listeners
@@ -218,6 +258,68 @@
         this.socket.upgradeToSecure();
     };
 
+    /**
+     * Stops reading from the socket until #resume is called. Used when the received data is
+     * consumed slower than it arrives. Not every socket implementation supports this (eg.
+     * emailjs-tcp-socket throws 'API not supported'), the data keeps coming in if the socket
+     * can not be suspended. This is detected on the first attempt, later calls return false
+     * right away.
+     *
+     * The socket timeout is stopped while reading is suspended, as the server response can
+     * not be read meanwhile, and armed again by #resume.
+     *
+     * @returns {Boolean} True if the socket is suspended
+     */
+    Imap.prototype.suspend = function() {
+        if (this._suspended || !this._canSuspend || !this.socket) {
+            return this._suspended;
+        }
+
+        if (typeof this.socket.suspend !== 'function' || typeof this.socket.resume !== 'function') {
+            this._canSuspend = false;
+            this.logger.debug('Socket does not support suspending, received data is buffered');
+            return false;
+        }
+
+        try {
+            this.socket.suspend();
+        } catch (E) {
+            this._canSuspend = false;
+            this.logger.debug('Socket does not support suspending, received data is buffered', E);
+            return false;
+        }
+
+        this._suspended = true;
+        if (this._socketTimeoutTimer) {
+            clearTimeout(this._socketTimeoutTimer);
+            this._socketTimeoutTimer = null;
+            this._socketTimeoutPending = this.TIMEOUT_SOCKET_LOWER_BOUND;
+        }
+
+        return true;
+    };
+
+    /**
+     * Continues reading from the socket after #suspend
+     */
+    Imap.prototype.resume = function() {
+        if (!this._suspended) {
+            return;
+        }
+
+        this._suspended = false;
+        try {
+            this.socket.resume();
+        } catch (E) {
+            this.logger.debug('Socket can not be resumed', E);
+        }
+
+        if (this._socketTimeoutPending) {
+            this._armSocketTimeout(this._socketTimeoutPending);
+            this._socketTimeoutPending = 0;
+        }
+    };
+
     /**
      * Schedules a command to be sent to the server.
      * See https://github.com/Kreata/imapHandler for request structure.
@@ -227,6 +329,20 @@
      * the value for it is 'FETCH' then the reponse includes 'payload.FETCH' property
      * that is an array including all listed * FETCH responses.
      *
+     * If options.untaggedHandler is set, accepted untagged responses are passed to
+     * this function as soon as these are parsed instead of collecting these to the payload.
+     *
+     * If options.continuationHandler is set, it is invoked with the text of every "+"-tagged
+     * continuation request and the returned string (or a Promise for it) is sent as the next line.
+     *
+     * Use options.timeout (milliseconds) and options.signal (AbortSignal) to cancel the command.
+     * If the command is still queued, it is removed from the queue. If the command was already
+     * sent, the rule is as follows: on abort the promise is rejected immediately, the connection
+     * stays usable and the server response is discarded when it arrives. Commands that change the
+     * state of the connection (see STATE_CHANGING_COMMANDS) ignore the abort once sent and complete
+     * with the server response. On timeout the server is considered unresponsive and the connection
+     * is closed (see onerror).
+     *
      * @param {Object} request Structured request object
      * @param {Array} acceptUntagged a list of untagged responses that will be included in 'payload' property
      * @param {Object} [options] Optional data for the command payload
@@ -250,14 +366,12 @@
                 request: request,
                 payload: acceptUntagged.length ? {} : undefined,
                 callback: (response) => {
+                    this._clearCommandTimeout(data);
+
                     if (this.isError(response)) {
                         return reject(response);
                     } else if (['NO', 'BAD'].indexOf((response && response.command || '').toString().toUpperCase().trim()) >= 0) {
-                        var error = new Error(response.humanReadable || 'Error');
-                        if (response.code) {
-                            error.code = response.code;
-                        }
-                        return reject(error);
+                        return reject(errors.fromResponse(response, request));
                     }
 
                     resolve(response);
@@ -269,6 +383,27 @@
 
             acceptUntagged.forEach((command) => data.payload[command] = []);
 
+            // the command might be moved to another connection with #requeueCommands
+            data.connection = this;
+
+            if (data.signal) {
+                if (data.signal.aborted) {
+                    return reject(this._createAbortError(data.signal));
+                }
+                data.onabort = () => data.connection._cancelCommand(data, this._createAbortError(data.signal));
+                data.signal.addEventListener('abort', data.onabort);
+            }
+
+            if (data.timeout) {
+                data.timeoutTimer = setTimeout(() => {
+                    data.connection._cancelCommand(data, new errors.ImapError('Command timed out', {
+                        command: request.command,
+                        tag: data.tag,
+                        code: 'TIMEOUT'
+                    }), true);
+                }, data.timeout);
+            }
+
             // if we're in priority mode (i.e. we ran commands in a precheck),
             // queue any commands BEFORE the command that contianed the precheck,
             // otherwise just queue command as usual
@@ -287,6 +422,126 @@
         });
     };
 
+    /**
+     * Queues commands that were taken from another connection, eg. the queued commands
+     * reported by onerror. The commands get new tags and prechecks that were already
+     * started are run again, the original promises resolve as usual.
+     *
+     * Commands that were queued by a precheck (tags ending with .p) can not be moved
+     * as the precheck is bound to the old connection, these are rejected.
+     *
+     * @param {Array} commands Command objects
+     */
+    Imap.prototype.requeueCommands = function(commands) {
+        [].concat(commands || []).forEach((data) => {
+            if (data.cancelled) {
+                return;
+            }
+
+            if (/\.p$/.test(data.tag)) {
+                data.callback(new errors.ConnectionClosedError('Connection was reset', {
+                    command: data.request.command,
+                    tag: data.tag
+                }));
+                return;
+            }
+
+            data.tag = data.request.tag = 'W' + (++this._tagCounter);
+            data.connection = this;
+            if (data.prechecked && !data.precheck) {
+                data.precheck = data.prechecked;
+            }
+
+            this._clientQueue.push(data);
+        });
+
+        if (this._canSend) {
+            this._sendRequest();
+        }
+    };
+
+    /**
+     * Checks if there are commands waiting to be sent or waiting for a response
+     *
+     * @returns {Boolean} True if the connection is busy
+     */
+    Imap.prototype.hasPendingCommands = function() {
+        return this._clientQueue.length > 0 || this._inFlight.length > 0;
+    };
+
+    /**
+     * Cancels a command because of a timeout or an abort signal. A queued command
+     * is removed from the queue. If the command is already in progress, it is either
+     * rejected and its response is discarded later (abort) or the connection is closed (timeout).
+     * An abort is ignored for a state changing command in progress, as the server changes
+     * its state anyway, eg. switches the mailbox for SELECT
+     *
+     * @param {Object} data Command object
+     * @param {Error} error Error to reject the command with
+     * @param {Boolean} [closeConnection] If true and the command is in progress, closes the connection
+     */
+    Imap.prototype._cancelCommand = function(data, error, closeConnection) {
+        var index = this._clientQueue.indexOf(data);
+
+        if (index >= 0) {
+            this.logger.debug('Removing', data.tag, 'from the queue:', error.message);
+            this._clientQueue.splice(index, 1);
+            data.callback(error);
+            return;
+        }
+
+        if (data.cancelled) {
+            return;
+        }
+
+        var inProgress = this._currentCommand === data || this._inFlight.indexOf(data) >= 0;
+
+        if (inProgress && closeConnection) {
+            // the server did not respond in time, the connection is not usable anymore
+            this._onError(error);
+            return;
+        }
+
+        if (inProgress && this.STATE_CHANGING_COMMANDS.indexOf((data.request.command || '').toString().toUpperCase().trim()) >= 0) {
+            // discarding the response would leave the client out of sync with the server
+            this.logger.debug('Can not abort', data.tag, 'after it was sent, waiting for the response');
+            return;
+        }
+
+        // the command is in progress or waiting for a reconnection
+        this.logger.debug('Discarding the response for', data.tag, ':', error.message);
+        data.callback(error);
+        data.cancelled = true;
+        data.callback = () => {};
+    };
+
+    /**
+     * Clears the timer and the abort listener of a command
+     *
+     * @param {Object} data Command object
+     */
+    Imap.prototype._clearCommandTimeout = function(data) {
+        clearTimeout(data.timeoutTimer);
+        data.timeoutTimer = null;
+
+        if (data.signal && data.onabort) {
+            data.signal.removeEventListener('abort', data.onabort);
+            data.onabort = null;
+        }
+    };
+
+    /**
+     * Creates an error for an aborted command
+     *
+     * @param {Object} signal AbortSignal
+     * @returns {Error} Error with code ABORTED
+     */
+    Imap.prototype._createAbortError = function(signal) {
+        var error = this.isError(signal && signal.reason) ? signal.reason : new Error('Command aborted');
+        error.code = error.code || 'ABORTED';
+        return error;
+    };
+
     /**
      * Send data to the TCP socket
      * Arms a timeout waiting for a response from the server.
@@ -297,8 +552,12 @@
         var buffer = mimecodec.toTypedArray(str).buffer,
             timeout = this.TIMEOUT_SOCKET_LOWER_BOUND + Math.floor(buffer.byteLength * this.TIMEOUT_SOCKET_MULTIPLIER);
 
-        clearTimeout(this._socketTimeoutTimer); // clear pending timeouts
-        this._socketTimeoutTimer = setTimeout(() => this._onError(new Error(this.options.sessionId + ' Socket timed out!')), timeout); // arm the next timeout
+        if (this._suspended) {
+            // the response can not be read while suspended, the timeout is armed by #resume
+            this._socketTimeoutPending = Math.max(this._socketTimeoutPending, timeout);
+        } else {
+            this._armSocketTimeout(timeout);
+        }
 
         if (this.compressed) {
             this._sendCompressed(buffer);
@@ -307,6 +566,17 @@
         }
     };
 
+    /**
+     * Arms a timeout waiting for data from the server, the connection is closed if nothing
+     * is received in time. Replaces the previous timeout.
+     *
+     * @param {Number} timeout Timeout in milliseconds
+     */
+    Imap.prototype._armSocketTimeout = function(timeout) {
+        clearTimeout(this._socketTimeoutTimer); // clear pending timeouts
+        this._socketTimeoutTimer = setTimeout(() => this._onError(new errors.ConnectionClosedError(this.options.sessionId + ' Socket timed out!')), timeout); // arm the next timeout
+    };
+
     /**
      * Set a global handler for an untagged response. If currently processed command
      * has not listed untagged command it is forwarded to the global handler. Useful
@@ -339,12 +609,21 @@
 
         this.logger.error(error);
 
+        // the commands in progress fail, commands that were not sent yet are handed
+        // over to the onerror handler, these can be rejected or sent over a new connection
+        var current = this._inFlight.filter((data) => data !== this._currentCommand).concat(this._currentCommand || []);
+        var queued = this._clientQueue;
+        this._currentCommand = false;
+        this._inFlight = [];
+        this._clientQueue = [];
+
+        var done = () => {
+            current.forEach((data) => data.callback && data.callback(error));
+            this.onerror && this.onerror(error, queued);
+        };
+
         // always call onerror callback, no matter if close() succeeds or fails
-        this.close().then(() => {
-            this.onerror && this.onerror(error);
-        }, () => {
-            this.onerror && this.onerror(error);
-        });
+        this.close().then(done, done);
     };
 
     /**
@@ -358,12 +637,146 @@
     Imap.prototype._onData = function(evt) {
         clearTimeout(this._socketTimeoutTimer); // clear the timeout, the socket is still up
         this._socketTimeoutTimer = null;
+        this._socketTimeoutPending = 0;
+        this.lastReceived = Date.now();
 
-        this._incomingBuffer += mimecodec.fromTypedArray(evt.data); // append to the incoming buffer
+        if (this.options.literalsAsString) {
+            this._incomingBuffer += mimecodec.fromTypedArray(evt.data); // append to the incoming buffer
+        } else {
+            this._appendIncomingBuffer(ArrayBuffer.isView(evt.data) ? new Uint8Array(evt.data.buffer, evt.data.byteOffset, evt.data.byteLength) : new Uint8Array(evt.data));
+        }
         this._parseIncomingCommands(this._iterateIncomingBuffer()); // Consume the incoming buffer
     };
 
+    /**
+     * Splits the incoming data into complete commands. Literal values are not included
+     * in the yielded command string, the literal is replaced with an empty one ({0})
+     * and the octets are kept in this._commandLiterals until the command is processed.
+     * The text parts of the command are converted to 'binary' strings.
+     */
     Imap.prototype._iterateIncomingBuffer = function* () {
+        if (this.options.literalsAsString) {
+            yield* this._iterateIncomingString();
+            return;
+        }
+
+        var index, line, match;
+        while (this._incomingLength) {
+            if (this._literalRemaining) {
+                if (this._literalRemaining > this._incomingLength) {
+                    // we're expecting more incoming literal data than available, wait for the next chunk
+                    return;
+                }
+
+                // take the literal data from the chunks, parse the remaining data in the next iteration
+                this._literals.push(this._takeIncomingBuffer(this._literalRemaining));
+                this._literalRemaining = 0;
+                continue;
+            }
+
+            index = this._findIncomingLineEnd();
+            if (index < 0) {
+                // no complete lines, wait for the next chunk
+                return;
+            }
+
+            line = mimecodec.fromTypedArray(this._takeIncomingBuffer(index + 1));
+
+            if ((match = line.match(LITERAL_REGEX))) {
+                // we have a literal data command, parse the literal data in the next iteration
+                this._literalRemaining = Number(match[1]);
+                this._command += line.substr(0, match.index) + '{0}' + EOL;
+                if (!this._literalRemaining) {
+                    this._literals.push(new Uint8Array(0));
+                }
+                continue;
+            }
+
+            // we have a complete command, pass on to processing
+            line = this._command + line.replace(/\r?\n$/, '');
+            this._commandLiterals = this._literals;
+            this._command = ''; // clear for next iteration
+            this._literals = [];
+            yield line;
+        }
+    };
+
+    /**
+     * Adds a received chunk to the unprocessed incoming data
+     *
+     * @param {Uint8Array} chunk Received data
+     */
+    Imap.prototype._appendIncomingBuffer = function(chunk) {
+        if (chunk.length) {
+            this._incomingBuffers.push(chunk);
+            this._incomingLength += chunk.length;
+        }
+    };
+
+    /**
+     * Finds the first LF in the unprocessed incoming data. Chunks that were searched
+     * before without a match are skipped, so the data is not searched again and again
+     * while a long line arrives in many chunks
+     *
+     * @return {Number} Position of the LF or -1 if there is no complete line yet
+     */
+    Imap.prototype._findIncomingLineEnd = function() {
+        var i, index;
+
+        for (i = this._incomingSearched[0]; i < this._incomingBuffers.length; i++) {
+            index = Array.prototype.indexOf.call(this._incomingBuffers[i], LF);
+            if (index >= 0) {
+                return this._incomingSearched[1] + index;
+            }
+            this._incomingSearched = [i + 1, this._incomingSearched[1] + this._incomingBuffers[i].length];
+        }
+
+        return -1;
+    };
+
+    /**
+     * Removes octets from the beginning of the unprocessed incoming data. The chunks
+     * are only copied if the octets span more than one chunk
+     *
+     * @param {Number} length Number of octets to take, not more than this._incomingLength
+     * @return {Uint8Array} The octets
+     */
+    Imap.prototype._takeIncomingBuffer = function(length) {
+        var parts = [];
+        var remaining = length;
+        var buffer, chunk, i, pos = 0;
+
+        for (i = 0; remaining > 0; i++) {
+            chunk = this._incomingBuffers[i];
+            if (chunk.length > remaining) {
+                parts.push(chunk.subarray(0, remaining));
+                this._incomingBuffers[i] = chunk.subarray(remaining);
+                break;
+            }
+            parts.push(chunk);
+            remaining -= chunk.length;
+        }
+
+        this._incomingBuffers.splice(0, i);
+        this._incomingLength -= length;
+        this._incomingSearched = [0, 0];
+
+        if (parts.length === 1) {
+            return parts[0];
+        }
+
+        buffer = new Uint8Array(length);
+        parts.forEach((part) => {
+            buffer.set(part, pos);
+            pos += part.length;
+        });
+        return buffer;
+    };
+
+    /**
+     * Splits the incoming 'binary' string into complete commands, used with options.literalsAsString
+     */
+    Imap.prototype._iterateIncomingString = function* () {
         var match;
         // The input is interesting as long as there are complete lines
         while ((match = this._incomingBuffer.match(COMMAND_REGEX))) {
@@ -386,7 +799,7 @@
                 // take command portion (match.index) including the literal data octet count (match[0].length)
                 // from the chunk, parse the literal data in the next iteration
                 this._literalRemaining = Number(match[2]);
-                this._command += this._incomingBuffer.substr(0, match.index + match[0].length);
+                this._command += this._incomingBuffer.substr(0, match.index + match[0].length).replace(/~(\{\d+\+?\}\r?\n)$/, '$1');
                 this._incomingBuffer = this._incomingBuffer.substr(match.index + match[0].length);
                 continue;
             }
@@ -415,8 +828,7 @@
              * The "+"-tagged response is a special case:
              * Either the server can asks for the next chunk of data, e.g. for the AUTHENTICATE command.
              *
-             * Or there was an error in the XOAUTH2 authentication, for which SASL initial client response extension
-             * dictates the client sends an empty EOL response to the challenge containing the error message.
+             * If the command has a continuationHandler, the handler decides what to send, e.g. for multi-step SASL exchanges.
              *
              * Details on "+"-tagged response:
              *   https://tools.ietf.org/html/rfc3501#section-2.2.1
@@ -428,8 +840,8 @@
                     var chunk = this._currentCommand.data.shift();
                     chunk += (!this._currentCommand.data.length ? EOL : ''); // EOL if there's nothing more to send
                     this.send(chunk);
-                } else if (this._currentCommand.errorResponseExpectsEmptyLine) {
-                    this.send(EOL); // XOAUTH2 empty response, error will be reported when server continues with NO response
+                } else if (typeof this._currentCommand.continuationHandler === 'function') {
+                    this._handleContinuation(this._currentCommand, command.replace(/^\+ ?/, ''));
                 }
                 continue;
             }
@@ -443,17 +855,66 @@
                 return this._onError(e);
             }
 
+            if (this._commandLiterals.length) {
+                this._restoreLiterals(response, this._commandLiterals);
+                this._commandLiterals = [];
+            }
+
             this._processResponse(response);
+
+            if (response.code === 'ALERT') {
+                this.onalert && this.onalert(response);
+            }
+
+            if (response.tag === '*' && (response.command || '').toUpperCase() === 'BYE' && !this._isLoggingOut()) {
+                // the server is going to close the connection, fail with the reason it gave
+                return this._onError(new errors.ConnectionClosedError(response.humanReadable || 'Server closed the connection', {
+                    code: response.code,
+                    serverText: response.humanReadable
+                }));
+            }
+
             this._handleResponse(response);
 
             // first response from the server, connection is now usable
             if (!this._connectionReady) {
                 this._connectionReady = true;
-                this.onready && this.onready();
+                this.onready && this.onready(response);
             }
         }
     };
 
+    /**
+     * Checks if the command in progress is LOGOUT, in which case an untagged BYE is expected
+     *
+     * @returns {Boolean} True if the connection is being logged out
+     */
+    Imap.prototype._isLoggingOut = function() {
+        var request = this._currentCommand && this._currentCommand.request;
+        return !!request && (request.command || '').toString().toUpperCase() === 'LOGOUT';
+    };
+
+    /**
+     * Passes the text of a "+"-tagged continuation request to the continuation handler of the
+     * command and sends the returned line to the server. If the handler fails, the exchange is
+     * cancelled with "*" and the server is expected to fail the command.
+     *
+     * @param {Object} command Current command object
+     * @param {String} text Continuation request text without the "+" tag
+     */
+    Imap.prototype._handleContinuation = function(command, text) {
+        Promise.resolve().then(() => command.continuationHandler(text)).then((line) => {
+            if (this._currentCommand === command) {
+                this.send((line || '') + EOL);
+            }
+        }).catch((err) => {
+            this.logger.error('Continuation failed', err);
+            if (this._currentCommand === command) {
+                this.send('*' + EOL);
+            }
+        });
+    };
+
     /**
      * Feeds a parsed response object to an appropriate handler
      *
@@ -461,28 +922,46 @@
      */
     Imap.prototype._handleResponse = function(response) {
         var command = (response && response.command || '').toUpperCase().trim();
+        var current = this._currentCommand;
+
+        if (this._inFlight.length) {
+            // pipelined commands never accept the same untagged responses, so the response belongs
+            // to the command with the matching tag or to the only one in flight that accepts it
+            current = this._inFlight.filter((data) => response.tag === '*' ? this._acceptsUntagged(data, response) : response.tag === data.tag)[0] || current;
+        }
 
-        if (!this._currentCommand) {
+        if (!current) {
             // unsolicited untagged response
             if (response.tag === '*' && command in this._globalAcceptUntagged) {
                 this._globalAcceptUntagged[command](response);
                 this._canSend = true;
                 this._sendRequest();
             }
-        } else if (this._currentCommand.payload && response.tag === '*' && command in this._currentCommand.payload) {
+        } else if (response.tag === '*' && this._acceptsUntagged(current, response)) {
             // expected untagged response
-            this._currentCommand.payload[command].push(response);
+            if (current.cancelled) {
+                // the command was aborted, nobody is waiting for the result
+                return;
+            } else if (typeof current.untaggedHandler === 'function') {
+                // streamed, do not keep the response in memory
+                current.untaggedHandler(response);
+            } else {
+                current.payload[command].push(response);
+            }
         } else if (response.tag === '*' && command in this._globalAcceptUntagged) {
             // unexpected untagged response
             this._globalAcceptUntagged[command](response);
             this._canSend = true;
             this._sendRequest();
-        } else if (response.tag === this._currentCommand.tag) {
+        } else if (response.tag === current.tag) {
             // tagged response
-            if (this._currentCommand.payload && Object.keys(this._currentCommand.payload).length) {
-                response.payload = this._currentCommand.payload;
+            if (current.payload && Object.keys(current.payload).length) {
+                response.payload = current.payload;
             }
-            this._currentCommand.callback(response);
+            if (this._inFlight.indexOf(current) >= 0) {
+                this._inFlight.splice(this._inFlight.indexOf(current), 1);
+            }
+            current.callback(response);
             this._canSend = true;
             this._sendRequest();
         }
@@ -493,19 +972,30 @@
      */
     Imap.prototype._sendRequest = function() {
         if (!this._clientQueue.length) {
-            return this._enterIdle();
+            // pipelined commands might still be waiting for the response
+            if (!this._inFlight.length) {
+                this._enterIdle();
+            }
+            return;
         }
         this._clearIdle();
 
+        var command = this._clientQueue[0];
+        if (this._inFlight.length && !this._canPipeline(command)) {
+            // wait until the commands in flight are completed
+            this._canSend = false;
+            return;
+        }
+
         // an operation was made in the precheck, no need to restart the queue manually
         this._restartQueue = false;
 
-        var command = this._clientQueue[0];
         if (typeof command.precheck === 'function') {
             // remember the context
             var context = command;
             var precheck = context.precheck;
             delete context.precheck;
+            context.prechecked = precheck; // allows to run the precheck again if the command is requeued
 
             // we need to restart the queue handling if no operation was made in the precheck
             this._restartQueue = true;
@@ -536,6 +1026,7 @@
 
         this._canSend = false;
         this._currentCommand = this._clientQueue.shift();
+        this._inFlight.push(this._currentCommand);
 
         try {
             this._currentCommand.data = imapHandler.compiler(this._currentCommand.request, true);
@@ -548,9 +1039,125 @@
         var data = this._currentCommand.data.shift();
 
         this.send(data + (!this._currentCommand.data.length ? EOL : ''));
+
+        if (this._isPipelineable(this._currentCommand)) {
+            // the next command might not need to wait for the response
+            this._canSend = true;
+            return this._sendRequest();
+        }
+
         return this.waitDrain;
     };
 
+    /**
+     * Checks if a command can be sent while other commands are in flight. All of the commands
+     * must be pipelineable and must not accept the same untagged responses, otherwise the
+     * untagged responses could not be matched to the commands.
+     *
+     * @param {Object} data Command object
+     * @returns {Boolean} True if the command can be sent
+     */
+    Imap.prototype._canPipeline = function(data) {
+        var depth = this.options.pipelining === true ? this.PIPELINING_DEPTH : Number(this.options.pipelining) || 0;
+        var accepts = Object.keys(data.payload || {});
+        var mailbox = this._getStatusMailbox(data);
+
+        return this._inFlight.length < depth && this._isPipelineable(data) && this._inFlight.every((pending) => {
+            if (!this._isPipelineable(pending)) {
+                return false;
+            }
+
+            // STATUS responses for different mailboxes can be told apart
+            var pendingMailbox = this._getStatusMailbox(pending);
+            if (mailbox !== false && pendingMailbox !== false && !this._isSameMailbox(mailbox, pendingMailbox)) {
+                return true;
+            }
+
+            return !accepts.some((command) => pending.payload && command in pending.payload);
+        });
+    };
+
+    /**
+     * Checks if an untagged response is expected by a command. A STATUS command only
+     * accepts the STATUS response for its own mailbox, with NOTIFY the server might
+     * send STATUS responses for other mailboxes at any time.
+     *
+     * @param {Object} data Command object
+     * @param {Object} response Parsed untagged response
+     * @returns {Boolean} True if the response belongs to the command
+     */
+    Imap.prototype._acceptsUntagged = function(data, response) {
+        var command = (response && response.command || '').toUpperCase().trim();
+        var mailbox = this._getStatusMailbox(data);
+
+        if (!data.payload || !(command in data.payload)) {
+            return false;
+        }
+
+        if (command !== 'STATUS' || mailbox === false) {
+            return true;
+        }
+
+        return this._isSameMailbox(mailbox, ([].concat(response.attributes || [])[0] || {}).value);
+    };
+
+    /**
+     * Returns the mailbox name of a STATUS command
+     *
+     * @param {Object} data Command object
+     * @returns {String} Mailbox name or false if the command is not STATUS
+     */
+    Imap.prototype._getStatusMailbox = function(data) {
+        var request = data.request || {};
+        var mailbox;
+
+        if ((request.command || '').toString().toUpperCase().trim() !== 'STATUS') {
+            return false;
+        }
+
+        mailbox = [].concat(request.attributes || [])[0];
+        return (mailbox && typeof mailbox === 'object' ? mailbox.value : mailbox || '').toString();
+    };
+
+    /**
+     * Checks if two mailbox names refer to the same mailbox, INBOX is case-insensitive
+     *
+     * @param {String} a Mailbox name
+     * @param {String} b Mailbox name
+     * @returns {Boolean} True if the names are the same
+     */
+    Imap.prototype._isSameMailbox = function(a, b) {
+        a = (a || '').toString();
+        b = (b || '').toString();
+
+        return a === b || (a.toUpperCase() === 'INBOX' && b.toUpperCase() === 'INBOX');
+    };
+
+    /**
+     * Checks if the command type is safe to pipeline. Commands with prechecks, literals or
+     * continuation handlers are always sent alone as these depend on the state of the connection.
+     * The number of chunks of the compiled request is stored as data.chunkCount, as the check
+     * runs again for every command that is queued after this one.
+     *
+     * @param {Object} data Command object
+     * @returns {Boolean} True if the command is safe to pipeline
+     */
+    Imap.prototype._isPipelineable = function(data) {
+        if (!this.options.pipelining || data.precheck || data.prechecked || data.ctx || data.continuationHandler) {
+            return false;
+        }
+
+        if (this.PIPELINING_COMMANDS.indexOf((data.request.command || '').toString().toUpperCase().trim()) < 0) {
+            return false;
+        }
+
+        // literals wait for a continuation request from the server
+        if (typeof data.chunkCount !== 'number') {
+            data.chunkCount = imapHandler.compiler(data.request, true).length;
+        }
+        return data.chunkCount === 1;
+    };
+
     /**
      * Emits onidle, noting to do currently
      */
@@ -624,6 +1231,10 @@
             });
 
             key = option.shift();
+            if (key === 'METADATA' && option.length) {
+                // METADATA codes are nested, eg. [METADATA LONGENTRIES 2199] becomes {code: 'LONGENTRIES', longentries: '2199'}
+                key = option.shift();
+            }
             response.code = key;
 
             if (option.length === 1) {
@@ -634,6 +1245,43 @@
         }
     };
 
+    /**
+     * Puts the octets of the literals back to the parsed response. Message bodies are
+     * set as Uint8Array values, every other literal is converted to a 'binary' string
+     *
+     * @param {Object} response Parsed response with empty literals
+     * @param {Array} literals Uint8Array values of the literals in the order of appearance
+     */
+    Imap.prototype._restoreLiterals = function(response, literals) {
+        literals = [].concat(literals);
+
+        var walk = (nodes) => {
+            (nodes || []).forEach((node, i) => {
+                if (Array.isArray(node)) {
+                    return walk(node);
+                }
+
+                if (!node || typeof node !== 'object') {
+                    return;
+                }
+
+                if (node.section) {
+                    walk(node.section);
+                }
+
+                if (node.type === 'LITERAL') {
+                    var value = literals.shift() || new Uint8Array(0);
+                    var key = nodes[i - 1];
+                    // the parser does not know BINARY sections, so BINARY[1] is an atom without a section
+                    var isBody = key && key.type === 'ATOM' && BODY_LITERAL_REGEX.test(key.value + (key.section ? '[' : ''));
+                    node.value = isBody ? value : mimecodec.fromTypedArray(value);
+                }
+            });
+        };
+
+        walk(response && response.attributes);
+    };
+
     /**
      * Checks if a value is an Error object
      *
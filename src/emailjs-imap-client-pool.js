@@ -0,0 +1,321 @@
+// Copyright (c) 2014 Andris Reinman
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    /**
+     * Manages a set of authenticated connections with the same options, so that several
+     * mailboxes can be used in parallel. IMAP allows only one selected mailbox per connection,
+     * so work is routed by mailbox path: a task for a mailbox runs on the connection that
+     * has it selected, tasks for the same mailbox run one after another.
+     *
+     * Connections are opened when needed, up to options.maxConnections. A connection that
+     * fails (see Client#onerror) is removed from the pool and replaced by a new one when
+     * there is work to do. Tasks are not retried, a task that was running on the failed
+     * connection is rejected with the error of the command that failed.
+     *
+     * Use ImapClient.ClientPool, the Client constructor is set by the client module.
+     *
+     * @constructor
+     *
+     * @param {String} [host='localhost'] Hostname to conenct to
+     * @param {Number} [port=143] Port number to connect to
+     * @param {Object} [options] Client options, see Client
+     * @param {Number} [options.maxConnections=4] Maximum number of connections to open
+     */
+    function ClientPool(host, port, options) {
+        this.host = host;
+        this.port = port;
+        this.options = options || {};
+        this.maxConnections = Number(this.options.maxConnections) || 4;
+
+        // Event placeholders
+        this.onerror = null; // A connection failed and was removed from the pool
+
+        this._connections = []; // Open connections {client, ready, busy, lastUsed}
+        this._tasks = []; // Tasks waiting for a connection
+        this._closed = false;
+    }
+
+    /**
+     * Client constructor, set by the client module
+     */
+    ClientPool.prototype.Client = null;
+
+    /**
+     * Runs a task with a connection that has the mailbox selected. The mailbox is selected
+     * with the given options if it is not selected on the connection yet.
+     *
+     * @param {String} path Full path to mailbox
+     * @param {Function} fn Task function, invoked with the Client instance, returns a Promise
+     * @param {Object} [options] Options for Client#selectMailbox
+     * @returns {Promise} Promise with the result of the task
+     */
+    ClientPool.prototype.withMailbox = function(path, fn, options) {
+        return this._enqueue({
+            path: path,
+            options: options || {},
+            fn: fn
+        });
+    };
+
+    /**
+     * Runs a task that does not depend on the selected mailbox, eg. listing mailboxes,
+     * with any connection that is not busy.
+     *
+     * @param {Function} fn Task function, invoked with the Client instance, returns a Promise
+     * @returns {Promise} Promise with the result of the task
+     */
+    ClientPool.prototype.withClient = function(fn) {
+        return this._enqueue({
+            path: false,
+            fn: fn
+        });
+    };
+
+    /**
+     * Logs out all connections and rejects the tasks that are still waiting
+     *
+     * @returns {Promise} Resolves when all connections are closed
+     */
+    ClientPool.prototype.logout = function() {
+        return this._shutdown((client) => client.logout().catch(() => client.close()));
+    };
+
+    /**
+     * Force-closes all connections and rejects the tasks that are still waiting
+     *
+     * @returns {Promise} Resolves when all connections are closed
+     */
+    ClientPool.prototype.close = function() {
+        return this._shutdown((client) => client.close());
+    };
+
+    /**
+     * Closes the pool
+     *
+     * @param {Function} close Closes a client, returns a Promise
+     * @returns {Promise} Resolves when all connections are closed
+     */
+    ClientPool.prototype._shutdown = function(close) {
+        var connections = this._connections;
+        var tasks = this._tasks;
+
+        this._closed = true;
+        this._connections = [];
+        this._tasks = [];
+
+        tasks.forEach((task) => task.reject(new Error('Connection pool closed')));
+
+        return Promise.all(connections.map((connection) => {
+            connection.client.onerror = null;
+            return connection.ready.then(() => close(connection.client)).catch(() => {});
+        })).then(() => {});
+    };
+
+    /**
+     * Queues a task and runs it as soon as a connection is available
+     *
+     * @param {Object} task Task object {path, options, fn}
+     * @returns {Promise} Promise with the result of the task
+     */
+    ClientPool.prototype._enqueue = function(task) {
+        if (this._closed) {
+            return Promise.reject(new Error('Connection pool closed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+            this._tasks.push(task);
+            this._dispatch();
+        });
+    };
+
+    /**
+     * Starts the waiting tasks that have a connection available
+     */
+    ClientPool.prototype._dispatch = function() {
+        this._tasks.slice().forEach((task) => {
+            var connection = this._findConnection(task);
+            if (connection) {
+                this._tasks.splice(this._tasks.indexOf(task), 1);
+                this._run(connection, task);
+            }
+        });
+    };
+
+    /**
+     * Finds a connection for a task. A connection that has the mailbox selected is always
+     * used for the mailbox, even if it has to be waited for. Otherwise an idle connection
+     * without a selected mailbox is used, or a new connection is opened. Only when the
+     * limit is reached the least recently used idle connection with another mailbox
+     * selected is taken over, so that selected mailboxes are kept as long as possible.
+     * Tasks without a mailbox do not change the selection and use any idle connection.
+     *
+     * @param {Object} task Task object
+     * @returns {Object} Connection object or null if the task has to wait
+     */
+    ClientPool.prototype._findConnection = function(task) {
+        var sticky = task.path && this._connections.filter((connection) => this._getSelected(connection) === task.path)[0];
+        if (sticky) {
+            return !sticky.busy ? sticky : null;
+        }
+
+        var idle = this._connections.filter((connection) => !connection.busy).sort((a, b) => a.lastUsed - b.lastUsed);
+        var unselected = idle.filter((connection) => !this._getSelected(connection))[0];
+        if (unselected || (!task.path && idle.length)) {
+            return unselected || idle[0];
+        }
+
+        if (this._connections.length < this.maxConnections) {
+            return this._openConnection();
+        }
+
+        return idle[0] || null;
+    };
+
+    /**
+     * Returns the mailbox that is selected or being selected on a connection
+     *
+     * @param {Object} connection Connection object
+     * @returns {String} Path of the selected mailbox or false
+     */
+    ClientPool.prototype._getSelected = function(connection) {
+        return connection.path || connection.client._selectedMailbox || false;
+    };
+
+    /**
+     * Opens a new connection and adds it to the pool
+     *
+     * @returns {Object} Connection object
+     */
+    ClientPool.prototype._openConnection = function() {
+        var connection = {
+            client: this._createClient(),
+            busy: false,
+            lastUsed: 0
+        };
+
+        connection.client.onerror = (err) => this._removeConnection(connection, err);
+        connection.ready = connection.client.connect();
+        this._connections.push(connection);
+
+        return connection;
+    };
+
+    /**
+     * Creates a Client with a copy of the options, the client modifies these
+     *
+     * @returns {Object} Client instance
+     */
+    ClientPool.prototype._createClient = function() {
+        var options = Object.assign({}, this.options);
+        delete options.sessionId;
+        delete options.maxConnections;
+
+        return new this.Client(this.host, this.port, options);
+    };
+
+    /**
+     * Removes a failed connection from the pool. The waiting tasks get a new connection.
+     *
+     * @param {Object} connection Connection object
+     * @param {Error} err Error that caused the removal
+     */
+    ClientPool.prototype._removeConnection = function(connection, err) {
+        var index = this._connections.indexOf(connection);
+        if (index < 0) {
+            return;
+        }
+
+        this._connections.splice(index, 1);
+        connection.client.onerror = null;
+        connection.client.close().catch(() => {});
+
+        this.onerror && this.onerror(err, connection.client);
+        this._dispatch();
+    };
+
+    /**
+     * Runs a task on a connection. The mailbox is selected first if needed.
+     *
+     * @param {Object} connection Connection object
+     * @param {Object} task Task object
+     */
+    ClientPool.prototype._run = function(connection, task) {
+        var client = connection.client;
+
+        connection.busy = true;
+        connection.path = task.path; // reserves the connection for the mailbox while it is being selected
+
+        connection.ready.catch((err) => {
+            // could not connect or authenticate, the same would happen to the tasks that follow
+            this._removeConnection(connection, err);
+            throw err;
+        }).then(() => {
+            if (task.path && !this._isSelected(client, task.path, task.options)) {
+                return client.selectMailbox(task.path, task.options);
+            }
+        }).then(() => task.fn(client)).then((result) => {
+            this._release(connection);
+            task.resolve(result);
+        }).catch((err) => {
+            this._release(connection);
+            task.reject(err);
+        });
+    };
+
+    /**
+     * Checks if a mailbox is already selected on a connection in the same mode
+     *
+     * @param {Object} client Client instance
+     * @param {String} path Full path to mailbox
+     * @param {Object} options Options for Client#selectMailbox
+     * @returns {Boolean} True if the mailbox does not need to be selected
+     */
+    ClientPool.prototype._isSelected = function(client, path, options) {
+        var readOnly = Boolean((client._selectedMailboxOptions || {}).readOnly);
+        return client._selectedMailbox === path && readOnly === Boolean(options.readOnly);
+    };
+
+    /**
+     * Marks a connection as idle and starts the next waiting task
+     *
+     * @param {Object} connection Connection object
+     */
+    ClientPool.prototype._release = function(connection) {
+        connection.busy = false;
+        connection.path = false;
+        connection.lastUsed = Date.now();
+        this._dispatch();
+    };
+
+    return ClientPool;
+}));
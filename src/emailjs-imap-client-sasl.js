@@ -0,0 +1,477 @@
+// Copyright (c) 2014 Andris Reinman
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof define === 'function' && define.amd) {
+        define(['emailjs-mime-codec'], factory.bind(null, null));
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('crypto'), require('emailjs-mime-codec'));
+    }
+}(this, function(nodeCrypto, mimecodec) {
+    'use strict';
+
+    /**
+     * SASL mechanisms for the AUTHENTICATE command
+     *
+     * A mechanism is an object with two methods:
+     *
+     *   accepts(auth) returns true if the credentials are sufficient for the mechanism
+     *   create(auth, context) returns a session for a single authentication attempt
+     *
+     * where context is {host, port} of the connection. The session has the following properties:
+     *
+     *   clientFirst (Boolean) true if the client sends the initial response
+     *   inline (Boolean) if true, the initial response is sent with the command even if SASL-IR is not advertised
+     *   step(challenge) is invoked with the decoded server challenge (Uint8Array) or with null
+     *     for the initial response. Returns the response as a String (encoded as UTF-8) or an Uint8Array,
+     *     or a Promise for it. Throwing cancels the authentication.
+     *   oauthError (Object) is set by the OAuth mechanisms to the parsed JSON error sent by the server
+     *
+     * SASL details:
+     *   https://tools.ietf.org/html/rfc4422
+     * AUTHENTICATE details:
+     *   https://tools.ietf.org/html/rfc3501#section-6.2.2
+     */
+    var sasl = {};
+
+    /**
+     * Mechanism names in the order of preference, the strongest first
+     */
+    sasl.preference = ['EXTERNAL', 'XOAUTH2', 'OAUTHBEARER', 'SCRAM-SHA-256', 'SCRAM-SHA-1', 'CRAM-MD5', 'PLAIN', 'LOGIN'];
+
+    /**
+     * Registered mechanisms by name
+     */
+    sasl.mechanisms = {};
+
+    /**
+     * Registers a mechanism. Mechanisms that are not built in are preferred over
+     * the built in ones, a built in mechanism can be replaced by using the same name.
+     *
+     * @param {String} name Mechanism name, eg. 'SCRAM-SHA-256'
+     * @param {Object} mechanism Mechanism object with accepts() and create() methods
+     */
+    sasl.register = function(name, mechanism) {
+        name = (name || '').toString().toUpperCase().trim();
+
+        if (sasl.preference.indexOf(name) < 0) {
+            sasl.preference.unshift(name);
+        }
+        sasl.mechanisms[name] = mechanism;
+    };
+
+    /**
+     * Selects the most preferred mechanism that is advertised by the server and
+     * accepts the credentials
+     *
+     * @param {Array} capability Capability list of the server
+     * @param {Object} auth Credentials
+     * @returns {String|Boolean} Mechanism name or false if there is no suitable mechanism
+     */
+    sasl.select = function(capability, auth) {
+        var advertised = [].concat(capability || []).filter((capa) => /^AUTH=/i.test(capa)).map((capa) => capa.substr(5).toUpperCase());
+
+        return sasl.preference.filter((name) => {
+            return advertised.indexOf(name) >= 0 && sasl.mechanisms[name] && sasl.mechanisms[name].accepts(auth || {});
+        }).shift() || false;
+    };
+
+    /**
+     * Creates an authentication session for a registered mechanism
+     *
+     * @param {String} name Mechanism name
+     * @param {Object} auth Credentials
+     * @param {Object} [context] Connection details {host, port}
+     * @returns {Object} Session object
+     */
+    sasl.create = function(name, auth, context) {
+        name = (name || '').toString().toUpperCase().trim();
+
+        if (!sasl.mechanisms[name]) {
+            throw new Error('Unsupported SASL mechanism ' + name);
+        }
+
+        return sasl.mechanisms[name].create(auth || {}, context || {});
+    };
+
+    //
+    // Built in mechanisms
+    //
+
+    /**
+     * PLAIN details:
+     *   https://tools.ietf.org/html/rfc4616
+     */
+    sasl.register('PLAIN', {
+        accepts: (auth) => !!auth.user && typeof auth.pass === 'string',
+        create: (auth) => ({
+            clientFirst: true,
+            step: () => (auth.authzid || '') + '\x00' + auth.user + '\x00' + auth.pass
+        })
+    });
+
+    /**
+     * LOGIN details:
+     *   https://tools.ietf.org/html/draft-murchison-sasl-login-00
+     */
+    sasl.register('LOGIN', {
+        accepts: (auth) => !!auth.user && typeof auth.pass === 'string',
+        create: (auth) => {
+            var responses = [auth.user, auth.pass];
+            return {
+                clientFirst: false,
+                step: () => responses.length ? responses.shift() : ''
+            };
+        }
+    });
+
+    /**
+     * CRAM-MD5 details:
+     *   https://tools.ietf.org/html/rfc2195
+     */
+    sasl.register('CRAM-MD5', {
+        accepts: (auth) => !!auth.user && typeof auth.pass === 'string' && !!nodeCrypto,
+        create: (auth) => ({
+            clientFirst: false,
+            step: (challenge) => sasl.hmac('MD5', auth.pass, challenge).then((digest) => auth.user + ' ' + toHex(digest))
+        })
+    });
+
+    /**
+     * SCRAM details:
+     *   https://tools.ietf.org/html/rfc5802
+     * SCRAM-SHA-256 details:
+     *   https://tools.ietf.org/html/rfc7677
+     */
+    sasl.register('SCRAM-SHA-1', {
+        accepts: (auth) => !!auth.user && typeof auth.pass === 'string',
+        create: (auth) => createScramSession('SHA-1', auth)
+    });
+
+    sasl.register('SCRAM-SHA-256', {
+        accepts: (auth) => !!auth.user && typeof auth.pass === 'string',
+        create: (auth) => createScramSession('SHA-256', auth)
+    });
+
+    /**
+     * OAUTHBEARER details:
+     *   https://tools.ietf.org/html/rfc7628
+     *
+     * Uses auth.oauthbearer as the access token, falls back to auth.xoauth2
+     */
+    sasl.register('OAUTHBEARER', {
+        accepts: (auth) => !!(auth.oauthbearer || auth.xoauth2),
+        create: (auth, context) => {
+            var session = {
+                clientFirst: true,
+                step: (challenge) => {
+                    if (challenge) {
+                        // error challenge, the server expects a dummy response before failing the command
+                        session.oauthError = parseOAuthError(challenge);
+                        return '\x01';
+                    }
+
+                    return 'n,' + (auth.user ? 'a=' + escapeSaslName(auth.user) : '') + ',\x01' +
+                        (context.host ? 'host=' + context.host + '\x01' : '') +
+                        (context.port ? 'port=' + context.port + '\x01' : '') +
+                        'auth=Bearer ' + (auth.oauthbearer || auth.xoauth2) + '\x01\x01';
+                }
+            };
+            return session;
+        }
+    });
+
+    /**
+     * XOAUTH2 details:
+     *   https://developers.google.com/gmail/xoauth2_protocol#imap_protocol_exchange
+     */
+    sasl.register('XOAUTH2', {
+        accepts: (auth) => !!auth.xoauth2,
+        create: (auth) => {
+            var session = {
+                clientFirst: true,
+                inline: true, // XOAUTH2 predates SASL-IR, the token is always sent with the command
+                step: (challenge) => {
+                    if (challenge) {
+                        // error challenge, the server expects an empty response before failing the command
+                        session.oauthError = parseOAuthError(challenge);
+                        return '';
+                    }
+
+                    return 'user=' + (auth.user || '') + '\x01auth=Bearer ' + auth.xoauth2 + '\x01\x01';
+                }
+            };
+            return session;
+        }
+    });
+
+    /**
+     * EXTERNAL details:
+     *   https://tools.ietf.org/html/rfc4422#appendix-A
+     *
+     * The credentials are provided outside of SASL, eg. with a TLS client certificate
+     */
+    sasl.register('EXTERNAL', {
+        accepts: (auth) => !!auth.external,
+        create: (auth) => ({
+            clientFirst: true,
+            step: () => auth.authzid || ''
+        })
+    });
+
+    /**
+     * Creates a SCRAM session. The password is used as UTF-8 without SASLprep normalization.
+     *
+     * @param {String} algorithm Hash algorithm, eg. 'SHA-256'
+     * @param {Object} auth Credentials
+     * @returns {Object} Session object
+     */
+    function createScramSession(algorithm, auth) {
+        var gs2Header = 'n,' + (auth.authzid ? 'a=' + escapeSaslName(auth.authzid) : '') + ',';
+        var clientFirstBare, serverSignature;
+        var nonce = mimecodec.base64.encode(sasl.randomBytes(18));
+        var stage = 0;
+
+        return {
+            clientFirst: true,
+            step: (challenge) => {
+                stage++;
+
+                if (stage === 1) {
+                    clientFirstBare = 'n=' + escapeSaslName(auth.user) + ',r=' + nonce;
+                    return gs2Header + clientFirstBare;
+                }
+
+                var serverMessage = mimecodec.fromTypedArray(challenge || new Uint8Array(0));
+                var attributes = parseScramAttributes(serverMessage);
+
+                if (attributes.e) {
+                    throw new Error('SCRAM authentication failed: ' + attributes.e);
+                }
+
+                if (stage === 2) {
+                    var iterations = Number(attributes.i);
+                    if (!attributes.r || attributes.r.indexOf(nonce) !== 0 || !attributes.s || !iterations) {
+                        throw new Error('Invalid SCRAM server challenge');
+                    }
+
+                    var clientFinalWithoutProof = 'c=' + mimecodec.base64.encode(gs2Header) + ',r=' + attributes.r;
+                    var authMessage = clientFirstBare + ',' + serverMessage + ',' + clientFinalWithoutProof;
+                    var clientKey;
+
+                    return sasl.pbkdf2(algorithm, auth.pass, mimecodec.base64.decode(attributes.s), iterations).then((saltedPassword) => {
+                        return Promise.all([
+                            sasl.hmac(algorithm, saltedPassword, 'Client Key'),
+                            sasl.hmac(algorithm, saltedPassword, 'Server Key')
+                        ]);
+                    }).then((keys) => {
+                        clientKey = keys[0];
+                        return Promise.all([
+                            sasl.hash(algorithm, clientKey).then((storedKey) => sasl.hmac(algorithm, storedKey, authMessage)),
+                            sasl.hmac(algorithm, keys[1], authMessage)
+                        ]);
+                    }).then((signatures) => {
+                        serverSignature = mimecodec.base64.encode(signatures[1]);
+
+                        var clientProof = new Uint8Array(clientKey.length);
+                        for (var i = 0; i < clientKey.length; i++) {
+                            clientProof[i] = clientKey[i] ^ signatures[0][i];
+                        }
+
+                        return clientFinalWithoutProof + ',p=' + mimecodec.base64.encode(clientProof);
+                    });
+                }
+
+                if (attributes.v !== serverSignature) {
+                    throw new Error('SCRAM server signature does not match');
+                }
+
+                return '';
+            }
+        };
+    }
+
+    /**
+     * Parses a comma separated list of SCRAM attributes, eg. 'r=abc,s=def,i=4096'
+     *
+     * @param {String} str SCRAM message
+     * @returns {Object} Attribute values by name
+     */
+    function parseScramAttributes(str) {
+        var attributes = {};
+
+        (str || '').split(',').forEach((part) => {
+            var match = part.match(/^([a-z])=(.*)$/);
+            if (match) {
+                attributes[match[1]] = match[2];
+            }
+        });
+
+        return attributes;
+    }
+
+    /**
+     * Parses the JSON error of an OAuth error challenge, eg. {"status":"401","schemes":"bearer","scope":"https://mail.google.com/"}
+     *
+     * @param {Uint8Array} challenge Decoded server challenge
+     * @returns {Object} Parsed error or an object with the raw challenge as the status if it is not valid JSON
+     */
+    function parseOAuthError(challenge) {
+        var str = mimecodec.charset.decode(challenge);
+
+        try {
+            var error = JSON.parse(str);
+            if (error && typeof error === 'object') {
+                return error;
+            }
+        } catch (E) {}
+
+        return {
+            status: str
+        };
+    }
+
+    /**
+     * Escapes a user name for SCRAM and GS2 headers
+     *
+     * @param {String} name User name
+     * @returns {String} Escaped name
+     */
+    function escapeSaslName(name) {
+        return (name || '').toString().replace(/=/g, '=3D').replace(/,/g, '=2C');
+    }
+
+    /**
+     * Converts bytes into a lowercase hex string
+     *
+     * @param {Uint8Array} bytes Bytes
+     * @returns {String} Hex string
+     */
+    function toHex(bytes) {
+        var hex = '';
+        for (var i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 0x10 ? '0' : '') + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * Converts a string (UTF-8) or bytes into an Uint8Array
+     *
+     * @param {String|Uint8Array} data Input data
+     * @returns {Uint8Array} Bytes
+     */
+    function toBytes(data) {
+        return typeof data === 'string' ? mimecodec.charset.encode(data) : new Uint8Array(data || []);
+    }
+
+    //
+    // Crypto helpers, use the crypto module in Node.js and WebCrypto in the browser (no MD5 support)
+    //
+
+    var subtle = !nodeCrypto && typeof self !== 'undefined' && self.crypto && self.crypto.subtle;
+
+    /**
+     * Calculates a hash digest
+     *
+     * @param {String} algorithm 'MD5', 'SHA-1' or 'SHA-256'
+     * @param {String|Uint8Array} data Input data
+     * @returns {Promise} Promise with the digest as an Uint8Array
+     */
+    sasl.hash = function(algorithm, data) {
+        if (nodeCrypto) {
+            return Promise.resolve(new Uint8Array(nodeCrypto.createHash(nodeAlgorithm(algorithm)).update(toNodeBuffer(data)).digest()));
+        }
+
+        return subtle.digest(algorithm, toBytes(data)).then((digest) => new Uint8Array(digest));
+    };
+
+    /**
+     * Calculates a HMAC
+     *
+     * @param {String} algorithm 'MD5', 'SHA-1' or 'SHA-256'
+     * @param {String|Uint8Array} key HMAC key
+     * @param {String|Uint8Array} data Input data
+     * @returns {Promise} Promise with the HMAC as an Uint8Array
+     */
+    sasl.hmac = function(algorithm, key, data) {
+        if (nodeCrypto) {
+            return Promise.resolve(new Uint8Array(nodeCrypto.createHmac(nodeAlgorithm(algorithm), toNodeBuffer(key)).update(toNodeBuffer(data)).digest()));
+        }
+
+        return subtle.importKey('raw', toBytes(key), {
+            name: 'HMAC',
+            hash: algorithm
+        }, false, ['sign']).then((cryptoKey) => subtle.sign('HMAC', cryptoKey, toBytes(data))).then((signature) => new Uint8Array(signature));
+    };
+
+    /**
+     * Derives a key with PBKDF2, the key length equals the digest length
+     *
+     * @param {String} algorithm 'SHA-1' or 'SHA-256'
+     * @param {String|Uint8Array} password Password
+     * @param {Uint8Array} salt Salt
+     * @param {Number} iterations Iteration count
+     * @returns {Promise} Promise with the derived key as an Uint8Array
+     */
+    sasl.pbkdf2 = function(algorithm, password, salt, iterations) {
+        var length = algorithm === 'SHA-1' ? 20 : 32;
+
+        if (nodeCrypto) {
+            return new Promise((resolve, reject) => {
+                nodeCrypto.pbkdf2(toNodeBuffer(password), toNodeBuffer(salt), iterations, length, nodeAlgorithm(algorithm), (err, key) => err ? reject(err) : resolve(new Uint8Array(key)));
+            });
+        }
+
+        return subtle.importKey('raw', toBytes(password), 'PBKDF2', false, ['deriveBits']).then((cryptoKey) => subtle.deriveBits({
+            name: 'PBKDF2',
+            hash: algorithm,
+            salt: toBytes(salt),
+            iterations: iterations
+        }, cryptoKey, length * 8)).then((bits) => new Uint8Array(bits));
+    };
+
+    /**
+     * Generates random bytes
+     *
+     * @param {Number} length Number of bytes
+     * @returns {Uint8Array} Random bytes
+     */
+    sasl.randomBytes = function(length) {
+        if (nodeCrypto) {
+            return new Uint8Array(nodeCrypto.randomBytes(length));
+        }
+
+        return self.crypto.getRandomValues(new Uint8Array(length));
+    };
+
+    function nodeAlgorithm(algorithm) {
+        return algorithm.toLowerCase().replace('-', '');
+    }
+
+    function toNodeBuffer(data) {
+        var bytes = toBytes(data);
+        return Buffer.from ? Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length) : new Buffer(bytes);
+    }
+
+    return sasl;
+}));
@@ -0,0 +1,392 @@
+// Copyright (c) 2014 Andris Reinman
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    /**
+     * Keeps a local mirror of a mailbox up to date. Every call to #sync compares the
+     * server state to the state stored in the storage adapter and resolves with the
+     * change set of added, changed and removed messages.
+     *
+     * QRESYNC is used when the server supports it, otherwise changes are detected with
+     * CHANGEDSINCE (CONDSTORE) or by comparing the flags of all messages, and expunged
+     * messages with UID SEARCH.
+     *
+     * The storage adapter is an object with the following methods. Every method may
+     * return a value or a Promise:
+     *
+     *   getState(path) returns the stored {uidValidity, uidNext, highestModseq} or null
+     *   setState(path, state) stores the mailbox state
+     *   getMessages(path) returns the list of stored messages, every message includes uid and flags
+     *   putMessages(path, messages) stores new messages and merges changed messages by uid
+     *   removeMessages(path, uids) removes messages by uid
+     *   clear(path) removes the state and all messages of the mailbox
+     *
+     * CONDSTORE details:
+     *   https://tools.ietf.org/html/rfc7162#section-3.1
+     * QRESYNC details:
+     *   https://tools.ietf.org/html/rfc7162#section-3.2
+     *
+     * @constructor
+     *
+     * @param {Object} client Connected and authenticated Client instance
+     * @param {Object} [options] Optional options object
+     * @param {Object} [options.storage] Storage adapter, defaults to MailboxSync.MemoryStorage
+     * @param {Array} [options.items] Message data items to fetch for new messages, uid and flags are always included
+     */
+    function MailboxSync(client, options) {
+        this.client = client;
+        this.options = options || {};
+        this.storage = this.options.storage || new MailboxSync.MemoryStorage();
+
+        // Event placeholders
+        this.onchange = null;
+
+        this._queue = Promise.resolve(); // syncs run one after another
+    }
+
+    /**
+     * Synchronizes a mailbox. The mailbox is selected if it is not selected yet.
+     *
+     * @param {String} path Full path to mailbox
+     * @returns {Promise} Promise with the change set {path, reset, added, changed, removed}
+     */
+    MailboxSync.prototype.sync = function(path) {
+        var run = this._queue.then(() => this._sync(path));
+        this._queue = run.catch(() => {});
+        return run;
+    };
+
+    /**
+     * Runs the synchronization, see #sync
+     *
+     * @param {String} path Full path to mailbox
+     * @returns {Promise} Promise with the change set
+     */
+    MailboxSync.prototype._sync = function(path) {
+        var client = this.client;
+        var storage = this.storage;
+        var changes = {
+            path: path,
+            reset: false,
+            added: [],
+            changed: [],
+            removed: []
+        };
+        var state, cached, mailbox, modseq;
+
+        return Promise.resolve(storage.getState(path)).then((stored) => {
+            state = stored || null;
+            return state ? storage.getMessages(path) : [];
+        }).then((messages) => {
+            cached = [].concat(messages || []);
+            client.logger.debug('Synchronizing', path, '...');
+            return client.selectMailbox(path, this._selectOptions(state, cached));
+        }).then((info) => {
+            mailbox = info || {};
+            modseq = !mailbox.noModseq && mailbox.highestModseq;
+
+            if (state && state.uidValidity !== mailbox.uidValidity) {
+                // the UIDs of the stored messages are not valid anymore
+                client.logger.debug('UIDVALIDITY of', path, 'has changed, clearing the stored messages');
+                changes.reset = true;
+                changes.removed = cached.map((message) => message.uid);
+                state = null;
+                cached = [];
+                return storage.clear(path);
+            }
+        }).then(() => {
+            var uidNext = state && state.uidNext || 1;
+
+            if (!mailbox.exists || mailbox.uidNext && mailbox.uidNext <= uidNext) {
+                // nothing has arrived since the last synchronization
+                return [];
+            }
+
+            return this._fetchAdded(path, uidNext, !!modseq);
+        }).then((added) => {
+            changes.added = added;
+
+            if (!state || !cached.length) {
+                return;
+            }
+
+            if (modseq && state.highestModseq) {
+                return (modseq === state.highestModseq ? Promise.resolve([]) : this._fetchChanged(path, state, cached)).then((changed) => {
+                    changes.changed = changed;
+
+                    if (Array.isArray(mailbox.vanished)) {
+                        changes.removed = this._known(cached, mailbox.vanished);
+                    } else if (mailbox.exists !== cached.length + added.length) {
+                        // message count does not add up, some messages have been expunged
+                        return this._findRemoved(path, state, cached).then((removed) => {
+                            changes.removed = removed;
+                        });
+                    }
+                });
+            }
+
+            return this._compareFlags(path, state, cached).then((result) => {
+                changes.changed = result.changed;
+                changes.removed = result.removed;
+            });
+        }).then(() => {
+            // after a reset the storage is already empty
+            if (!changes.reset && changes.removed.length) {
+                return storage.removeMessages(path, changes.removed);
+            }
+        }).then(() => {
+            if (changes.added.length || changes.changed.length) {
+                return storage.putMessages(path, changes.added.concat(changes.changed));
+            }
+        }).then(() => {
+            return storage.setState(path, {
+                uidValidity: mailbox.uidValidity,
+                // messages that arrived after selecting the mailbox were fetched as well
+                uidNext: changes.added.reduce((uidNext, message) => Math.max(uidNext, message.uid + 1), mailbox.uidNext || 1),
+                highestModseq: modseq || undefined
+            });
+        }).then(() => {
+            client.logger.debug('Synchronized', path, changes.added.length, 'added', changes.changed.length, 'changed', changes.removed.length, 'removed');
+
+            if (changes.reset || changes.added.length || changes.changed.length || changes.removed.length) {
+                this.onchange && this.onchange(changes);
+            }
+
+            return changes;
+        });
+    };
+
+    /**
+     * Builds the selectMailbox options. QRESYNC is used if the server supports it
+     * and the mailbox has been synchronized with modseq values before.
+     *
+     * @param {Object} state Stored mailbox state or null
+     * @param {Array} cached Stored messages
+     * @returns {Object} Options for Client#selectMailbox
+     */
+    MailboxSync.prototype._selectOptions = function(state, cached) {
+        if (state && state.highestModseq && this.client.hasCapability('QRESYNC')) {
+            var qresync = {
+                uidValidity: state.uidValidity,
+                highestModseq: state.highestModseq
+            };
+
+            if (cached.length) {
+                qresync.knownUids = MailboxSync.toSequenceSet(cached.map((message) => message.uid));
+            }
+
+            return {
+                qresync: qresync
+            };
+        }
+
+        return {
+            condstore: this.client.hasCapability('CONDSTORE')
+        };
+    };
+
+    /**
+     * Fetches the messages that have arrived since the last synchronization
+     *
+     * @param {String} path Full path to mailbox
+     * @param {Number} uidNext First UID that is not stored yet
+     * @param {Boolean} modseq If true, modseq values are fetched as well
+     * @returns {Promise} Promise with the list of new messages
+     */
+    MailboxSync.prototype._fetchAdded = function(path, uidNext, modseq) {
+        var items = [].concat(this.options.items || []);
+
+        ['uid', 'flags'].concat(modseq ? 'modseq' : []).forEach((item) => {
+            if (items.map((item) => item.toString().toLowerCase()).indexOf(item) < 0) {
+                items.push(item);
+            }
+        });
+
+        return this.client.listMessages(path, uidNext + ':*', items, {
+            byUid: true
+        }).then((messages) => {
+            // "n:*" always includes the last message, even if its UID is lower than n
+            return messages.filter((message) => message.uid >= uidNext);
+        });
+    };
+
+    /**
+     * Fetches the flags of the stored messages that have changed since the stored modseq
+     *
+     * @param {String} path Full path to mailbox
+     * @param {Object} state Stored mailbox state
+     * @param {Array} cached Stored messages
+     * @returns {Promise} Promise with the list of changed messages {uid, flags, modseq}
+     */
+    MailboxSync.prototype._fetchChanged = function(path, state, cached) {
+        return this.client.listMessages(path, '1:' + (state.uidNext - 1), ['uid', 'flags', 'modseq'], {
+            byUid: true,
+            changedSince: state.highestModseq
+        }).then((messages) => {
+            var known = this._known(cached, messages.map((message) => message.uid));
+            return messages.filter((message) => known.indexOf(message.uid) >= 0);
+        });
+    };
+
+    /**
+     * Finds the stored messages that do not exist on the server anymore
+     *
+     * @param {String} path Full path to mailbox
+     * @param {Object} state Stored mailbox state
+     * @param {Array} cached Stored messages
+     * @returns {Promise} Promise with the list of removed UIDs
+     */
+    MailboxSync.prototype._findRemoved = function(path, state, cached) {
+        return this.client.search(path, {
+            uid: '1:' + (state.uidNext - 1)
+        }, {
+            byUid: true
+        }).then((uids) => {
+            return cached.map((message) => message.uid).filter((uid) => uids.indexOf(uid) < 0);
+        });
+    };
+
+    /**
+     * Detects changed and removed messages without CONDSTORE by fetching
+     * the flags of all stored messages
+     *
+     * @param {String} path Full path to mailbox
+     * @param {Object} state Stored mailbox state
+     * @param {Array} cached Stored messages
+     * @returns {Promise} Promise with {changed, removed}
+     */
+    MailboxSync.prototype._compareFlags = function(path, state, cached) {
+        return this.client.listMessages(path, '1:' + (state.uidNext - 1), ['uid', 'flags'], {
+            byUid: true
+        }).then((messages) => {
+            var current = {};
+            var normalize = (flags) => [].concat(flags || []).sort().join(' ');
+
+            messages.forEach((message) => current[message.uid] = message);
+
+            return {
+                changed: cached.filter((message) => current[message.uid] && normalize(current[message.uid].flags) !== normalize(message.flags)).map((message) => current[message.uid]),
+                removed: cached.filter((message) => !current[message.uid]).map((message) => message.uid)
+            };
+        });
+    };
+
+    /**
+     * Filters a list of UIDs to the ones that are stored
+     *
+     * @param {Array} cached Stored messages
+     * @param {Array} uids List of UIDs
+     * @returns {Array} UIDs of stored messages
+     */
+    MailboxSync.prototype._known = function(cached, uids) {
+        var known = {};
+        cached.forEach((message) => known[message.uid] = true);
+        return uids.filter((uid) => known[uid]);
+    };
+
+    /**
+     * Compacts a list of UIDs into a sequence set, eg. [1, 2, 3, 5] becomes '1:3,5'
+     *
+     * @param {Array} uids List of UIDs
+     * @returns {String} Sequence set
+     */
+    MailboxSync.toSequenceSet = function(uids) {
+        var ranges = [];
+
+        [].concat(uids || []).map(Number).sort((a, b) => a - b).forEach((uid) => {
+            var range = ranges[ranges.length - 1];
+            if (range && uid <= range[1] + 1) {
+                range[1] = Math.max(range[1], uid);
+            } else {
+                ranges.push([uid, uid]);
+            }
+        });
+
+        return ranges.map((range) => range[0] === range[1] ? range[0] : range[0] + ':' + range[1]).join(',');
+    };
+
+    /**
+     * Storage adapter that keeps the mailbox mirrors in memory
+     *
+     * @constructor
+     */
+    MailboxSync.MemoryStorage = function() {
+        this._mailboxes = {};
+    };
+
+    /**
+     * Returns the stored data of a mailbox, creates an empty entry if needed
+     *
+     * @param {String} path Full path to mailbox
+     * @returns {Object} {state, messages} where messages are indexed by uid
+     */
+    MailboxSync.MemoryStorage.prototype._mailbox = function(path) {
+        if (!this._mailboxes[path]) {
+            this._mailboxes[path] = {
+                state: null,
+                messages: {}
+            };
+        }
+        return this._mailboxes[path];
+    };
+
+    // Storage adapter methods, see MailboxSync
+
+    MailboxSync.MemoryStorage.prototype.getState = function(path) {
+        return this._mailbox(path).state;
+    };
+
+    MailboxSync.MemoryStorage.prototype.setState = function(path, state) {
+        this._mailbox(path).state = state;
+    };
+
+    MailboxSync.MemoryStorage.prototype.getMessages = function(path) {
+        var messages = this._mailbox(path).messages;
+        return Object.keys(messages).map((uid) => messages[uid]);
+    };
+
+    MailboxSync.MemoryStorage.prototype.putMessages = function(path, list) {
+        var messages = this._mailbox(path).messages;
+        list.forEach((message) => {
+            messages[message.uid] = Object.assign(messages[message.uid] || {}, message);
+        });
+    };
+
+    MailboxSync.MemoryStorage.prototype.removeMessages = function(path, uids) {
+        var messages = this._mailbox(path).messages;
+        uids.forEach((uid) => delete messages[uid]);
+    };
+
+    MailboxSync.MemoryStorage.prototype.clear = function(path) {
+        delete this._mailboxes[path];
+    };
+
+    return MailboxSync;
+}));
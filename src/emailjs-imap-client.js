@@ -2,11 +2,11 @@
     'use strict';
 
     if (typeof define === 'function' && define.amd) {
-        define(['./emailjs-imap-client-imap', 'emailjs-utf7', 'emailjs-imap-handler', 'emailjs-mime-codec', 'emailjs-addressparser'], factory);
+        define(['./emailjs-imap-client-imap', 'emailjs-utf7', 'emailjs-imap-handler', 'emailjs-mime-codec', 'emailjs-addressparser', './emailjs-imap-client-sasl', './emailjs-imap-client-sync', './emailjs-imap-client-errors', './emailjs-imap-client-pool'], factory);
     } else if (typeof exports === 'object') {
-        module.exports = factory(require('./emailjs-imap-client-imap'), require('emailjs-utf7'), require('emailjs-imap-handler'), require('emailjs-mime-codec'), require('emailjs-addressparser'));
+        module.exports = factory(require('./emailjs-imap-client-imap'), require('emailjs-utf7'), require('emailjs-imap-handler'), require('emailjs-mime-codec'), require('emailjs-addressparser'), require('./emailjs-imap-client-sasl'), require('./emailjs-imap-client-sync'), require('./emailjs-imap-client-errors'), require('./emailjs-imap-client-pool'));
     }
-}(this, function(ImapClient, utf7, imapHandler, mimefuncs, addressparser) {
+}(this, function(ImapClient, utf7, imapHandler, mimefuncs, addressparser, sasl, MailboxSync, errors, ClientPool) {
     'use strict';
 
     var SPECIAL_USE_FLAGS = ['\\All', '\\Archive', '\\Drafts', '\\Flagged', '\\Junk', '\\Sent', '\\Trash'];
@@ -17,7 +17,14 @@
         '\\Drafts': ['ba brouillon', 'borrador', 'borrador', 'borradores', 'bozze', 'brouillons', 'bản thảo', 'ciorne', 'concepten', 'draf', 'drafts', 'drög', 'entwürfe', 'esborranys', 'garalamalar', 'ihe edeturu', 'iidrafti', 'izinhlaka', 'juodraščiai', 'kladd', 'kladder', 'koncepty', 'koncepty', 'konsep', 'konsepte', 'kopie robocze', 'layihələr', 'luonnokset', 'melnraksti', 'meralo', 'mesazhe të padërguara', 'mga draft', 'mustandid', 'nacrti', 'nacrti', 'osnutki', 'piszkozatok', 'rascunhos', 'rasimu', 'skice', 'taslaklar', 'tsararrun saƙonni', 'utkast', 'vakiraoka', 'vázlatok', 'zirriborroak', 'àwọn àkọpamọ́', 'πρόχειρα', 'жобалар', 'нацрти', 'нооргууд', 'сиёҳнавис', 'хомаки хатлар', 'чарнавікі', 'чернетки', 'чернови', 'черновики', 'черновиктер', 'սևագրեր', 'טיוטות', 'مسودات', 'مسودات', 'موسودې', 'پیش نویسها', 'ڈرافٹ/', 'ड्राफ़्ट', 'प्रारूप', 'খসড়া', 'খসড়া', 'ড্ৰাফ্ট', 'ਡ੍ਰਾਫਟ', 'ડ્રાફ્ટસ', 'ଡ୍ରାଫ୍ଟ', 'வரைவுகள்', 'చిత్తు ప్రతులు', 'ಕರಡುಗಳು', 'കരടുകള്‍', 'කෙටුම් පත්', 'ฉบับร่าง', 'მონახაზები', 'ረቂቆች', 'សារព្រាង', '下書き', '草稿', '草稿', '草稿', '임시 보관함']
     };
     var SPECIAL_USE_BOX_FLAGS = Object.keys(SPECIAL_USE_BOXES);
+    var QUOTA_RESOURCES = {
+        'STORAGE': 'storage',
+        'MESSAGE': 'messages',
+        'MAILBOX': 'mailboxes',
+        'ANNOTATION-STORAGE': 'annotationStorage'
+    };
     var SESSIONCOUNTER = 0;
+    var ASYNC_ITERATOR = typeof Symbol === 'function' && Symbol.asyncIterator || '@@asyncIterator';
 
     /**
      * emailjs IMAP client
@@ -34,8 +41,12 @@
         // Event placeholders
         this.oncert = null;
         this.onupdate = null;
+        this.onalert = null;
         this.onselectmailbox = null;
         this.onclosemailbox = null;
+        this.onreconnecting = null;
+        this.onreconnected = null;
+        this.onidlestatechange = null;
 
         //
         // Internals
@@ -46,41 +57,260 @@
         this._state = false; // Current state
         this._authenticated = false; // Is the connection authenticated
         this._capability = []; // List of extensions the server supports
+        this._enabled = []; // List of extensions enabled with the ENABLE command
         this._selectedMailbox = false; // Selected mailbox
+        this._selectedMailboxOptions = {}; // Options used to select the mailbox, reused when reconnecting
+        this._notify = false; // Arguments of the last NOTIFY command, reused when reconnecting
         this._enteredIdle = false;
         this._idleTimeout = false;
+        this._idleRefreshing = false; // IDLE is restarted by the refresh timer and needs to be entered again
+        this._idleState = 'none'; // What the client does while idling, see onidlestatechange
+        this._reconnecting = false; // State of the reconnection in progress
 
-        this.client = new ImapClient(host, port, this.options); // IMAP client object
-
-        // Event Handlers
-        this.client.onerror = this._onError.bind(this);
-        this.client.oncert = (cert) => (this.oncert && this.oncert(cert)); // allows certificate handling for platforms w/o native tls support
-        this.client.onidle = () => this._onIdle(); // start idling
-
-        // Default handlers for untagged responses
-        this.client.setHandler('capability', (response) => this._untaggedCapabilityHandler(response)); // capability updates
-        this.client.setHandler('ok', (response) => this._untaggedOkHandler(response)); // notifications
-        this.client.setHandler('exists', (response) => this._untaggedExistsHandler(response)); // message count has changed
-        this.client.setHandler('expunge', (response) => this._untaggedExpungeHandler(response)); // message has been deleted
-        this.client.setHandler('fetch', (response) => this._untaggedFetchHandler(response)); // message has been updated (eg. flag change)
+        this.client = this._createImapClient(host, port); // IMAP client object
 
         // Activate logging
         this.createLogger();
         this.logLevel = this.LOG_LEVEL_ALL;
     }
 
+    /**
+     * Creates the lower-level ImapClient and sets up the event handlers
+     *
+     * @param {String} host Hostname to conenct to
+     * @param {Number} port Port number to connect to
+     * @returns {Object} ImapClient instance
+     */
+    Client.prototype._createImapClient = function(host, port) {
+        var client = new ImapClient(host, port, this.options);
+
+        // Event Handlers
+        client.onerror = this._onError.bind(this);
+        client.oncert = (cert) => (this.oncert && this.oncert(cert)); // allows certificate handling for platforms w/o native tls support
+        client.onidle = () => this._onIdle(); // start idling
+        client.onalert = (response) => (this.onalert && this.onalert(response.humanReadable || '')); // [ALERT] texts must be shown to the user
+
+        // Default handlers for untagged responses
+        client.setHandler('capability', (response) => this._untaggedCapabilityHandler(response)); // capability updates
+        client.setHandler('ok', (response) => this._untaggedOkHandler(response)); // notifications
+        client.setHandler('exists', (response) => this._untaggedExistsHandler(response)); // message count has changed
+        client.setHandler('expunge', (response) => this._untaggedExpungeHandler(response)); // message has been deleted
+        client.setHandler('vanished', (response) => this._untaggedVanishedHandler(response)); // messages have been deleted (QRESYNC)
+        client.setHandler('fetch', (response) => this._untaggedFetchHandler(response)); // message has been updated (eg. flag change)
+        client.setHandler('status', (response) => this._untaggedStatusHandler(response)); // counters of another mailbox have changed (NOTIFY)
+        client.setHandler('list', (response) => this._untaggedListHandler(response)); // mailbox has been created, renamed or deleted (NOTIFY)
+
+        if (this.logger) {
+            client.logger = this.logger;
+        }
+
+        return client;
+    };
+
     /**
      * Called if the lower-level ImapClient has encountered an unrecoverable
      * error during operation. Cleans up and propagates the error upwards.
+     * If options.reconnect is set, tries to reconnect instead.
+     *
+     * @param {Error} err The error
+     * @param {Array} [queued] Commands that were not sent to the server yet
      */
-    Client.prototype._onError = function(err) {
+    Client.prototype._onError = function(err, queued) {
         // make sure no idle timeout is pending anymore
-        clearTimeout(this._idleTimeout);
+        this._clearIdle();
+        queued = queued || [];
+
+        if (this.options.reconnect && this._state !== this.STATE_LOGOUT) {
+            return this._reconnect(err, queued);
+        }
+
+        // commands that were not sent can not be completed anymore
+        queued.forEach((command) => command.callback(err));
 
         // propagate the error upwards
         this.onerror && this.onerror(err);
     };
 
+    /**
+     * Reconnects after the connection was lost. Retries with exponential backoff
+     * until the connection is restored or options.reconnect.maxAttempts is reached.
+     * After connecting, the previously selected mailbox is opened again and the
+     * queued commands are sent over the new connection (or rejected if
+     * options.reconnect.retryQueued is false).
+     *
+     * @param {Error} err The error that closed the connection
+     * @param {Array} queued Commands that were not sent to the server yet
+     */
+    Client.prototype._reconnect = function(err, queued) {
+        var policy = this._getReconnectPolicy();
+        var mailbox = this._selectedMailbox;
+        var mailboxOptions = this._selectedMailboxOptions;
+        var notify = this._notify;
+        var reconnect = this._reconnecting = {
+            attempt: 0,
+            timer: null,
+            cancel: null
+        };
+
+        if (!policy.retryQueued) {
+            queued.forEach((command) => command.callback(err));
+            queued = [];
+        }
+
+        var attempt = () => {
+            var delay = this._getReconnectDelay(++reconnect.attempt, policy);
+
+            this.logger.debug('Reconnecting in', delay, 'ms, attempt', reconnect.attempt, 'of', policy.maxAttempts);
+            this.onreconnecting && this.onreconnecting(reconnect.attempt, delay, err);
+
+            return new Promise((resolve, reject) => {
+                reconnect.cancel = reject;
+                reconnect.timer = setTimeout(resolve, delay);
+            }).then(() => {
+                reconnect.cancel = null;
+                this._resetConnection();
+                return this.connect();
+            }).then(() => {
+                if (!mailbox) {
+                    return;
+                }
+
+                return this.selectMailbox(mailbox, mailboxOptions).catch((err) => {
+                    // the mailbox might not exist anymore, the connection is usable anyway
+                    this.logger.warn('Could not reopen', mailbox, err);
+                });
+            }).then(() => {
+                if (!notify) {
+                    return;
+                }
+
+                return this.notify(notify.groups, notify.options).catch((err) => {
+                    this.logger.warn('Could not restore notifications', err);
+                });
+            }).catch((e) => {
+                if (this._reconnecting !== reconnect || reconnect.attempt >= policy.maxAttempts) {
+                    throw e;
+                }
+                err = e;
+                return attempt();
+            });
+        };
+
+        attempt().then(() => {
+            if (this._reconnecting !== reconnect) {
+                throw new errors.ConnectionClosedError('Connection closed');
+            }
+            this._reconnecting = false;
+            this.logger.debug('Reconnected after', reconnect.attempt, 'attempt(s)');
+
+            return this.breakIdle().then(() => {
+                this.client.requeueCommands(queued);
+                this.onreconnected && this.onreconnected(reconnect.attempt);
+            });
+        }).catch((e) => {
+            var cancelled = this._reconnecting !== reconnect;
+            if (!cancelled) {
+                this._reconnecting = false;
+            }
+
+            queued.forEach((command) => command.callback(e));
+
+            if (!cancelled) {
+                this.logger.error('Could not reconnect', e);
+                this.onerror && this.onerror(e);
+            }
+        });
+    };
+
+    /**
+     * Stops reconnecting, called when the connection is closed by the user
+     */
+    Client.prototype._stopReconnecting = function() {
+        var reconnect = this._reconnecting;
+        if (!reconnect) {
+            return;
+        }
+
+        this._reconnecting = false;
+        clearTimeout(reconnect.timer);
+        reconnect.cancel && reconnect.cancel(new errors.ConnectionClosedError('Connection closed'));
+    };
+
+    /**
+     * Replaces the lower-level ImapClient with a new one and resets the session state
+     */
+    Client.prototype._resetConnection = function() {
+        var client = this.client;
+
+        // the old connection is closed, make sure it does not emit anything
+        client.onerror = client.onidle = client.oncert = client.onready = client.onalert = null;
+
+        this._clearIdle();
+        this._authenticated = false;
+        this._capability = [];
+        this._enabled = [];
+
+        this.client = this._createImapClient(client.host, client.port);
+    };
+
+    /**
+     * Normalizes options.reconnect
+     *
+     * @returns {Object} Reconnect policy
+     */
+    Client.prototype._getReconnectPolicy = function() {
+        var options = typeof this.options.reconnect === 'object' ? this.options.reconnect : {};
+
+        return {
+            maxAttempts: 'maxAttempts' in options ? Number(options.maxAttempts) : 10,
+            initialDelay: 'initialDelay' in options ? Number(options.initialDelay) : this.TIMEOUT_RECONNECT_INITIAL,
+            maxDelay: 'maxDelay' in options ? Number(options.maxDelay) : this.TIMEOUT_RECONNECT_MAX,
+            factor: 'factor' in options ? Number(options.factor) : 2,
+            jitter: 'jitter' in options ? Number(options.jitter) : 0.2,
+            retryQueued: 'retryQueued' in options ? !!options.retryQueued : true
+        };
+    };
+
+    /**
+     * Calculates the delay before a reconnection attempt. The delay grows exponentially
+     * and is randomized by the jitter factor, eg. jitter 0.2 means +/- 20%
+     *
+     * @param {Number} attempt Attempt number, starting from 1
+     * @param {Object} policy Reconnect policy
+     * @returns {Number} Delay in milliseconds
+     */
+    Client.prototype._getReconnectDelay = function(attempt, policy) {
+        var delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt - 1));
+        delay += delay * policy.jitter * (Math.random() * 2 - 1);
+        return Math.max(0, Math.round(delay));
+    };
+
+    /**
+     * Handles a PREAUTH greeting. The connection is already authenticated, eg. by an external
+     * tunnel, so STARTTLS and LOGIN are skipped. STARTTLS is not allowed in the authenticated
+     * state, so a plaintext PREAUTH connection is refused if TLS is required, otherwise a
+     * man in the middle could strip the encryption by injecting the greeting.
+     *
+     * PREAUTH details:
+     *   https://tools.ietf.org/html/rfc3501#section-7.1.4
+     *
+     * @param {Object} greeting Parsed PREAUTH greeting
+     * @returns {Promise} Resolves when the capabilities are known
+     */
+    Client.prototype._preauthenticate = function(greeting) {
+        if (!this.client.secureMode && this.options.requireTLS) {
+            return Promise.reject(new Error('Server sent PREAUTH over an unencrypted connection but TLS is required'));
+        }
+
+        this.logger.debug('Connection is preauthenticated, skipping login');
+        if (greeting.capability) {
+            this._capability = greeting.capability;
+        }
+        this._changeState(this.STATE_AUTHENTICATED);
+        this._authenticated = true;
+        return this.updateCapability();
+    };
+
     //
     //
     // PUBLIC API
@@ -101,34 +331,39 @@
                 return new Promise((resolve, reject) => {
                     var connectionTimeout = setTimeout(() => reject(new Error('Timeout connecting to server')), this.TIMEOUT_CONNECTION);
                     this.logger.debug('Socket opened, waiting for greeting from the server...');
-                    this.client.onready = () => {
+                    this.client.onready = (greeting) => {
                         clearTimeout(connectionTimeout);
-                        resolve();
+                        resolve(greeting);
                     };
                     this.client.onerror = err => {
                         clearTimeout(connectionTimeout);
                         suddenDeath(err);
                     };
                 });
-            }).then(() => {
+            }).then((greeting) => {
+                if ((greeting && greeting.command || '').toUpperCase() === 'PREAUTH') {
+                    return this._preauthenticate(greeting);
+                }
+
                 this._changeState(this.STATE_NOT_AUTHENTICATED);
-                return this.updateCapability();
-            }).then(() => {
-                return this.upgradeConnection();
+                return this.updateCapability().then(() => this.upgradeConnection());
             }).then(() => {
                 return this.updateId(this.options.id)
                 .catch(err => this.logger.warn('Failed to update id', err));
             }).then(() => {
-                return this.login(this.options.auth);
+                // PREAUTH connections are already authenticated
+                if (!this._authenticated) {
+                    return this.login(this.options.auth);
+                }
             }).then(() => {
                 return this.compressConnection();
             }).then(() => {
                 this.logger.debug('Connection established, ready to roll!');
                 this.client.onerror = this._onError.bind(this);
-            }).then(finalResolve);
+            }).then(finalResolve, suddenDeath);
         }).catch((err) => {
             this.logger.error('Could not connect to server', err);
-            this.close(); // we don't really care whether this works or not
+            this._closeConnection(); // we don't really care whether this works or not
             throw err;
         });
     };
@@ -146,10 +381,12 @@
      * @returns {Promise} Resolves when server has closed the connection
      */
     Client.prototype.logout = function() {
+        this._stopReconnecting();
         this._changeState(this.STATE_LOGOUT);
         this.logger.debug('Logging out...');
-        return this.client.logout().then(() => {
-            clearTimeout(this._idleTimeout);
+        // LOGOUT would wait for the running IDLE command otherwise
+        return this.breakIdle().then(() => this.client.logout()).then(() => {
+            this._clearIdle();
         });
     };
 
@@ -159,8 +396,18 @@
      * @returns {Promise} Resolves when socket is closed
      */
     Client.prototype.close = function() {
+        this._stopReconnecting();
+        return this._closeConnection();
+    };
+
+    /**
+     * Closes the TCP socket without stopping the reconnection in progress
+     *
+     * @returns {Promise} Resolves when socket is closed
+     */
+    Client.prototype._closeConnection = function() {
         this._changeState(this.STATE_LOGOUT);
-        clearTimeout(this._idleTimeout);
+        this._clearIdle();
         this.logger.debug('Closing connection...');
         return this.client.close();
     };
@@ -220,6 +467,52 @@
         });
     };
 
+    /**
+     * Runs ENABLE command, parses ENABLED response and updates the list of
+     * enabled extensions. Extensions that are already enabled are not sent again.
+     *
+     * ENABLE details:
+     *   https://tools.ietf.org/html/rfc5161
+     *
+     * @param {Array} extensions List of extensions to enable, eg. ['QRESYNC', 'UTF8=ACCEPT']
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the list of all enabled extensions
+     */
+    Client.prototype.enable = function(extensions, options) {
+        options = options || {};
+
+        extensions = [].concat(extensions || []).map((extension) => (extension || '').toString().toUpperCase().trim()).filter((extension) => {
+            // only ask for extensions that the server supports and that are not enabled yet
+            return extension && this._enabled.indexOf(extension) < 0 && this._capability.indexOf(extension) >= 0;
+        });
+
+        if (this._capability.indexOf('ENABLE') < 0 || !extensions.length) {
+            return Promise.resolve(this._enabled);
+        }
+
+        this.logger.debug('Enabling', extensions.join(' '), '...');
+        return this.exec({
+            command: 'ENABLE',
+            attributes: extensions.map((extension) => {
+                return {
+                    type: 'ATOM',
+                    value: extension
+                };
+            })
+        }, 'ENABLED', {
+            ctx: options.ctx
+        }).then((response) => {
+            this._parseENABLED(response).forEach((extension) => {
+                if (this._enabled.indexOf(extension) < 0) {
+                    this._enabled.push(extension);
+                }
+            });
+
+            this.logger.debug('Enabled extensions updated!', this._enabled);
+            return this._enabled;
+        });
+    };
+
     /**
      * Runs SELECT or EXAMINE to open a mailbox
      *
@@ -228,8 +521,12 @@
      * EXAMINE details:
      *   http://tools.ietf.org/html/rfc3501#section-6.3.2
      *
+     * QRESYNC details:
+     *   https://tools.ietf.org/html/rfc7162#section-3.2.5
+     *
      * @param {String} path Full path to mailbox
      * @param {Object} [options] Options object
+     * @param {Object} [options.qresync] Known mailbox state `{uidValidity, highestModseq, knownUids}` for quick resynchronization
      * @returns {Promise} Promise with information about the selected mailbox
      */
     Client.prototype.selectMailbox = function(path, options) {
@@ -242,17 +539,49 @@
                 value: path
             }]
         };
-
-        if (options.condstore && this._capability.indexOf('CONDSTORE') >= 0) {
-            query.attributes.push([{
-                type: 'ATOM',
-                value: 'CONDSTORE'
-            }]);
-        }
+        var acceptUntagged = ['EXISTS', 'FLAGS', 'OK'];
+        var qresync = false;
 
         this.logger.debug('Opening', path, '...');
-        return this.exec(query, ['EXISTS', 'FLAGS', 'OK'], {
+        return (options.qresync ? this.enable(['QRESYNC'], {
             ctx: options.ctx
+        }) : Promise.resolve()).then(() => {
+            // QRESYNC parameters are only allowed if the server has actually enabled it
+            qresync = !!options.qresync && this.isEnabled('QRESYNC');
+
+            if (qresync) {
+                var qresyncParams = [{
+                    type: 'ATOM',
+                    value: String(options.qresync.uidValidity)
+                }, {
+                    type: 'ATOM',
+                    value: String(options.qresync.highestModseq)
+                }];
+
+                if (options.qresync.knownUids) {
+                    qresyncParams.push({
+                        type: 'SEQUENCE',
+                        value: options.qresync.knownUids
+                    });
+                }
+
+                query.attributes.push([{
+                    type: 'ATOM',
+                    value: 'QRESYNC'
+                }, qresyncParams]);
+
+                // expunged and changed messages are reported while the mailbox is being opened
+                acceptUntagged.push('VANISHED', 'FETCH');
+            } else if (options.condstore && this._capability.indexOf('CONDSTORE') >= 0) {
+                query.attributes.push([{
+                    type: 'ATOM',
+                    value: 'CONDSTORE'
+                }]);
+            }
+
+            return this.exec(query, acceptUntagged, this._commandOptions(options, {
+                ctx: options.ctx
+            }));
         }).then((response) => {
             this._changeState(this.STATE_SELECTED);
 
@@ -264,6 +593,28 @@
 
             var mailboxInfo = this._parseSELECT(response);
 
+            // remember everything that is needed to select the mailbox again after reconnecting
+            this._selectedMailboxOptions = {
+                readOnly: !!options.readOnly,
+                condstore: !!options.condstore
+            };
+            if (options.qresync) {
+                this._selectedMailboxOptions.qresync = {
+                    uidValidity: mailboxInfo && mailboxInfo.uidValidity || options.qresync.uidValidity,
+                    highestModseq: mailboxInfo && mailboxInfo.highestModseq || options.qresync.highestModseq,
+                    knownUids: options.qresync.knownUids
+                };
+            }
+
+            if (qresync && response && response.payload) {
+                // VANISHED (EARLIER) and FETCH responses belong to the mailbox that was just opened
+                if (mailboxInfo) {
+                    mailboxInfo.vanished = [].concat(response.payload.VANISHED || []).reduce((uids, vanished) => uids.concat(this._parseVANISHED(vanished)), []);
+                }
+                [].concat(response.payload.VANISHED || []).forEach((vanished) => this._untaggedVanishedHandler(vanished));
+                [].concat(response.payload.FETCH || []).forEach((fetch) => this._untaggedFetchHandler(fetch));
+            }
+
             var maybePromise = this.onselectmailbox && this.onselectmailbox(path, mailboxInfo);
             if (maybePromise && typeof maybePromise.then === 'function') {
                 return maybePromise.then(() => mailboxInfo);
@@ -273,6 +624,74 @@
         });
     };
 
+    /**
+     * Runs STATUS command to get the counters of a mailbox without selecting it.
+     * The currently selected mailbox is not changed.
+     *
+     * STATUS details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.10
+     * HIGHESTMODSEQ details:
+     *   https://tools.ietf.org/html/rfc7162#section-3.1.7
+     * SIZE details:
+     *   https://tools.ietf.org/html/rfc8438
+     *
+     * @param {String} path Full path to mailbox
+     * @param {Array} [items] Status data items, eg. ['MESSAGES', 'UNSEEN']. Defaults to all items supported by the server
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the mailbox status object
+     */
+    Client.prototype.mailboxStatus = function(path, items, options) {
+        items = [].concat(items || this._defaultStatusItems()).map((item) => (item || '').toString().toUpperCase().trim());
+
+        this.logger.debug('Requesting status for', path, '...');
+        return this.exec({
+            command: 'STATUS',
+            attributes: [{
+                type: 'STRING',
+                value: path
+            }, items.map((item) => {
+                return {
+                    type: 'ATOM',
+                    value: item
+                };
+            })]
+        }, 'STATUS', this._commandOptions(options)).then((response) => {
+            this._routeUnsolicited(response, 'STATUS', (item) => this._isSameMailbox(([].concat(item.attributes || [])[0] || {}).value, path), this._untaggedStatusHandler);
+            return this._parseSTATUS(response);
+        });
+    };
+
+    /**
+     * Runs NOTIFY command to receive updates about other mailboxes than the selected one.
+     * Changes are reported with onupdate as 'status' (for new and expunged messages in
+     * mailboxes that are not selected) and 'list' (for created, renamed and deleted mailboxes).
+     *
+     * NOTIFY details:
+     *   https://tools.ietf.org/html/rfc5465
+     *
+     * @param {Array} groups List of event groups, eg. [{set: 'inboxes', events: ['MessageNew', 'MessageExpunge']}, {subtree: 'Lists', events: ['MailboxName']}]. Use an empty list to stop notifications
+     * @param {Object} [options] Options object. Use {status: true} to get the current status of the watched mailboxes right away
+     * @returns {Promise} Promise resolves when the server accepted the notification settings
+     */
+    Client.prototype.notify = function(groups, options) {
+        groups = [].concat(groups || []);
+        options = options || {};
+
+        if (this._capability.indexOf('NOTIFY') < 0) {
+            return Promise.reject(new Error('Server does not support NOTIFY'));
+        }
+
+        this.logger.debug(groups.length ? 'Setting notifications...' : 'Disabling notifications...');
+        return this.exec(this._buildNOTIFYCommand(groups, options), null, this._commandOptions(options)).then(() => {
+            this._notify = groups.length ? {
+                groups: groups,
+                options: {
+                    status: options.status
+                }
+            } : false;
+        });
+    };
+
     /**
      * Runs NAMESPACE command
      *
@@ -293,111 +712,589 @@
     };
 
     /**
-     * Runs LIST and LSUB commands. Retrieves a tree of available mailboxes
+     * Runs GETQUOTA command to get the usage and limits of a quota root
      *
-     * LIST details:
-     *   http://tools.ietf.org/html/rfc3501#section-6.3.8
-     * LSUB details:
-     *   http://tools.ietf.org/html/rfc3501#section-6.3.9
+     * QUOTA details:
+     *   https://tools.ietf.org/html/rfc9208
      *
-     * @returns {Promise} Promise with list of mailboxes
+     * @param {String} root Quota root name, eg. '' for the default root
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the quota object, eg. {root: '', storage: {usage: 10, limit: 512}}
      */
-    Client.prototype.listMailboxes = function() {
-        var tree;
+    Client.prototype.getQuota = function(root, options) {
+        if (!this._hasQuotaSupport()) {
+            return Promise.reject(new Error('Server does not support QUOTA'));
+        }
 
-        this.logger.debug('Listing mailboxes...');
+        this.logger.debug('Requesting quota for', root, '...');
         return this.exec({
-            command: 'LIST',
-            attributes: ['', '*']
-        }, 'LIST').then((response) => {
-            tree = {
-                root: true,
-                children: []
-            };
-
-            if (!response.payload || !response.payload.LIST || !response.payload.LIST.length) {
-                return;
-            }
-
-            response.payload.LIST.forEach((item) => {
-                if (!item || !item.attributes || item.attributes.length < 3) {
-                    return;
-                }
-                var branch = this._ensurePath(tree, (item.attributes[2].value || '').toString(), (item.attributes[1] ? item.attributes[1].value : '/').toString());
-                branch.flags = [].concat(item.attributes[0] || []).map((flag) => (flag.value || '').toString());
-                branch.listed = true;
-                this._checkSpecialUse(branch);
-            });
-
-        }).then(() => {
-            return this.exec({
-                command: 'LSUB',
-                attributes: ['', '*']
-            }, 'LSUB');
-
-        }).then((response) => {
-            if (!response.payload || !response.payload.LSUB || !response.payload.LSUB.length) {
-                return tree;
-            }
-
-            response.payload.LSUB.forEach((item) => {
-                if (!item || !item.attributes || item.attributes.length < 3) {
-                    return;
-                }
-                var branch = this._ensurePath(tree, (item.attributes[2].value || '').toString(), (item.attributes[1] ? item.attributes[1].value : '/').toString());
-                [].concat(item.attributes[0] || []).map((flag) => {
-                    flag = (flag.value || '').toString();
-                    if (!branch.flags || branch.flags.indexOf(flag) < 0) {
-                        branch.flags = [].concat(branch.flags || []).concat(flag);
-                    }
-                });
-                branch.subscribed = true;
-            });
-            return tree;
-
-        }).catch((err) => {
-            if (tree) {
-                return tree; // ignore error for subscribed mailboxes if there's a valid response already
-            }
-
-            throw err;
+            command: 'GETQUOTA',
+            attributes: [{
+                type: 'STRING',
+                value: root || ''
+            }]
+        }, 'QUOTA', this._commandOptions(options)).then((response) => this._parseQUOTA(response).shift() || {
+            root: root || ''
         });
     };
 
     /**
-     * Create a mailbox with the given path.
+     * Runs GETQUOTAROOT command to get the quota roots of a mailbox with their usage and limits
      *
-     * CREATE details:
-     *   http://tools.ietf.org/html/rfc3501#section-6.3.3
+     * QUOTA details:
+     *   https://tools.ietf.org/html/rfc9208
      *
-     * @param {String} path
-     *     The path of the mailbox you would like to create.  This method will
-     *     handle utf7 encoding for you.
-     * @returns {Promise}
-     *     Promise resolves if mailbox was created.
-     *     In the event the server says NO [ALREADYEXISTS], we treat that as success.
+     * @param {String} path Full path to mailbox
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the list of quota objects, one for every quota root of the mailbox
      */
-    Client.prototype.createMailbox = function(path) {
-        this.logger.debug('Creating mailbox', path, '...');
+    Client.prototype.getQuotaRoot = function(path, options) {
+        if (!this._hasQuotaSupport()) {
+            return Promise.reject(new Error('Server does not support QUOTA'));
+        }
+
+        this.logger.debug('Requesting quota roots for', path, '...');
         return this.exec({
-            command: 'CREATE',
+            command: 'GETQUOTAROOT',
             attributes: [utf7.imap.encode(path)]
-        }).catch((err) => {
-            if (err && err.code === 'ALREADYEXISTS') {
-                return;
-            }
+        }, ['QUOTAROOT', 'QUOTA'], this._commandOptions(options)).then((response) => {
+            var quotas = this._parseQUOTA(response);
 
-            throw err;
+            return this._parseQUOTAROOT(response).map((root) => quotas.filter((quota) => quota.root === root).shift() || {
+                root: root
+            });
         });
     };
 
     /**
-     * Runs FETCH command
+     * Runs SETQUOTA command to change the limits of a quota root. Usually
+     * only administrators are allowed to do this.
      *
-     * FETCH details:
-     *   http://tools.ietf.org/html/rfc3501#section-6.4.5
-     * CHANGEDSINCE details:
-     *   https://tools.ietf.org/html/rfc4551#section-3.3
+     * QUOTA details:
+     *   https://tools.ietf.org/html/rfc9208
+     *
+     * @param {String} root Quota root name
+     * @param {Object} limits Resource limits, eg. {storage: 512, messages: 1000}. Storage is in units of 1024 octets
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the updated quota object if the server reports it
+     */
+    Client.prototype.setQuota = function(root, limits, options) {
+        if (!this._hasQuotaSupport()) {
+            return Promise.reject(new Error('Server does not support QUOTA'));
+        }
+
+        var resources = [];
+        Object.keys(limits || {}).forEach((key) => {
+            resources.push({
+                type: 'ATOM',
+                value: this._quotaResourceName(key)
+            }, {
+                type: 'ATOM',
+                value: String(Number(limits[key]) || 0)
+            });
+        });
+
+        this.logger.debug('Setting quota for', root, '...');
+        return this.exec({
+            command: 'SETQUOTA',
+            attributes: [{
+                type: 'STRING',
+                value: root || ''
+            }, resources]
+        }, 'QUOTA', this._commandOptions(options)).then((response) => this._parseQUOTA(response).shift());
+    };
+
+    /**
+     * Runs GETACL command to list the access control list of a mailbox
+     *
+     * ACL details:
+     *   https://tools.ietf.org/html/rfc4314
+     *
+     * @param {String} path Full path to mailbox.  This method will handle utf7 encoding for you.
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the rights by identifier, eg. {fred: ['l', 'r', 's']}
+     */
+    Client.prototype.getAcl = function(path, options) {
+        if (this._capability.indexOf('ACL') < 0) {
+            return Promise.reject(new Error('Server does not support ACL'));
+        }
+
+        this.logger.debug('Requesting ACL for', path, '...');
+        return this.exec({
+            command: 'GETACL',
+            attributes: [utf7.imap.encode(path)]
+        }, 'ACL', this._commandOptions(options)).then((response) => this._parseACL(response));
+    };
+
+    /**
+     * Runs SETACL command to change the rights of an identifier on a mailbox
+     *
+     * ACL details:
+     *   https://tools.ietf.org/html/rfc4314
+     *
+     * @param {String} path Full path to mailbox.  This method will handle utf7 encoding for you.
+     * @param {String} identifier User or group name, eg. 'fred' or 'anyone'
+     * @param {Array|String} rights Rights to set, eg. ['l', 'r'] or 'lr'. Prefix a string with + or - to add or remove rights
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise resolves if the rights were changed
+     */
+    Client.prototype.setAcl = function(path, identifier, rights, options) {
+        if (this._capability.indexOf('ACL') < 0) {
+            return Promise.reject(new Error('Server does not support ACL'));
+        }
+
+        this.logger.debug('Setting ACL for', identifier, 'on', path, '...');
+        return this.exec({
+            command: 'SETACL',
+            attributes: [utf7.imap.encode(path), {
+                type: 'STRING',
+                value: identifier
+            }, {
+                type: 'STRING',
+                value: [].concat(rights || []).join('')
+            }]
+        }, null, this._commandOptions(options)).then(() => {});
+    };
+
+    /**
+     * Runs DELETEACL command to remove an identifier from the access control list of a mailbox
+     *
+     * ACL details:
+     *   https://tools.ietf.org/html/rfc4314
+     *
+     * @param {String} path Full path to mailbox.  This method will handle utf7 encoding for you.
+     * @param {String} identifier User or group name
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise resolves if the identifier was removed
+     */
+    Client.prototype.deleteAcl = function(path, identifier, options) {
+        if (this._capability.indexOf('ACL') < 0) {
+            return Promise.reject(new Error('Server does not support ACL'));
+        }
+
+        this.logger.debug('Deleting ACL for', identifier, 'on', path, '...');
+        return this.exec({
+            command: 'DELETEACL',
+            attributes: [utf7.imap.encode(path), {
+                type: 'STRING',
+                value: identifier
+            }]
+        }, null, this._commandOptions(options)).then(() => {});
+    };
+
+    /**
+     * Runs LISTRIGHTS command to find out which rights can be granted to an identifier on a mailbox
+     *
+     * ACL details:
+     *   https://tools.ietf.org/html/rfc4314
+     *
+     * @param {String} path Full path to mailbox.  This method will handle utf7 encoding for you.
+     * @param {String} identifier User or group name
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with {required, optional} where required is the list of rights that are
+     *     always granted and optional is a list of right groups that can only be granted together
+     */
+    Client.prototype.listRights = function(path, identifier, options) {
+        if (this._capability.indexOf('ACL') < 0) {
+            return Promise.reject(new Error('Server does not support ACL'));
+        }
+
+        this.logger.debug('Listing rights for', identifier, 'on', path, '...');
+        return this.exec({
+            command: 'LISTRIGHTS',
+            attributes: [utf7.imap.encode(path), {
+                type: 'STRING',
+                value: identifier
+            }]
+        }, 'LISTRIGHTS', this._commandOptions(options)).then((response) => this._parseLISTRIGHTS(response));
+    };
+
+    /**
+     * Runs MYRIGHTS command to get the rights of the current user on a mailbox
+     *
+     * ACL details:
+     *   https://tools.ietf.org/html/rfc4314
+     *
+     * @param {String} path Full path to mailbox.  This method will handle utf7 encoding for you.
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the list of rights, eg. ['l', 'r', 's']
+     */
+    Client.prototype.myRights = function(path, options) {
+        if (this._capability.indexOf('ACL') < 0) {
+            return Promise.reject(new Error('Server does not support ACL'));
+        }
+
+        this.logger.debug('Requesting my rights on', path, '...');
+        return this.exec({
+            command: 'MYRIGHTS',
+            attributes: [utf7.imap.encode(path)]
+        }, 'MYRIGHTS', this._commandOptions(options)).then((response) => this._parseMYRIGHTS(response));
+    };
+
+    /**
+     * Runs GETMETADATA command to read mailbox or server annotations
+     *
+     * METADATA details:
+     *   https://tools.ietf.org/html/rfc5464
+     *
+     * @param {String} path Full path to mailbox or '' for server annotations
+     * @param {Array} entries Entry names, eg. ['/private/comment']
+     * @param {Object} [options] Options object. Use `depth` (0, 1 or 'infinity') to include sub-entries, `maxSize` to skip larger values and `binary: true` to get the values as Uint8Array
+     * @returns {Promise} Promise with {entries: {'/private/comment': 'value'}}. If values were skipped because of maxSize, longEntries is set to the size of the largest skipped value
+     */
+    Client.prototype.getMetadata = function(path, entries, options) {
+        options = options || {};
+
+        if (!this._hasMetadataSupport(path)) {
+            return Promise.reject(new Error('Server does not support METADATA'));
+        }
+
+        var attributes = [];
+        var parameters = [];
+
+        if (options.maxSize) {
+            parameters.push({
+                type: 'ATOM',
+                value: 'MAXSIZE'
+            }, {
+                type: 'NUMBER',
+                value: options.maxSize
+            });
+        }
+        if (typeof options.depth !== 'undefined' && options.depth !== null) {
+            parameters.push({
+                type: 'ATOM',
+                value: 'DEPTH'
+            }, {
+                type: 'ATOM',
+                value: options.depth.toString()
+            });
+        }
+        if (parameters.length) {
+            attributes.push(parameters);
+        }
+
+        attributes.push({
+            type: 'STRING',
+            value: utf7.imap.encode(path || '')
+        }, [].concat(entries || []).map((entry) => ({
+            type: 'ATOM',
+            value: entry
+        })));
+
+        this.logger.debug('Requesting metadata for', path, '...');
+        return this.exec({
+            command: 'GETMETADATA',
+            attributes: attributes
+        }, 'METADATA', this._commandOptions(options)).then((response) => {
+            var result = {
+                entries: this._parseMETADATA(response, options)
+            };
+
+            if (response && response.code === 'LONGENTRIES') {
+                result.longEntries = Number(response.longentries) || 0;
+            }
+
+            return result;
+        });
+    };
+
+    /**
+     * Runs SETMETADATA command to set or remove mailbox or server annotations.
+     * Values that are not printable ASCII (or Uint8Array values) are sent as literals.
+     *
+     * METADATA details:
+     *   https://tools.ietf.org/html/rfc5464
+     *
+     * @param {String} path Full path to mailbox or '' for server annotations
+     * @param {Object} entries Entry values, eg. {'/private/comment': 'value'}. Use null to remove an entry
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise resolves when the entries were stored
+     */
+    Client.prototype.setMetadata = function(path, entries, options) {
+        if (!this._hasMetadataSupport(path)) {
+            return Promise.reject(new Error('Server does not support METADATA'));
+        }
+
+        var values = [];
+        Object.keys(entries || {}).forEach((entry) => {
+            values.push({
+                type: 'ATOM',
+                value: entry
+            }, this._buildMetadataValue(entries[entry]));
+        });
+
+        this.logger.debug('Setting metadata for', path, '...');
+        return this.exec({
+            command: 'SETMETADATA',
+            attributes: [{
+                type: 'STRING',
+                value: utf7.imap.encode(path || '')
+            }, values]
+        }, null, this._commandOptions(options)).then(() => {});
+    };
+
+    /**
+     * Runs LIST and LSUB commands. Retrieves a tree of available mailboxes
+     *
+     * If the server supports LIST-EXTENDED, a single extended LIST command is used
+     * instead that also returns the subscription state, children info and
+     * (with LIST-STATUS) the STATUS counters of the mailboxes.
+     *
+     * LIST details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.8
+     * LSUB details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.9
+     * LIST-EXTENDED details:
+     *   https://tools.ietf.org/html/rfc5258
+     * LIST-STATUS details:
+     *   https://tools.ietf.org/html/rfc5819
+     *
+     * @param {Object} [options] Options object
+     * @param {Array} [options.patterns] Mailbox name patterns, defaults to ['*']
+     * @param {Array} [options.statusItems] STATUS data items to return for every mailbox (LIST-STATUS only)
+     * @param {Boolean} [options.specialUseOnly] If true, only lists special use mailboxes (LIST-EXTENDED and SPECIAL-USE only)
+     * @param {Boolean} [options.myRights] If true, adds the rights of the user as `myRights` to every listed mailbox (ACL only)
+     * @returns {Promise} Promise with list of mailboxes
+     */
+    Client.prototype.listMailboxes = function(options) {
+        options = options || {};
+
+        var patterns = [].concat(options.patterns || '*');
+        var listed = false;
+        var tree = {
+            root: true,
+            children: []
+        };
+
+        if (this._capability.indexOf('LIST-EXTENDED') >= 0) {
+            return this._listMailboxesExtended(tree, patterns, options).then(() => this._annotateMyRights(tree, options));
+        }
+
+        this.logger.debug('Listing mailboxes...');
+        return this._listPatterns('LIST', patterns, options, (item) => {
+            var branch = this._ensurePath(tree, (item.attributes[2].value || '').toString(), (item.attributes[1] ? item.attributes[1].value : '/').toString());
+            branch.flags = [].concat(item.attributes[0] || []).map((flag) => (flag.value || '').toString());
+            branch.listed = true;
+            this._checkSpecialUse(branch);
+
+        }).then(() => {
+            listed = true;
+            return this._listPatterns('LSUB', patterns, options, (item) => {
+                var branch = this._ensurePath(tree, (item.attributes[2].value || '').toString(), (item.attributes[1] ? item.attributes[1].value : '/').toString());
+                [].concat(item.attributes[0] || []).map((flag) => {
+                    flag = (flag.value || '').toString();
+                    if (!branch.flags || branch.flags.indexOf(flag) < 0) {
+                        branch.flags = [].concat(branch.flags || []).concat(flag);
+                    }
+                });
+                branch.subscribed = true;
+            });
+
+        }).then(() => tree).catch((err) => {
+            if (listed) {
+                return tree; // ignore error for subscribed mailboxes if there's a valid response already
+            }
+
+            throw err;
+        }).then(() => this._annotateMyRights(tree, options));
+    };
+
+    /**
+     * Create a mailbox with the given path.
+     *
+     * CREATE details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.3
+     *
+     * @param {String} path
+     *     The path of the mailbox you would like to create.  This method will
+     *     handle utf7 encoding for you.
+     * @param {Object} [options] Options object
+     * @returns {Promise}
+     *     Promise resolves if mailbox was created.
+     *     In the event the server says NO [ALREADYEXISTS], we treat that as success.
+     */
+    Client.prototype.createMailbox = function(path, options) {
+        this.logger.debug('Creating mailbox', path, '...');
+        return this.exec({
+            command: 'CREATE',
+            attributes: [utf7.imap.encode(path)]
+        }, null, this._commandOptions(options)).catch((err) => {
+            if (err && err.code === 'ALREADYEXISTS') {
+                return;
+            }
+
+            throw err;
+        });
+    };
+
+    /**
+     * Delete a mailbox with the given path. If the mailbox is currently selected,
+     * it is closed.
+     *
+     * DELETE details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.4
+     *
+     * @param {String} path
+     *     The path of the mailbox you would like to delete.  This method will
+     *     handle utf7 encoding for you.
+     * @param {Object} [options] Options object
+     * @returns {Promise}
+     *     Promise resolves if mailbox was deleted.
+     *     In the event the server says NO [NONEXISTENT], we treat that as success.
+     */
+    Client.prototype.deleteMailbox = function(path, options) {
+        this.logger.debug('Deleting mailbox', path, '...');
+        return this.exec({
+            command: 'DELETE',
+            attributes: [utf7.imap.encode(path)]
+        }, null, this._commandOptions(options)).catch((err) => {
+            if (err && err.code === 'NONEXISTENT') {
+                return;
+            }
+
+            throw err;
+        }).then(() => {
+            if (this._selectedMailbox === path) {
+                // emits onclosemailbox and clears the selected mailbox
+                this._changeState(this.STATE_AUTHENTICATED);
+            }
+        });
+    };
+
+    /**
+     * Rename a mailbox. If the mailbox or one of its children is currently selected,
+     * it stays selected with the new path. Renaming INBOX moves its messages to the
+     * new mailbox, INBOX itself stays.
+     *
+     * RENAME details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.5
+     *
+     * @param {String} path
+     *     The current path of the mailbox.  This method will handle utf7
+     *     encoding for you.
+     * @param {String} newPath
+     *     The new path of the mailbox.  This method will handle utf7 encoding
+     *     for you.
+     * @param {Object} [options] Options object
+     * @returns {Promise}
+     *     Promise resolves if mailbox was renamed.
+     */
+    Client.prototype.renameMailbox = function(path, newPath, options) {
+        var encodedPath = utf7.imap.encode(path);
+        var encodedNewPath = utf7.imap.encode(newPath);
+
+        this.logger.debug('Renaming mailbox', path, 'to', newPath, '...');
+        return this.exec({
+            command: 'RENAME',
+            attributes: [encodedPath, encodedNewPath]
+        }, null, this._commandOptions(options)).then(() => {
+            var selected = this._selectedMailbox;
+            var renamed = (selectedPath) => {
+                // the old path is not valid anymore
+                this.onclosemailbox && this.onclosemailbox(selected);
+                this._selectedMailbox = selectedPath;
+            };
+
+            if (typeof selected !== 'string' || selected.indexOf(encodedPath) !== 0 || encodedPath.toUpperCase() === 'INBOX') {
+                return;
+            }
+
+            if (selected === encodedPath) {
+                return renamed(encodedNewPath);
+            }
+
+            // a child of the renamed mailbox is selected if the path continues with the hierarchy delimiter
+            return this._getDelimiter(options).then((delimiter) => {
+                if (delimiter && this._selectedMailbox === selected && selected.substr(encodedPath.length, delimiter.length) === delimiter) {
+                    renamed(encodedNewPath + selected.substr(encodedPath.length));
+                }
+            });
+        });
+    };
+
+    /**
+     * Runs LIST "" "" to get the hierarchy delimiter of the server
+     *
+     * LIST details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.8
+     *
+     * @param {Object} [options] Options object
+     * @returns {Promise} Promise with the delimiter, empty if there is no hierarchy
+     */
+    Client.prototype._getDelimiter = function(options) {
+        return this.exec({
+            command: 'LIST',
+            attributes: ['', '']
+        }, 'LIST', this._commandOptions(options)).then((response) => {
+            this._routeUnsolicited(response, 'LIST', (item) => this._isListedBy(item, ['']), this._untaggedListHandler);
+
+            var attributes = [].concat(([].concat(response && response.payload && response.payload.LIST || [])[0] || {}).attributes || []);
+            return (attributes[1] && attributes[1].value || '').toString();
+        });
+    };
+
+    /**
+     * Add a mailbox to the list of subscribed mailboxes.
+     *
+     * SUBSCRIBE details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.6
+     *
+     * @param {String} path
+     *     The path of the mailbox.  This method will handle utf7 encoding for you.
+     * @param {Object} [options] Options object
+     * @returns {Promise}
+     *     Promise resolves if mailbox was subscribed.
+     *     In the event the server says NO [ALREADYEXISTS], we treat that as success.
+     */
+    Client.prototype.subscribeMailbox = function(path, options) {
+        this.logger.debug('Subscribing to mailbox', path, '...');
+        return this.exec({
+            command: 'SUBSCRIBE',
+            attributes: [utf7.imap.encode(path)]
+        }, null, this._commandOptions(options)).catch((err) => {
+            if (err && err.code === 'ALREADYEXISTS') {
+                return;
+            }
+
+            throw err;
+        });
+    };
+
+    /**
+     * Remove a mailbox from the list of subscribed mailboxes.
+     *
+     * UNSUBSCRIBE details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.3.7
+     *
+     * @param {String} path
+     *     The path of the mailbox.  This method will handle utf7 encoding for you.
+     * @param {Object} [options] Options object
+     * @returns {Promise}
+     *     Promise resolves if mailbox was unsubscribed.
+     *     In the event the server says NO [NONEXISTENT], we treat that as success.
+     */
+    Client.prototype.unsubscribeMailbox = function(path, options) {
+        this.logger.debug('Unsubscribing from mailbox', path, '...');
+        return this.exec({
+            command: 'UNSUBSCRIBE',
+            attributes: [utf7.imap.encode(path)]
+        }, null, this._commandOptions(options)).catch((err) => {
+            if (err && err.code === 'NONEXISTENT') {
+                return;
+            }
+
+            throw err;
+        });
+    };
+
+    /**
+     * Runs FETCH command
+     *
+     * FETCH details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.4.5
+     * CHANGEDSINCE details:
+     *   https://tools.ietf.org/html/rfc4551#section-3.3
      *
      * @param {String} path The path for the mailbox which should be selected for the command. Selects mailbox if necessary
      * @param {String} sequence Sequence set, eg 1:* for all messages
@@ -413,9 +1310,200 @@
 
         this.logger.debug('Fetching messages', sequence, 'from', path, '...');
         var command = this._buildFETCHCommand(sequence, items, options);
-        return this.exec(command, 'FETCH', {
+        return this.exec(command, 'FETCH', this._commandOptions(options, {
             precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
-        }).then((response) => this._parseFETCH(response));
+        })).then((response) => this._parseFETCH(response));
+    };
+
+    /**
+     * Runs FETCH command and streams the results. Unlike #listMessages the untagged
+     * FETCH responses are not buffered until the command completes, every message
+     * is parsed and handed over as soon as it arrives from the server.
+     *
+     * The command is sent when the first value is requested. If the iteration is
+     * stopped early, the command still runs to completion but the rest of the
+     * messages are discarded.
+     *
+     * If more than FETCH_HIGH_WATER_MARK messages are waiting for the consumer, reading
+     * from the socket is suspended until half of these are consumed. If the socket does
+     * not support suspending (see Imap#suspend), the messages are buffered.
+     *
+     *     for await (let message of client.fetchMessages('INBOX', '1:*', ['uid', 'body[]'])) { ... }
+     *
+     * @param {String} path The path for the mailbox which should be selected for the command. Selects mailbox if necessary
+     * @param {String} sequence Sequence set, eg 1:* for all messages
+     * @param {Object} [items] Message data item names or macro
+     * @param {Object} [options] Query modifiers
+     * @returns {Object} Async iterator that yields the fetched messages one by one
+     */
+    Client.prototype.fetchMessages = function(path, sequence, items, options) {
+        items = items || [{
+            fast: true
+        }];
+        options = options || {};
+
+        var queue = []; // parsed messages not yet consumed
+        var waiting = []; // pending next() calls
+        var started = false;
+        var finished = false;
+        var stopped = false;
+        var error = null;
+        var client = null; // the connection the command runs on
+        var suspended = false;
+
+        var settle = () => {
+            var deferred;
+            while (waiting.length && (queue.length || finished)) {
+                deferred = waiting.shift();
+                if (queue.length) {
+                    deferred.resolve({
+                        value: queue.shift(),
+                        done: false
+                    });
+                } else if (error) {
+                    deferred.reject(error);
+                    error = null; // report the error only once
+                } else {
+                    deferred.resolve({
+                        value: undefined,
+                        done: true
+                    });
+                }
+            }
+
+            if (suspended && (finished || queue.length <= this.FETCH_HIGH_WATER_MARK / 2)) {
+                suspended = false;
+                client.resume();
+            }
+        };
+
+        var start = () => {
+            started = true;
+            client = this.client;
+
+            this.logger.debug('Streaming messages', sequence, 'from', path, '...');
+            var command = this._buildFETCHCommand(sequence, items, options);
+            this.exec(command, 'FETCH', this._commandOptions(options, {
+                precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx }),
+                untaggedHandler: (response) => {
+                    if (stopped) {
+                        return;
+                    }
+                    this._parseFETCH({
+                        payload: {
+                            FETCH: [response]
+                        }
+                    }).forEach((message) => queue.push(message));
+                    settle();
+
+                    if (!suspended && queue.length >= this.FETCH_HIGH_WATER_MARK) {
+                        // the consumer is too slow, stop reading until it catches up
+                        suspended = client.suspend();
+                    }
+                }
+            })).then(() => {
+                finished = true;
+                settle();
+            }).catch((err) => {
+                finished = true;
+                error = stopped ? null : err;
+                settle();
+            });
+        };
+
+        var iterator = {
+            next: () => new Promise((resolve, reject) => {
+                waiting.push({
+                    resolve: resolve,
+                    reject: reject
+                });
+                if (!started && !stopped) {
+                    start();
+                }
+                settle();
+            }),
+
+            return: (value) => {
+                stopped = true;
+                finished = true;
+                queue = [];
+                settle();
+                return Promise.resolve({
+                    value: value,
+                    done: true
+                });
+            }
+        };
+        iterator[ASYNC_ITERATOR] = () => iterator;
+
+        return iterator;
+    };
+
+    /**
+     * Fetches the decoded content of a body part. If the server supports the BINARY
+     * extension, the server decodes the content, otherwise the encoded content is
+     * fetched with BODY.PEEK and the Content-Transfer-Encoding is decoded by the client.
+     * Unless options.encoding is set, the encoding is taken from the BODYSTRUCTURE that
+     * is fetched along with the part, the promise is rejected if the part does not exist.
+     *
+     * BINARY details:
+     *   https://tools.ietf.org/html/rfc3516
+     *
+     * @param {String} path The path for the mailbox which should be selected for the command. Selects mailbox if necessary
+     * @param {String} sequence Sequence set, eg 1:* for all messages
+     * @param {String} part Body part number, eg. '1.2'
+     * @param {Object} [options] Query modifiers
+     * @param {Boolean} [options.byUid] If true, uses UID FETCH instead of FETCH
+     * @param {String} [options.encoding] Content-Transfer-Encoding of the part (eg. from the bodystructure), used if BINARY is not supported
+     * @returns {Promise} Promise with the list of {#, uid, content} objects, content is an Uint8Array
+     */
+    Client.prototype.fetchBodyPart = function(path, sequence, part, options) {
+        options = options || {};
+        part = (part || '').toString().trim();
+
+        var fetchEncoded = () => {
+            var query = ['uid', 'body.peek[' + part + ']'];
+            if (!options.encoding && part) {
+                // the Content-Transfer-Encoding of the part is needed to decode it
+                query.push('bodystructure');
+            }
+
+            return this.listMessages(path, sequence, query, options).then((messages) => messages.map((message) => {
+                var encoding = options.encoding;
+                var node;
+
+                if (!encoding && part) {
+                    node = this._findBodyPart(message.bodystructure, part);
+                    if (!node) {
+                        throw new Error('Body part ' + part + ' not found in message ' + (message.uid || message['#']));
+                    }
+                    encoding = node.encoding;
+                }
+
+                return {
+                    '#': message['#'],
+                    uid: message.uid,
+                    content: this._decodeTransferEncoding(message['body[' + part + ']'], encoding)
+                };
+            }));
+        };
+
+        if (!this.hasCapability('BINARY')) {
+            return fetchEncoded();
+        }
+
+        return this.listMessages(path, sequence, ['uid', 'binary.peek[' + part + ']'], options).then((messages) => messages.map((message) => ({
+            '#': message['#'],
+            uid: message.uid,
+            content: this._decodeTransferEncoding(message['binary[' + part + ']'], 'binary')
+        }))).catch((err) => {
+            if (err && err.code === 'UNKNOWN-CTE') {
+                // the server is not able to decode the part, do it ourselves
+                return fetchEncoded();
+            }
+
+            throw err;
+        });
     };
 
     /**
@@ -423,20 +1511,92 @@
      *
      * SEARCH details:
      *   http://tools.ietf.org/html/rfc3501#section-6.4.4
+     * ESEARCH details:
+     *   https://tools.ietf.org/html/rfc4731
+     *
+     * If `options.returnOptions` is set, resolves with a result object instead of an array.
+     * If the server does not support ESEARCH, the result object is calculated from a regular
+     * SEARCH response.
      *
      * @param {String} path The path for the mailbox which should be selected for the command. Selects mailbox if necessary
      * @param {Object} query Search terms
      * @param {Object} [options] Query modifiers
-     * @returns {Promise} Promise with the array of matching seq. or uid numbers
+     * @param {Array} [options.returnOptions] ESEARCH result options, eg. ['MIN', 'MAX', 'COUNT', 'ALL', 'SAVE']
+     * @returns {Promise} Promise with the array of matching seq. or uid numbers or the {min, max, count, all} result object
      */
     Client.prototype.search = function(path, query, options) {
         options = options || {};
 
+        var returnOptions = options.returnOptions && [].concat(options.returnOptions).map((option) => (option || '').toString().toUpperCase().trim());
+        var esearch = !!returnOptions && this._capability.indexOf('ESEARCH') >= 0;
+
         this.logger.debug('Searching in', path, '...');
-        var command = this._buildSEARCHCommand(query, options);
-        return this.exec(command, 'SEARCH', {
+        var command = this._buildSEARCHCommand(query, !returnOptions || esearch ? options : {
+            byUid: options.byUid
+        });
+        return this.exec(command, esearch ? 'ESEARCH' : 'SEARCH', this._commandOptions(options, {
+            precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
+        })).then((response) => {
+            if (esearch) {
+                return this._parseESEARCH(response);
+            } else if (returnOptions) {
+                return this._buildESEARCHResult(this._parseSEARCH(response), returnOptions);
+            }
+            return this._parseSEARCH(response);
+        });
+    };
+
+    /**
+     * Runs SORT command
+     *
+     * SORT details:
+     *   https://tools.ietf.org/html/rfc5256#section-3
+     *
+     * @param {String} path The path for the mailbox which should be selected for the command. Selects mailbox if necessary
+     * @param {Array} criteria Sort criteria, eg. ['reverse date', 'subject']
+     * @param {Object} [query] Search terms, see #search
+     * @param {Object} [options] Query modifiers
+     * @returns {Promise} Promise with the array of sorted seq. or uid numbers
+     */
+    Client.prototype.sort = function(path, criteria, query, options) {
+        options = options || {};
+
+        if (this._capability.indexOf('SORT') < 0) {
+            return Promise.reject(new Error('Server does not support SORT'));
+        }
+
+        this.logger.debug('Sorting in', path, '...');
+        var command = this._buildSORTCommand(criteria, query, options);
+        return this.exec(command, 'SORT', this._commandOptions(options, {
+            precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
+        })).then((response) => this._parseSORT(response));
+    };
+
+    /**
+     * Runs THREAD command
+     *
+     * THREAD details:
+     *   https://tools.ietf.org/html/rfc5256#section-3
+     *
+     * @param {String} path The path for the mailbox which should be selected for the command. Selects mailbox if necessary
+     * @param {String} algorithm Threading algorithm, eg. 'REFERENCES' or 'ORDEREDSUBJECT'
+     * @param {Object} [query] Search terms, see #search
+     * @param {Object} [options] Query modifiers
+     * @returns {Promise} Promise with the list of thread trees
+     */
+    Client.prototype.thread = function(path, algorithm, query, options) {
+        options = options || {};
+        algorithm = (algorithm || 'REFERENCES').toString().toUpperCase().trim();
+
+        if (this._capability.indexOf('THREAD=' + algorithm) < 0) {
+            return Promise.reject(new Error('Server does not support THREAD=' + algorithm));
+        }
+
+        this.logger.debug('Threading in', path, '...');
+        var command = this._buildTHREADCommand(algorithm, query, options);
+        return this.exec(command, 'THREAD', this._commandOptions(options, {
             precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
-        }).then((response) => this._parseSEARCH(response));
+        })).then((response) => this._parseTHREAD(response));
     };
 
     /**
@@ -490,9 +1650,9 @@
         options = options || {};
 
         var command = this._buildSTORECommand(sequence, action, flags, options);
-        return this.exec(command, 'FETCH', {
+        return this.exec(command, 'FETCH', this._commandOptions(options, {
             precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
-        }).then((response) => this._parseFETCH(response));
+        })).then((response) => this._parseFETCH(response));
     };
 
     /**
@@ -504,7 +1664,8 @@
      * @param {String} destination The mailbox where to append the message
      * @param {String} message The message to append
      * @param {Array} options.flags Any flags you want to set on the uploaded message. Defaults to [\Seen]. (optional)
-     * @returns {Promise} Promise with the array of matching seq. or uid numbers
+     * @returns {Promise} Promise with {uidValidity, uid} of the uploaded message if the server supports UIDPLUS.
+     *     If the quota is exceeded, the error has the code OVERQUOTA
      */
     Client.prototype.upload = function(destination, message, options) {
         options = options || {};
@@ -530,7 +1691,18 @@
         };
 
         this.logger.debug('Uploading message to', destination, '...');
-        return this.exec(command);
+        return this.exec(command, null, this._commandOptions(options)).then((response) => this._parseAPPENDUID(response)).catch((err) => {
+            // servers without RFC 5530 response codes only mention the quota in the text of the tagged NO, eg. "NO [ALERT] Quota exceeded"
+            if (err instanceof errors.ImapNoResponseError && err.command === 'APPEND' && err.tag && (!err.code || err.code === 'ALERT') && /\bquota\b/i.test(err.serverText || '')) {
+                throw new errors.OverQuotaError(err.message, {
+                    command: err.command,
+                    tag: err.tag,
+                    code: 'OVERQUOTA',
+                    serverText: err.serverText
+                });
+            }
+            throw err;
+        });
     };
 
     /**
@@ -572,9 +1744,9 @@
             } else {
                 cmd = 'EXPUNGE';
             }
-            return this.exec(cmd, null, {
+            return this.exec(cmd, null, this._commandOptions(options, {
                 precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
-            });
+            }));
         });
     };
 
@@ -590,7 +1762,7 @@
      * @param {String} destination Destination mailbox path
      * @param {Object} [options] Query modifiers
      * @param {Boolean} [options.byUid] If true, uses UID COPY instead of COPY
-     * @returns {Promise} Promise
+     * @returns {Promise} Promise with {uidValidity, sourceUids, destinationUids} if the server supports UIDPLUS, otherwise with undefined
      */
     Client.prototype.copyMessages = function(path, sequence, destination, options) {
         options = options || {};
@@ -605,9 +1777,9 @@
                 type: 'atom',
                 value: destination
             }]
-        }, null, {
+        }, null, this._commandOptions(options, {
             precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
-        }).then((response) => (response.humanReadable || 'COPY completed'));
+        })).then((response) => this._parseCOPYUID(response));
     };
 
     /**
@@ -622,55 +1794,278 @@
      * @param {String} sequence Message range to be moved
      * @param {String} destination Destination mailbox path
      * @param {Object} [options] Query modifiers
-     * @returns {Promise} Promise
+     * @returns {Promise} Promise with {uidValidity, sourceUids, destinationUids} if the server supports UIDPLUS, otherwise with undefined
      */
     Client.prototype.moveMessages = function(path, sequence, destination, options) {
         options = options || {};
 
-        this.logger.debug('Moving messages', sequence, 'from', path, 'to', destination, '...');
+        this.logger.debug('Moving messages', sequence, 'from', path, 'to', destination, '...');
+
+        if (this._capability.indexOf('MOVE') === -1) {
+            // Fallback to COPY + EXPUNGE
+            return this.copyMessages(path, sequence, destination, options).then((result) => {
+                return this.deleteMessages(path, sequence, options).then(() => result);
+            });
+        }
+
+        // If possible, use MOVE
+        return this.exec({
+            command: options.byUid ? 'UID MOVE' : 'MOVE',
+            attributes: [{
+                type: 'sequence',
+                value: sequence
+            }, {
+                type: 'atom',
+                value: destination
+            }]
+        }, ['OK'], this._commandOptions(options, {
+            precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
+        })).then((response) => {
+            // COPYUID is sent with an untagged OK before the EXPUNGE responses
+            // but some servers include it in the tagged response instead
+            var untagged = [].concat(response && response.payload && response.payload.OK || []);
+            return [response].concat(untagged).map((item) => this._parseCOPYUID(item)).filter((result) => !!result).shift();
+        });
+    };
+
+
+    //
+    //
+    // INTERNALS
+    //
+    //
+
+
+    // State constants
+    Client.prototype.STATE_CONNECTING = 1;
+    Client.prototype.STATE_NOT_AUTHENTICATED = 2;
+    Client.prototype.STATE_AUTHENTICATED = 3;
+    Client.prototype.STATE_SELECTED = 4;
+    Client.prototype.STATE_LOGOUT = 5;
+
+    // Timeout constants
+    Client.prototype.TIMEOUT_CONNECTION = 90 * 1000; // Milliseconds to wait for the IMAP greeting from the server
+    Client.prototype.TIMEOUT_NOOP = 60 * 1000; // Milliseconds between NOOP commands while idling
+    Client.prototype.TIMEOUT_IDLE = 60 * 1000; // Milliseconds until IDLE command is cancelled
+    Client.prototype.TIMEOUT_IDLE_MAX = 29 * 60 * 1000; // Upper limit for the IDLE refresh interval, see RFC 2177
+    Client.prototype.TIMEOUT_RECONNECT_INITIAL = 1000; // Milliseconds to wait before the first reconnection attempt
+    Client.prototype.TIMEOUT_RECONNECT_MAX = 60 * 1000; // Upper limit for the delay between reconnection attempts
+
+    // Number of streamed messages waiting for the consumer until reading from the socket is suspended
+    Client.prototype.FETCH_HIGH_WATER_MARK = 100;
+
+
+    /**
+     * Copies the per-command options of a public method (timeout, signal) to
+     * the options object that is passed to #exec
+     *
+     * @param {Object} [options] Method options
+     * @param {Object} [execOptions] Options object for #exec
+     * @returns {Object} Options object for #exec
+     */
+    Client.prototype._commandOptions = function(options, execOptions) {
+        options = options || {};
+        execOptions = execOptions || {};
+
+        ['timeout', 'signal'].forEach((key) => {
+            if (options[key]) {
+                execOptions[key] = options[key];
+            }
+        });
+
+        return execOptions;
+    };
+
+    /**
+     * Adds the rights of the current user as `myRights` to every listed mailbox of the tree
+     * if requested with options.myRights. Mailboxes that can not be selected are skipped.
+     *
+     * @param {Object} tree Mailbox tree
+     * @param {Object} options Options object, see #listMailboxes
+     * @returns {Promise} Promise with the mailbox tree
+     */
+    Client.prototype._annotateMyRights = function(tree, options) {
+        var mailboxes = [];
+        var walk = (branch) => {
+            [].concat(branch.children || []).forEach((mailbox) => {
+                if (mailbox.listed && [].concat(mailbox.flags || []).map((flag) => flag.toUpperCase()).indexOf('\\NOSELECT') < 0) {
+                    mailboxes.push(mailbox);
+                }
+                walk(mailbox);
+            });
+        };
+
+        if (!options.myRights || this._capability.indexOf('ACL') < 0) {
+            return Promise.resolve(tree);
+        }
+
+        walk(tree);
+        return mailboxes.reduce((previous, mailbox) => {
+            return previous.then(() => this.myRights(utf7.imap.decode(mailbox.path), options)).then((rights) => {
+                mailbox.myRights = rights;
+            }).catch((err) => {
+                this.logger.warn('Could not get rights for', mailbox.path, err && err.message);
+            });
+        }, Promise.resolve()).then(() => tree);
+    };
+
+    /**
+     * Runs a LIST or LSUB command for every pattern in sequence and passes
+     * every valid untagged response to the handler
+     *
+     * @param {String} command Either 'LIST' or 'LSUB'
+     * @param {Array} patterns Mailbox name patterns
+     * @param {Object} options Options object, see #listMailboxes
+     * @param {Function} handler Invoked with every untagged response
+     * @returns {Promise} Resolves when all patterns have been listed
+     */
+    Client.prototype._listPatterns = function(command, patterns, options, handler) {
+        return patterns.reduce((previous, pattern) => {
+            return previous.then(() => {
+                return this.exec({
+                    command: command,
+                    attributes: ['', pattern]
+                }, command, this._commandOptions(options));
+            }).then((response) => {
+                if (command === 'LIST') {
+                    this._routeUnsolicited(response, 'LIST', (item) => this._isListedBy(item, [pattern]), this._untaggedListHandler);
+                }
+
+                if (!response || !response.payload || !response.payload[command] || !response.payload[command].length) {
+                    return;
+                }
+
+                response.payload[command].forEach((item) => {
+                    if (!item || !item.attributes || item.attributes.length < 3) {
+                        return;
+                    }
+                    handler(item);
+                });
+            });
+        }, Promise.resolve());
+    };
+
+    /**
+     * Runs an extended LIST command that returns subscription state, children info
+     * and optionally special use flags and STATUS counters in a single round trip
+     *
+     * @param {Object} tree Mailbox tree
+     * @param {Array} patterns Mailbox name patterns
+     * @param {Object} options Options object, see #listMailboxes
+     * @returns {Promise} Promise with list of mailboxes
+     */
+    Client.prototype._listMailboxesExtended = function(tree, patterns, options) {
+        this.logger.debug('Listing mailboxes with LIST-EXTENDED...');
+        return this.exec(this._buildLISTCommand(patterns, options), ['LIST', 'STATUS'], this._commandOptions(options)).then((response) => {
+            var branches = {};
+
+            if (!response || !response.payload) {
+                return tree;
+            }
+
+            this._routeUnsolicited(response, 'LIST', (item) => this._isListedBy(item, patterns), this._untaggedListHandler);
+            this._routeUnsolicited(response, 'STATUS', (item) => {
+                var path = ([].concat(item.attributes || [])[0] || {}).value;
+                return [].concat(response.payload.LIST || []).some((listed) => listed && listed.attributes && listed.attributes[2] && this._isSameMailbox(listed.attributes[2].value, path));
+            }, this._untaggedStatusHandler);
+
+            [].concat(response.payload.LIST || []).forEach((item) => {
+                if (!item || !item.attributes || item.attributes.length < 3) {
+                    return;
+                }
+
+                var path = (item.attributes[2].value || '').toString();
+                var branch = this._ensurePath(tree, path, (item.attributes[1] ? item.attributes[1].value : '/').toString());
+                var flags = [].concat(item.attributes[0] || []).map((flag) => (flag.value || '').toString());
+                var lowerCaseFlags = flags.map((flag) => flag.toLowerCase());
+
+                branch.flags = flags;
+                // subscribed mailboxes that do not exist anymore are listed with \NonExistent
+                branch.listed = lowerCaseFlags.indexOf('\\nonexistent') < 0;
+                branch.subscribed = lowerCaseFlags.indexOf('\\subscribed') >= 0;
+                if (lowerCaseFlags.indexOf('\\haschildren') >= 0) {
+                    branch.hasChildren = true;
+                } else if (lowerCaseFlags.indexOf('\\hasnochildren') >= 0 || lowerCaseFlags.indexOf('\\noinferiors') >= 0) {
+                    branch.hasChildren = false;
+                }
+                this._checkSpecialUse(branch);
 
-        if (this._capability.indexOf('MOVE') === -1) {
-            // Fallback to COPY + EXPUNGE
-            return this.copyMessages(path, sequence, destination, options).then(() => {
-                return this.deleteMessages(path, sequence, options);
+                branches[path] = branch;
             });
-        }
 
-        // If possible, use MOVE
-        return this.exec({
-            command: options.byUid ? 'UID MOVE' : 'MOVE',
-            attributes: [{
-                type: 'sequence',
-                value: sequence
-            }, {
-                type: 'atom',
-                value: destination
-            }]
-        }, ['OK'], {
-            precheck: (ctx) => (this._selectedMailbox === path) ? Promise.resolve() : this.selectMailbox(path, { ctx: ctx })
+            [].concat(response.payload.STATUS || []).forEach((item) => {
+                var path = ([].concat(item && item.attributes || [])[0] || {}).value;
+                if (path && branches[path]) {
+                    branches[path].status = this._parseSTATUS({
+                        payload: {
+                            STATUS: [item]
+                        }
+                    });
+                }
+            });
+
+            return tree;
         });
     };
 
+    /**
+     * Builds an extended LIST command
+     *
+     *    LIST (SPECIAL-USE) "" ("INBOX" "Lists/*") RETURN (SUBSCRIBED CHILDREN STATUS (MESSAGES))
+     *
+     * @param {Array} patterns Mailbox name patterns
+     * @param {Object} options Options object, see #listMailboxes
+     * @returns {Object} Structured IMAP command
+     */
+    Client.prototype._buildLISTCommand = function(patterns, options) {
+        var command = {
+            command: 'LIST',
+            attributes: []
+        };
+        var returnOptions = [{
+            type: 'ATOM',
+            value: 'SUBSCRIBED'
+        }, {
+            type: 'ATOM',
+            value: 'CHILDREN'
+        }];
+        var specialUse = this._capability.indexOf('SPECIAL-USE') >= 0;
+
+        if (options.specialUseOnly && specialUse) {
+            command.attributes.push([{
+                type: 'ATOM',
+                value: 'SPECIAL-USE'
+            }]);
+        }
 
-    //
-    //
-    // INTERNALS
-    //
-    //
+        command.attributes.push('', patterns.length === 1 ? patterns[0] : patterns, {
+            type: 'ATOM',
+            value: 'RETURN'
+        });
 
+        if (specialUse) {
+            returnOptions.push({
+                type: 'ATOM',
+                value: 'SPECIAL-USE'
+            });
+        }
 
-    // State constants
-    Client.prototype.STATE_CONNECTING = 1;
-    Client.prototype.STATE_NOT_AUTHENTICATED = 2;
-    Client.prototype.STATE_AUTHENTICATED = 3;
-    Client.prototype.STATE_SELECTED = 4;
-    Client.prototype.STATE_LOGOUT = 5;
+        if (options.statusItems && this._capability.indexOf('LIST-STATUS') >= 0) {
+            returnOptions.push({
+                type: 'ATOM',
+                value: 'STATUS'
+            }, [].concat(options.statusItems).map((item) => {
+                return {
+                    type: 'ATOM',
+                    value: (item || '').toString().toUpperCase().trim()
+                };
+            }));
+        }
 
-    // Timeout constants
-    Client.prototype.TIMEOUT_CONNECTION = 90 * 1000; // Milliseconds to wait for the IMAP greeting from the server
-    Client.prototype.TIMEOUT_NOOP = 60 * 1000; // Milliseconds between NOOP commands while idling
-    Client.prototype.TIMEOUT_IDLE = 60 * 1000; // Milliseconds until IDLE command is cancelled
+        command.attributes.push(returnOptions);
 
+        return command;
+    };
 
     /**
      * Runs COMPRESS command
@@ -697,40 +2092,48 @@
     };
 
     /**
-     * Runs LOGIN or AUTHENTICATE XOAUTH2 command
+     * Authenticates the connection. Uses AUTHENTICATE with the strongest SASL mechanism
+     * that is advertised by the server and works with the given credentials, otherwise
+     * falls back to the LOGIN command unless the server advertises LOGINDISABLED.
+     * A user and password are sent with the LOGIN command unless auth.negotiate is set
+     * or the server advertises LOGINDISABLED.
      *
      * LOGIN details:
      *   http://tools.ietf.org/html/rfc3501#section-6.2.3
+     * AUTHENTICATE details:
+     *   http://tools.ietf.org/html/rfc3501#section-6.2.2
      * XOAUTH2 details:
      *   https://developers.google.com/gmail/xoauth2_protocol#imap_protocol_exchange
      *
      * @param {String} auth.user
      * @param {String} auth.pass
-     * @param {String} auth.xoauth2
+     * @param {String} auth.xoauth2 OAuth2 access token for XOAUTH2, also used for OAUTHBEARER
+     * @param {String} auth.oauthbearer OAuth2 access token for OAUTHBEARER
+     * @param {Boolean} auth.external If true, authenticates with EXTERNAL, eg. when using a TLS client certificate
+     * @param {String} auth.authzid Authorization identity to act as
+     * @param {String} auth.mechanism SASL mechanism to use instead of negotiating one
+     * @param {Boolean} auth.negotiate If true, a SASL mechanism is negotiated for the user and password as well
+     * @param {Function} auth.refreshToken Invoked once if OAuth2 authentication fails, returns a Promise with a new access token
      */
     Client.prototype.login = function(auth) {
-        var command, options = {};
+        var authenticate;
 
         if (!auth) {
             return Promise.reject(new Error('Authentication information not provided'));
         }
 
-        if (this._capability.indexOf('AUTH=XOAUTH2') >= 0 && auth && auth.xoauth2) {
-            command = {
-                command: 'AUTHENTICATE',
-                attributes: [{
-                    type: 'ATOM',
-                    value: 'XOAUTH2'
-                }, {
-                    type: 'ATOM',
-                    value: this._buildXOAuth2Token(auth.user, auth.xoauth2),
-                    sensitive: true
-                }]
-            };
+        var loginDisabled = this._capability.indexOf('LOGINDISABLED') >= 0;
+        // the password is only offered to the SASL mechanisms if requested, the LOGIN command is used otherwise
+        var mechanism = auth.mechanism ? auth.mechanism.toString().toUpperCase().trim() : sasl.select(this._capability, auth.negotiate || loginDisabled ? auth : Object.assign({}, auth, {
+            pass: undefined
+        }));
 
-            options.errorResponseExpectsEmptyLine = true; // + tagged error response expects an empty line in return
+        if (mechanism) {
+            authenticate = () => this._authenticate(mechanism, auth);
+        } else if (loginDisabled) {
+            return Promise.reject(new Error('Server does not allow LOGIN and no suitable authentication mechanism was found'));
         } else {
-            command = {
+            authenticate = () => this.exec({
                 command: 'login',
                 attributes: [{
                     type: 'STRING',
@@ -740,11 +2143,24 @@
                     value: auth.pass || '',
                     sensitive: true
                 }]
-            };
+            }, 'capability');
         }
 
         this.logger.debug('Logging in...');
-        return this.exec(command, 'capability', options).then((response) => {
+        return authenticate().catch((err) => {
+            if (['XOAUTH2', 'OAUTHBEARER'].indexOf(mechanism) < 0 || typeof auth.refreshToken !== 'function' || !err || (!err.oauthError && err.code !== 'AUTHENTICATIONFAILED')) {
+                throw err;
+            }
+
+            // the access token has probably expired, renew it and try again
+            this.logger.debug('Authentication failed, refreshing the access token...');
+            return Promise.resolve(auth.refreshToken()).then((token) => {
+                if (token) {
+                    auth[mechanism === 'OAUTHBEARER' && auth.oauthbearer ? 'oauthbearer' : 'xoauth2'] = token;
+                }
+                return authenticate();
+            });
+        }).then((response) => {
             /*
              * update post-auth capabilites
              * capability list shouldn't contain auth related stuff anymore
@@ -768,6 +2184,72 @@
         });
     };
 
+    /**
+     * Runs AUTHENTICATE command with a SASL mechanism. The initial response is sent with the
+     * command if the server supports SASL-IR, every following challenge is passed to the mechanism.
+     *
+     * SASL-IR details:
+     *   https://tools.ietf.org/html/rfc4959
+     *
+     * @param {String} mechanism SASL mechanism name, eg. 'SCRAM-SHA-256'
+     * @param {Object} auth Credentials, see #login
+     * @returns {Promise} Promise with the tagged response
+     */
+    Client.prototype._authenticate = function(mechanism, auth) {
+        var session, error;
+
+        try {
+            session = sasl.create(mechanism, auth, {
+                host: this.client.host,
+                port: this.client.port
+            });
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return Promise.resolve(session.clientFirst ? session.step(null) : false).then((initialResponse) => {
+            var pending = initialResponse !== false; // initial response is not sent yet
+            var command = {
+                command: 'AUTHENTICATE',
+                attributes: [{
+                    type: 'ATOM',
+                    value: mechanism
+                }]
+            };
+
+            if (pending && (session.inline || this._capability.indexOf('SASL-IR') >= 0)) {
+                command.attributes.push({
+                    type: 'ATOM',
+                    value: mimefuncs.base64.encode(initialResponse) || '=', // "=" is an empty initial response
+                    sensitive: true
+                });
+                pending = false;
+            }
+
+            this.logger.debug('Authenticating with', mechanism, '...');
+            return this.exec(command, 'capability', {
+                continuationHandler: (challenge) => {
+                    if (pending) {
+                        pending = false;
+                        return mimefuncs.base64.encode(initialResponse);
+                    }
+
+                    return Promise.resolve().then(() => session.step(mimefuncs.base64.decode(challenge))).then((response) => mimefuncs.base64.encode(response)).catch((err) => {
+                        error = err;
+                        throw err;
+                    });
+                }
+            }).catch((err) => {
+                // prefer the local error (eg. invalid server signature) over the response of the cancelled command
+                err = error || err;
+                if (session.oauthError && err && typeof err === 'object') {
+                    err.oauthError = session.oauthError;
+                }
+                throw err;
+            });
+        });
+    };
+
     /**
      * Run an IMAP command.
      *
@@ -800,7 +2282,7 @@
     };
 
     /**
-     * The connection is idling. Sends a NOOP or IDLE command
+     * The connection is idling. Sends a NOOP or IDLE command, depending on options.idle
      *
      * IDLE details:
      *   https://tools.ietf.org/html/rfc2177
@@ -809,43 +2291,142 @@
         if (this._enteredIdle) {
             return;
         }
-        this._enteredIdle = this._capability.indexOf('IDLE') >= 0 ? 'IDLE' : 'NOOP';
+
+        var policy = this._getIdlePolicy();
+        if (policy.strategy === 'none') {
+            return;
+        }
+
+        this._enteredIdle = policy.strategy !== 'noop' && this._capability.indexOf('IDLE') >= 0 ? 'IDLE' : 'NOOP';
         this.logger.debug('Entering idle with ' + this._enteredIdle);
 
         if (this._enteredIdle === 'NOOP') {
             this._idleTimeout = setTimeout(() => {
                 this.logger.debug('Sending NOOP');
                 this.exec('NOOP').catch(() => {});
-            }, this.TIMEOUT_NOOP);
+            }, policy.noopInterval);
+            this._setIdleState('noop');
         } else if (this._enteredIdle === 'IDLE') {
             this.client.enqueueCommand({
                 command: 'IDLE'
-            }).catch(() => {});
-            this._idleTimeout = setTimeout(() => {
-                this.client.send('DONE\r\n');
-                this._enteredIdle = false;
-                this.logger.debug('Idle terminated');
-            }, this.TIMEOUT_IDLE);
+            }).then(() => {
+                // IDLE was restarted by the refresh timer, continue right away unless other
+                // commands were queued meanwhile, onidle enters IDLE again after these are done
+                if (this._idleRefreshing) {
+                    this._idleRefreshing = false;
+                    if (this.client.hasPendingCommands()) {
+                        this._setIdleState('none');
+                    } else {
+                        this.enterIdle();
+                    }
+                }
+            }).catch((err) => this.logger.error('IDLE failed', err));
+            this._setIdleState('idle');
+            this._scheduleIdleRefresh(policy, Date.now());
+        }
+    };
+
+    /**
+     * Arms the timer that restarts IDLE. IDLE is restarted when the refresh interval is over
+     * or, if the heartbeat is enabled, when nothing has been received from the server for the
+     * heartbeat interval. Restarting sends DONE, so a dead connection runs into the socket
+     * timeout instead of going unnoticed until the next refresh.
+     *
+     * @param {Object} policy Idle policy, see #_getIdlePolicy
+     * @param {Number} started Timestamp of entering IDLE
+     */
+    Client.prototype._scheduleIdleRefresh = function(policy, started) {
+        var now = Date.now();
+        var lastActivity = Math.max(this.client.lastReceived || 0, started);
+        var refreshAt = started + policy.idleInterval;
+        var heartbeatAt = policy.heartbeat ? lastActivity + policy.heartbeat : Infinity;
+
+        if (now >= refreshAt || now >= heartbeatAt) {
+            this.logger.debug(now >= refreshAt ? 'Refreshing IDLE' : 'No data received while idling, checking the connection');
+            this._stopIdle(true);
+            return;
         }
+
+        this._idleTimeout = setTimeout(() => this._scheduleIdleRefresh(policy, started), Math.min(refreshAt, heartbeatAt) - now);
+    };
+
+    /**
+     * Normalizes options.idle
+     *
+     * @returns {Object} Idle policy
+     */
+    Client.prototype._getIdlePolicy = function() {
+        var options = typeof this.options.idle === 'object' ? this.options.idle : {};
+
+        return {
+            strategy: (options.strategy || 'auto').toString().toLowerCase(),
+            idleInterval: Math.min(Number(options.idleInterval) || this.TIMEOUT_IDLE, this.TIMEOUT_IDLE_MAX),
+            noopInterval: Number(options.noopInterval) || this.TIMEOUT_NOOP,
+            heartbeat: Number(options.heartbeat) || 0
+        };
     };
 
     /**
      * Stops actions related idling, if IDLE is supported, sends DONE to stop it
      */
     Client.prototype.breakIdle = function() {
+        // a refresh might be waiting for the server to complete IDLE, commands go first
+        this._idleRefreshing = false;
+
         if (!this._enteredIdle) {
+            this._setIdleState('none');
             return Promise.resolve();
         }
 
+        this._stopIdle(false);
+
+        return Promise.resolve();
+    };
+
+    /**
+     * Stops idling and sends DONE if IDLE is running. The refresh flag is set before DONE is
+     * sent as the server might complete IDLE right away, the completion re-enters IDLE if set.
+     * The idle state does not change for a refresh as the client keeps idling.
+     *
+     * @param {Boolean} refresh If true, IDLE is entered again when the server has completed it
+     */
+    Client.prototype._stopIdle = function(refresh) {
+        var entered = this._enteredIdle;
+
         clearTimeout(this._idleTimeout);
-        if (this._enteredIdle === 'IDLE') {
+        this._idleRefreshing = refresh;
+        this._enteredIdle = false;
+        if (entered === 'IDLE') {
             this.client.send('DONE\r\n');
             this.logger.debug('Idle terminated');
         }
+        if (!refresh) {
+            this._setIdleState('none');
+        }
+    };
+
+    /**
+     * Stops idling without sending anything, used when the connection is closed
+     */
+    Client.prototype._clearIdle = function() {
+        clearTimeout(this._idleTimeout);
         this._enteredIdle = false;
+        this._idleRefreshing = false;
+        this._setIdleState('none');
+    };
 
+    /**
+     * Emits onidlestatechange if the idle state has changed
+     *
+     * @param {String} state 'idle', 'noop' or 'none'
+     */
+    Client.prototype._setIdleState = function(state) {
+        if (state === this._idleState) {
+            return;
+        }
 
-        return Promise.resolve();
+        this._idleState = state;
+        this.onidlestatechange && this.onidlestatechange(state);
     };
 
     /**
@@ -898,78 +2479,253 @@
             return Promise.resolve();
         }
 
-        this.logger.debug('Updating capability...');
-        return this.exec('CAPABILITY');
-    };
+        this.logger.debug('Updating capability...');
+        return this.exec('CAPABILITY');
+    };
+
+    Client.prototype.hasCapability = function(capa) {
+        return this._capability.indexOf((capa || '').toString().toUpperCase().trim()) >= 0;
+    };
+
+    /**
+     * Checks if an extension has been enabled with the ENABLE command
+     *
+     * @param {String} extension Extension name, eg. 'QRESYNC'
+     * @returns {Boolean} True if the server has enabled the extension
+     */
+    Client.prototype.isEnabled = function(extension) {
+        return this._enabled.indexOf((extension || '').toString().toUpperCase().trim()) >= 0;
+    };
+
+    // Default handlers for untagged responses
+
+    /**
+     * Checks if an untagged OK includes [CAPABILITY] tag and updates capability object
+     *
+     * @param {Object} response Parsed server response
+     * @param {Function} next Until called, server responses are not processed
+     */
+    Client.prototype._untaggedOkHandler = function(response) {
+        if (response && response.capability) {
+            this._capability = response.capability;
+        }
+
+        // keeps the QRESYNC state up to date for selecting the mailbox again after reconnecting
+        var qresync = this._selectedMailboxOptions && this._selectedMailboxOptions.qresync;
+        if (qresync && response && response.code === 'HIGHESTMODSEQ' && response.highestmodseq) {
+            qresync.highestModseq = response.highestmodseq;
+        }
+    };
+
+    /**
+     * Updates capability object
+     *
+     * @param {Object} response Parsed server response
+     * @param {Function} next Until called, server responses are not processed
+     */
+    Client.prototype._untaggedCapabilityHandler = function(response) {
+        this._capability = [].concat(response && response.attributes || []).map((capa) => (capa.value || '').toString().toUpperCase().trim());
+    };
+
+    /**
+     * Updates existing message count
+     *
+     * @param {Object} response Parsed server response
+     * @param {Function} next Until called, server responses are not processed
+     */
+    Client.prototype._untaggedExistsHandler = function(response) {
+        if (response && response.hasOwnProperty('nr')) {
+            this.onupdate && this.onupdate(this._selectedMailbox, 'exists', response.nr);
+        }
+    };
+
+    /**
+     * Indicates a message has been deleted
+     *
+     * @param {Object} response Parsed server response
+     * @param {Function} next Until called, server responses are not processed
+     */
+    Client.prototype._untaggedExpungeHandler = function(response) {
+        if (response && response.hasOwnProperty('nr')) {
+            this.onupdate && this.onupdate(this._selectedMailbox, 'expunge', response.nr);
+        }
+    };
+
+    /**
+     * Indicates that messages have been deleted. Only used when QRESYNC is enabled,
+     * the values are UIDs instead of sequence numbers
+     *
+     * VANISHED details:
+     *   https://tools.ietf.org/html/rfc7162#section-3.2.10
+     *
+     * @param {Object} response Parsed server response
+     */
+    Client.prototype._untaggedVanishedHandler = function(response) {
+        var uids = this._parseVANISHED(response);
+        if (uids.length) {
+            this.onupdate && this.onupdate(this._selectedMailbox, 'vanished', uids);
+        }
+    };
+
+    /**
+     * Indicates that flags have been updated for a message
+     *
+     * @param {Object} response Parsed server response
+     * @param {Function} next Until called, server responses are not processed
+     */
+    Client.prototype._untaggedFetchHandler = function(response) {
+        this.onupdate && this.onupdate(this._selectedMailbox, 'fetch', [].concat(this._parseFETCH({
+            payload: {
+                FETCH: [response]
+            }
+        }) || []).shift());
+    };
+
+    /**
+     * Indicates that the counters of a mailbox other than the selected one have changed (NOTIFY)
+     *
+     * @param {Object} response Parsed server response
+     */
+    Client.prototype._untaggedStatusHandler = function(response) {
+        var path = ([].concat(response && response.attributes || [])[0] || {}).value;
+        if (path) {
+            this.onupdate && this.onupdate(path.toString(), 'status', this._parseSTATUS({
+                payload: {
+                    STATUS: [response]
+                }
+            }));
+        }
+    };
+
+    /**
+     * Indicates that a mailbox has been created, renamed, deleted or its subscription has changed (NOTIFY)
+     *
+     *    * LIST () "/" "NewName" ("OLDNAME" ("OldName"))
+     *
+     * @param {Object} response Parsed server response
+     */
+    Client.prototype._untaggedListHandler = function(response) {
+        var attributes = [].concat(response && response.attributes || []);
+        var extended = [].concat(attributes[3] || []);
+        var update, i;
+
+        if (attributes.length < 3) {
+            return;
+        }
+
+        update = {
+            path: (attributes[2].value || '').toString(),
+            delimiter: (attributes[1] ? attributes[1].value : '/').toString(),
+            flags: [].concat(attributes[0] || []).map((flag) => (flag.value || '').toString())
+        };
+
+        for (i = 0; i < extended.length - 1; i += 2) {
+            if ((extended[i].value || '').toString().toUpperCase() === 'OLDNAME') {
+                update.oldPath = (([].concat(extended[i + 1] || [])[0] || {}).value || '').toString();
+            }
+        }
 
-    Client.prototype.hasCapability = function(capa) {
-        return this._capability.indexOf((capa || '').toString().toUpperCase().trim()) >= 0;
+        this.onupdate && this.onupdate(update.path, 'list', update);
     };
 
-    // Default handlers for untagged responses
+    // Private helpers
 
     /**
-     * Checks if an untagged OK includes [CAPABILITY] tag and updates capability object
+     * With NOTIFY the server sends STATUS and LIST responses for other mailboxes at any time, these
+     * end up in the payload of a running STATUS or LIST command. Removes the responses that do not
+     * belong to the command from the payload and passes these to the handler for untagged responses.
      *
-     * @param {Object} response Parsed server response
-     * @param {Function} next Until called, server responses are not processed
+     * @param {Object} response Tagged response with the payload
+     * @param {String} command Untagged response type, eg. 'STATUS'
+     * @param {Function} belongs Returns true if the untagged response is a result of the command
+     * @param {Function} handler Handler for unsolicited responses, eg. #_untaggedStatusHandler
      */
-    Client.prototype._untaggedOkHandler = function(response) {
-        if (response && response.capability) {
-            this._capability = response.capability;
+    Client.prototype._routeUnsolicited = function(response, command, belongs, handler) {
+        if (!response || !response.payload || !response.payload[command]) {
+            return;
         }
+
+        response.payload[command] = [].concat(response.payload[command]).filter((item) => {
+            if (!item || !item.attributes || belongs(item)) {
+                return true;
+            }
+
+            handler.call(this, item);
+            return false;
+        });
     };
 
     /**
-     * Updates capability object
+     * Checks if a LIST response is a result of a LIST command with the given patterns. LIST responses
+     * sent by NOTIFY for other mailboxes do not match the patterns, renamed mailboxes include OLDNAME.
      *
-     * @param {Object} response Parsed server response
-     * @param {Function} next Until called, server responses are not processed
+     * @param {Object} item Untagged LIST response
+     * @param {Array} patterns Mailbox name patterns of the command
+     * @returns {Boolean} True if the response belongs to the command
      */
-    Client.prototype._untaggedCapabilityHandler = function(response) {
-        this._capability = [].concat(response && response.attributes || []).map((capa) => (capa.value || '').toString().toUpperCase().trim());
+    Client.prototype._isListedBy = function(item, patterns) {
+        var attributes = [].concat(item.attributes || []);
+        var path = (attributes[2] && attributes[2].value || '').toString();
+        var delimiter = (attributes[1] && attributes[1].value || '').toString();
+
+        if ([].concat(attributes[3] || []).some((extended) => (extended && extended.value || '').toString().toUpperCase() === 'OLDNAME')) {
+            return false;
+        }
+
+        return patterns.some((pattern) => this._matchesListPattern(path, (pattern || '').toString(), delimiter));
     };
 
     /**
-     * Updates existing message count
+     * Matches a mailbox name against a LIST pattern where * matches anything and % matches
+     * anything but the hierarchy delimiter. INBOX is case-insensitive.
      *
-     * @param {Object} response Parsed server response
-     * @param {Function} next Until called, server responses are not processed
+     * @param {String} path Encoded mailbox name
+     * @param {String} pattern LIST pattern
+     * @param {String} delimiter Hierarchy delimiter, empty if there is no hierarchy
+     * @returns {Boolean} True if the name matches the pattern
      */
-    Client.prototype._untaggedExistsHandler = function(response) {
-        if (response && response.hasOwnProperty('nr')) {
-            this.onupdate && this.onupdate(this._selectedMailbox, 'exists', response.nr);
-        }
+    Client.prototype._matchesListPattern = function(path, pattern, delimiter) {
+        var escape = (str) => str.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+        var source = this._normalizeInbox(pattern, delimiter).split('').map((chr) => {
+            if (chr === '*') {
+                return '.*';
+            } else if (chr === '%') {
+                return delimiter ? '[^' + escape(delimiter) + ']*' : '.*';
+            }
+            return escape(chr);
+        }).join('');
+
+        return new RegExp('^' + source + '$').test(this._normalizeInbox(path, delimiter));
     };
 
     /**
-     * Indicates a message has been deleted
+     * Checks if two encoded mailbox names refer to the same mailbox, INBOX is case-insensitive
      *
-     * @param {Object} response Parsed server response
-     * @param {Function} next Until called, server responses are not processed
+     * @param {String} a Mailbox name
+     * @param {String} b Mailbox name
+     * @returns {Boolean} True if the names are the same
      */
-    Client.prototype._untaggedExpungeHandler = function(response) {
-        if (response && response.hasOwnProperty('nr')) {
-            this.onupdate && this.onupdate(this._selectedMailbox, 'expunge', response.nr);
-        }
+    Client.prototype._isSameMailbox = function(a, b) {
+        a = (a || '').toString();
+        b = (b || '').toString();
+
+        return a === b || (a.toUpperCase() === 'INBOX' && b.toUpperCase() === 'INBOX');
     };
 
     /**
-     * Indicates that flags have been updated for a message
+     * Uppercases the INBOX part of a mailbox name, eg. 'inbox/Work' becomes 'INBOX/Work'
      *
-     * @param {Object} response Parsed server response
-     * @param {Function} next Until called, server responses are not processed
+     * @param {String} name Mailbox name or pattern
+     * @param {String} delimiter Hierarchy delimiter
+     * @returns {String} Normalized name
      */
-    Client.prototype._untaggedFetchHandler = function(response) {
-        this.onupdate && this.onupdate(this._selectedMailbox, 'fetch', [].concat(this._parseFETCH({
-            payload: {
-                FETCH: [response]
-            }
-        }) || []).shift());
+    Client.prototype._normalizeInbox = function(name, delimiter) {
+        if (name.substr(0, 5).toUpperCase() === 'INBOX' && (name.length === 5 || (delimiter && name.substr(5, delimiter.length) === delimiter))) {
+            return 'INBOX' + name.substr(5);
+        }
+        return name;
     };
 
-    // Private helpers
-
     /**
      * Parses SELECT response
      *
@@ -1020,6 +2776,95 @@
         return mailbox;
     };
 
+    /**
+     * Parses ENABLED response
+     *
+     * @param {Object} response
+     * @return {Array} List of extensions enabled by the server
+     */
+    Client.prototype._parseENABLED = function(response) {
+        var list = [];
+
+        if (!response || !response.payload || !response.payload.ENABLED || !response.payload.ENABLED.length) {
+            return list;
+        }
+
+        [].concat(response.payload.ENABLED || []).forEach((enabled) => {
+            [].concat(enabled.attributes || []).forEach((extension) => {
+                list.push((extension && extension.value || '').toString().toUpperCase().trim());
+            });
+        });
+
+        return list;
+    };
+
+    /**
+     * Lists the STATUS data items that the server is able to return
+     *
+     * @return {Array} List of status data items
+     */
+    Client.prototype._defaultStatusItems = function() {
+        var items = ['MESSAGES', 'RECENT', 'UIDNEXT', 'UIDVALIDITY', 'UNSEEN'];
+
+        if (this._capability.indexOf('CONDSTORE') >= 0) {
+            items.push('HIGHESTMODSEQ');
+        }
+
+        if (this._capability.indexOf('STATUS=SIZE') >= 0) {
+            items.push('SIZE');
+        }
+
+        return items;
+    };
+
+    /**
+     * Parses STATUS response
+     *
+     *    * STATUS "INBOX" (MESSAGES 231 UIDNEXT 44292)
+     *
+     * @param {Object} response
+     * @return {Object} Mailbox status object, eg. {messages: 231, uidNext: 44292}
+     */
+    Client.prototype._parseSTATUS = function(response) {
+        var status = {};
+        var statusResponse, attributes, key, value;
+        var i;
+
+        if (!response || !response.payload || !response.payload.STATUS || !response.payload.STATUS.length) {
+            return status;
+        }
+
+        statusResponse = response.payload.STATUS[response.payload.STATUS.length - 1];
+        attributes = [].concat([].concat(statusResponse.attributes || [])[1] || []);
+
+        for (i = 0; i < attributes.length - 1; i += 2) {
+            key = (attributes[i] && attributes[i].value || '').toString().toUpperCase();
+            value = (attributes[i + 1] && attributes[i + 1].value || '').toString();
+
+            switch (key) {
+                case 'MESSAGES':
+                case 'RECENT':
+                case 'UNSEEN':
+                case 'SIZE':
+                    status[key.toLowerCase()] = Number(value) || 0;
+                    break;
+                case 'UIDNEXT':
+                    status.uidNext = Number(value) || 0;
+                    break;
+                case 'UIDVALIDITY':
+                    status.uidValidity = Number(value) || 0;
+                    break;
+                case 'HIGHESTMODSEQ':
+                    status.highestModseq = value || '0'; // keep 64bit uint as a string
+                    break;
+                default:
+                    status[key.toLowerCase()] = value;
+            }
+        }
+
+        return status;
+    };
+
     /**
      * Parses NAMESPACE response
      *
@@ -1060,11 +2905,295 @@
                 return false;
             }
 
-            return {
-                prefix: ns[0].value,
-                delimiter: ns[1] && ns[1].value // The delimiter can legally be NIL which maps to null
-            };
+            return {
+                prefix: ns[0].value,
+                delimiter: ns[1] && ns[1].value // The delimiter can legally be NIL which maps to null
+            };
+        });
+    };
+
+    /**
+     * Checks if the server supports QUOTA (RFC 2087) or any QUOTA=RES-* capability (RFC 9208)
+     *
+     * @returns {Boolean} True if supported
+     */
+    Client.prototype._hasQuotaSupport = function() {
+        return this._capability.some((capa) => capa === 'QUOTA' || /^QUOTA=/.test(capa));
+    };
+
+    /**
+     * Converts a quota resource key to the resource name used by the protocol, eg. 'messages' to 'MESSAGE'
+     *
+     * @param {String} key Resource key
+     * @returns {String} Resource name
+     */
+    Client.prototype._quotaResourceName = function(key) {
+        key = (key || '').toString();
+
+        var name = Object.keys(QUOTA_RESOURCES).filter((resource) => QUOTA_RESOURCES[resource] === key).shift();
+        return name || key.toUpperCase();
+    };
+
+    /**
+     * Parses QUOTA responses
+     *
+     *    * QUOTA "" (STORAGE 10 512 MESSAGE 3 1000)
+     *
+     * @param {Object} response
+     * @return {Array} List of quota objects, eg. [{root: '', storage: {usage: 10, limit: 512}, messages: {usage: 3, limit: 1000}}]
+     */
+    Client.prototype._parseQUOTA = function(response) {
+        if (!response || !response.payload || !response.payload.QUOTA || !response.payload.QUOTA.length) {
+            return [];
+        }
+
+        return response.payload.QUOTA.map((quotaResponse) => {
+            var attributes = [].concat(quotaResponse.attributes || []);
+            var resources = [].concat(attributes[1] || []);
+            var quota = {
+                root: (attributes[0] && attributes[0].value || '').toString()
+            };
+
+            for (var i = 0; i < resources.length - 2; i += 3) {
+                var name = (resources[i] && resources[i].value || '').toString().toUpperCase();
+                quota[QUOTA_RESOURCES[name] || name.toLowerCase()] = {
+                    usage: Number(resources[i + 1] && resources[i + 1].value) || 0,
+                    limit: Number(resources[i + 2] && resources[i + 2].value) || 0
+                };
+            }
+
+            return quota;
+        });
+    };
+
+    /**
+     * Parses QUOTAROOT response
+     *
+     *    * QUOTAROOT INBOX "" "user.shared"
+     *
+     * @param {Object} response
+     * @return {Array} List of quota root names
+     */
+    Client.prototype._parseQUOTAROOT = function(response) {
+        if (!response || !response.payload || !response.payload.QUOTAROOT || !response.payload.QUOTAROOT.length) {
+            return [];
+        }
+
+        return [].concat(response.payload.QUOTAROOT[response.payload.QUOTAROOT.length - 1].attributes || []).slice(1).map((root) => (root && root.value || '').toString());
+    };
+
+    /**
+     * Parses ACL response
+     *
+     *    * ACL INBOX fred lrswipkxtea -fred d
+     *
+     * @param {Object} response
+     * @return {Object} Rights by identifier, eg. {fred: ['l', 'r', ...], '-fred': ['d']}
+     */
+    Client.prototype._parseACL = function(response) {
+        var acl = {};
+
+        if (!response || !response.payload || !response.payload.ACL || !response.payload.ACL.length) {
+            return acl;
+        }
+
+        var attributes = [].concat(response.payload.ACL[response.payload.ACL.length - 1].attributes || []);
+        for (var i = 1; i < attributes.length - 1; i += 2) {
+            acl[(attributes[i] && attributes[i].value || '').toString()] = this._parseRights(attributes[i + 1]);
+        }
+
+        return acl;
+    };
+
+    /**
+     * Parses LISTRIGHTS response
+     *
+     *    * LISTRIGHTS INBOX fred lr s w ip
+     *
+     * @param {Object} response
+     * @return {Object} Rights object, eg. {required: ['l', 'r'], optional: [['s'], ['w'], ['i', 'p']]}
+     */
+    Client.prototype._parseLISTRIGHTS = function(response) {
+        if (!response || !response.payload || !response.payload.LISTRIGHTS || !response.payload.LISTRIGHTS.length) {
+            return {
+                required: [],
+                optional: []
+            };
+        }
+
+        var attributes = [].concat(response.payload.LISTRIGHTS[response.payload.LISTRIGHTS.length - 1].attributes || []);
+        return {
+            required: this._parseRights(attributes[2]),
+            optional: attributes.slice(3).map((rights) => this._parseRights(rights))
+        };
+    };
+
+    /**
+     * Parses MYRIGHTS response
+     *
+     *    * MYRIGHTS INBOX rwiptsldaex
+     *
+     * @param {Object} response
+     * @return {Array} List of rights
+     */
+    Client.prototype._parseMYRIGHTS = function(response) {
+        if (!response || !response.payload || !response.payload.MYRIGHTS || !response.payload.MYRIGHTS.length) {
+            return [];
+        }
+
+        return this._parseRights([].concat(response.payload.MYRIGHTS[response.payload.MYRIGHTS.length - 1].attributes || [])[1]);
+    };
+
+    /**
+     * Splits a rights string into a list of single rights
+     *
+     * @param {Object} attribute Rights attribute, eg. {type: 'ATOM', value: 'lrs'}
+     * @return {Array} List of rights, eg. ['l', 'r', 's']
+     */
+    Client.prototype._parseRights = function(attribute) {
+        return (attribute && attribute.value || '').toString().split('');
+    };
+
+    /**
+     * Checks if the server supports METADATA for the mailbox. Server
+     * annotations ('' path) are also available with METADATA-SERVER
+     *
+     * @param {String} path Full path to mailbox or '' for server annotations
+     * @return {Boolean} true if the annotations can be accessed
+     */
+    Client.prototype._hasMetadataSupport = function(path) {
+        return this._capability.indexOf('METADATA') >= 0 || (!path && this._capability.indexOf('METADATA-SERVER') >= 0);
+    };
+
+    /**
+     * Builds a value attribute for SETMETADATA. Strings are stored as UTF-8
+     *
+     * @param {String|Uint8Array} value Entry value, null to remove the entry
+     * @return {Object} Quoted string, literal or null for NIL
+     */
+    Client.prototype._buildMetadataValue = function(value) {
+        if (value === null || typeof value === 'undefined') {
+            return null;
+        }
+
+        if (typeof value === 'object') {
+            value = mimefuncs.fromTypedArray(value);
+        } else {
+            value = mimefuncs.fromTypedArray(mimefuncs.charset.encode(value.toString()));
+        }
+
+        return {
+            // quoted strings can not include 8bit or control characters
+            type: /[^\x20-\x7e]/.test(value) ? 'LITERAL' : 'STRING',
+            value: value
+        };
+    };
+
+    /**
+     * Parses METADATA response
+     *
+     *    * METADATA "INBOX" (/private/comment "My comment" /shared/comment NIL)
+     *
+     * @param {Object} response
+     * @param {Object} [options] Use `binary: true` to keep the values as Uint8Array
+     * @return {Object} Entry values, eg. {'/private/comment': 'My comment'}
+     */
+    Client.prototype._parseMETADATA = function(response, options) {
+        var entries = {};
+
+        if (!response || !response.payload || !response.payload.METADATA) {
+            return entries;
+        }
+
+        response.payload.METADATA.forEach((metadata) => {
+            var list = [].concat(metadata.attributes && metadata.attributes[1] || []);
+
+            for (var i = 0; i < list.length; i += 2) {
+                var name = list[i] && list[i].value;
+                var value = list[i + 1] && list[i + 1].value;
+
+                if (!name) {
+                    continue;
+                }
+
+                if (typeof value !== 'string') {
+                    entries[name] = null;
+                } else {
+                    value = mimefuncs.toTypedArray(value);
+                    entries[name] = options && options.binary ? value : mimefuncs.charset.decode(value);
+                }
+            }
+        });
+
+        return entries;
+    };
+
+    /**
+     * Builds a NOTIFY command
+     *
+     *    NOTIFY SET STATUS (SELECTED (MessageNew MessageExpunge FlagChange)) (SUBTREE ("Lists") (MailboxName))
+     *
+     * @param {Array} groups List of event groups, see #notify
+     * @param {Object} options Options object, see #notify
+     * @returns {Object} Structured IMAP command
+     */
+    Client.prototype._buildNOTIFYCommand = function(groups, options) {
+        var command = {
+            command: 'NOTIFY',
+            attributes: []
+        };
+
+        if (!groups.length) {
+            command.attributes.push({
+                type: 'ATOM',
+                value: 'NONE'
+            });
+            return command;
+        }
+
+        command.attributes.push({
+            type: 'ATOM',
+            value: 'SET'
+        });
+
+        if (options.status) {
+            command.attributes.push({
+                type: 'ATOM',
+                value: 'STATUS'
+            });
+        }
+
+        groups.forEach((group) => {
+            var filter, events;
+
+            if (group.subtree || group.mailboxes) {
+                filter = [{
+                    type: 'ATOM',
+                    value: group.subtree ? 'SUBTREE' : 'MAILBOXES'
+                }, [].concat(group.subtree || group.mailboxes).map((path) => ({
+                    type: 'STRING',
+                    value: path
+                }))];
+            } else {
+                // SELECTED, SELECTED-DELAYED, INBOXES, PERSONAL or SUBSCRIBED
+                filter = [{
+                    type: 'ATOM',
+                    value: (group.set || 'selected').toString().toUpperCase()
+                }];
+            }
+
+            events = [].concat(group.events || []).map((event) => ({
+                type: 'ATOM',
+                value: event
+            }));
+
+            command.attributes.push(filter.concat(events.length ? [events] : {
+                type: 'ATOM',
+                value: 'NONE'
+            }));
         });
+
+        return command;
     };
 
     /**
@@ -1086,7 +3215,7 @@
         var query = [];
 
         items.forEach((item) => {
-            var cmd;
+            var cmd, match;
             item = item.toUpperCase().trim();
 
             if (/^\w+$/.test(item)) {
@@ -1095,6 +3224,16 @@
                     type: 'ATOM',
                     value: item
                 });
+            } else if ((match = item.match(/^BINARY(\.PEEK|\.SIZE)?\[([\d.]*)\]$/))) {
+                // the parser does not know about BINARY sections, so build the node manually
+                query.push({
+                    type: 'ATOM',
+                    value: 'BINARY' + (match[1] || ''),
+                    section: match[2] ? [{
+                        type: 'ATOM',
+                        value: match[2]
+                    }] : []
+                });
             } else if (item) {
                 try {
                     // parse the value as a fake command, use only the attributes block
@@ -1117,13 +3256,23 @@
         command.attributes.push(query);
 
         if (options.changedSince) {
-            command.attributes.push([{
+            var modifiers = [{
                 type: 'ATOM',
                 value: 'CHANGEDSINCE'
             }, {
                 type: 'ATOM',
                 value: options.changedSince
-            }]);
+            }];
+
+            // report expunged messages with VANISHED (EARLIER), requires QRESYNC and UID FETCH
+            if (options.vanished && options.byUid) {
+                modifiers.push({
+                    type: 'ATOM',
+                    value: 'VANISHED'
+                });
+            }
+
+            command.attributes.push(modifiers);
         }
 
         return command;
@@ -1160,9 +3309,14 @@
 
             for (i = 0, len = params.length; i < len; i++) {
                 if (i % 2 === 0) {
-                    key = imapHandler.compiler({
-                        attributes: [params[i]]
-                    }).toLowerCase().replace(/<\d+>$/, '');
+                    if (params[i] && params[i].type === 'ATOM' && !params[i].section && !params[i].partial) {
+                        // use the value as is, the compiler would quote keys like BINARY[1]
+                        key = (params[i].value || '').toString().toLowerCase();
+                    } else {
+                        key = imapHandler.compiler({
+                            attributes: [params[i]]
+                        }).toLowerCase().replace(/<\d+>$/, '');
+                    }
                     continue;
                 }
                 message[key] = this._parseFetchValue(key, params[i]);
@@ -1192,6 +3346,13 @@
                 case 'modseq': // do not cast 64 bit uint to a number
                     return value.value || '0';
             }
+            if (/^binary\.size\[/.test(key)) {
+                return Number(value.value) || 0;
+            }
+            if (/^(body|binary)\[|^rfc822(\.header|\.text)?$/.test(key) && typeof value.value === 'string' && !this.options.literalsAsString) {
+                // quoted message content, keep bodies as octets like literals
+                return mimefuncs.toTypedArray(value.value);
+            }
             return value.value;
         }
 
@@ -1214,6 +3375,68 @@
         return value;
     };
 
+    /**
+     * Finds a body part by its part number in a parsed BODYSTRUCTURE. A body that is not
+     * multipart is part 1 of the message (or of the encapsulated message/rfc822)
+     *
+     * @param {Object} structure Parsed BODYSTRUCTURE, see #_parseBODYSTRUCTURE
+     * @param {String} part Part number, eg. '1.2'
+     * @return {Object} Body part node or null if the part does not exist
+     */
+    Client.prototype._findBodyPart = function(structure, part) {
+        var find = (node, single) => {
+            if (!node) {
+                return null;
+            }
+
+            if (node.part === part || (single === part && !/^multipart\//.test(node.type))) {
+                return node;
+            }
+
+            var childNodes = [].concat(node.childNodes || []);
+            for (var i = 0; i < childNodes.length; i++) {
+                var found = find(childNodes[i], node.type === 'message/rfc822' ? (node.part ? node.part + '.' : '') + '1' : undefined);
+                if (found) {
+                    return found;
+                }
+            }
+
+            return null;
+        };
+
+        return find(structure, '1');
+    };
+
+    /**
+     * Decodes Content-Transfer-Encoding of a fetched body part
+     *
+     * @param {Uint8Array|String} content Encoded content
+     * @param {String} encoding Content-Transfer-Encoding, eg. 'base64'
+     * @return {Uint8Array} Decoded content
+     */
+    Client.prototype._decodeTransferEncoding = function(content, encoding) {
+        if (!content) {
+            return new Uint8Array(0);
+        }
+
+        var str = typeof content === 'string' ? content : mimefuncs.fromTypedArray(content);
+
+        switch ((encoding || '').toString().toLowerCase().trim()) {
+            case 'base64':
+                return mimefuncs.base64.decode(str, 'buffer');
+            case 'quoted-printable':
+                str = str.
+                // remove invalid whitespace from the end of lines
+                replace(/[\t ]+$/gm, '').
+                // remove soft line breaks
+                replace(/\=(?:\r?\n|$)/g, '').
+                replace(/\=([\da-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+                return mimefuncs.toTypedArray(str);
+        }
+
+        return typeof content === 'string' ? mimefuncs.toTypedArray(content) : content;
+    };
+
     /**
      * Parses message envelope from FETCH response. All keys in the resulting
      * object are lowercase. Address fields are all arrays with {name:, address:}
@@ -1491,6 +3714,7 @@
      * @param {Object} query Search query
      * @param {Object} [options] Option object
      * @param {Boolean} [options.byUid] If ture, use UID SEARCH instead of SEARCH
+     * @param {Array} [options.returnOptions] If set, adds ESEARCH RETURN options
      * @return {Object} IMAP command object
      */
     Client.prototype._buildSEARCHCommand = function(query, options) {
@@ -1592,9 +3816,107 @@
             });
         }
 
+        // RETURN (...) must precede the CHARSET argument
+        if (options.returnOptions) {
+            command.attributes.unshift({
+                type: "atom",
+                value: "RETURN"
+            }, [].concat(options.returnOptions).map((option) => {
+                return {
+                    type: "atom",
+                    value: (option || '').toString().toUpperCase().trim()
+                };
+            }));
+        }
+
         return command;
     };
 
+    /**
+     * Compiles a SORT command. Search keys are built with #_buildSEARCHCommand,
+     * the charset is always set to UTF-8 as it is mandatory for SORT
+     *
+     *    SORT (REVERSE DATE) UTF-8 UNSEEN
+     *
+     * @param {Array} criteria Sort criteria, eg. ['reverse date', 'subject']
+     * @param {Object} [query] Search query
+     * @param {Object} [options] Option object
+     * @param {Boolean} [options.byUid] If true, use UID SORT instead of SORT
+     * @return {Object} IMAP command object
+     */
+    Client.prototype._buildSORTCommand = function(criteria, query, options) {
+        var sortCriteria = [];
+
+        [].concat(criteria || []).forEach((criterion) => {
+            (criterion || '').toString().toUpperCase().trim().split(/\s+/).forEach((key) => {
+                if (key) {
+                    sortCriteria.push({
+                        type: 'atom',
+                        value: key
+                    });
+                }
+            });
+        });
+
+        return {
+            command: options.byUid ? 'UID SORT' : 'SORT',
+            attributes: [sortCriteria, {
+                type: 'atom',
+                value: 'UTF-8'
+            }].concat(this._buildSearchKeys(query))
+        };
+    };
+
+    /**
+     * Compiles a THREAD command. Search keys are built with #_buildSEARCHCommand,
+     * the charset is always set to UTF-8 as it is mandatory for THREAD
+     *
+     *    THREAD REFERENCES UTF-8 ALL
+     *
+     * @param {String} algorithm Threading algorithm
+     * @param {Object} [query] Search query
+     * @param {Object} [options] Option object
+     * @param {Boolean} [options.byUid] If true, use UID THREAD instead of THREAD
+     * @return {Object} IMAP command object
+     */
+    Client.prototype._buildTHREADCommand = function(algorithm, query, options) {
+        return {
+            command: options.byUid ? 'UID THREAD' : 'THREAD',
+            attributes: [{
+                type: 'atom',
+                value: algorithm
+            }, {
+                type: 'atom',
+                value: 'UTF-8'
+            }].concat(this._buildSearchKeys(query))
+        };
+    };
+
+    /**
+     * Builds search keys for commands that take the charset as a separate argument
+     * (SORT, THREAD). Uses ALL if the query is empty
+     *
+     * @param {Object} [query] Search query
+     * @return {Array} List of search key attributes
+     */
+    Client.prototype._buildSearchKeys = function(query) {
+        var attributes = this._buildSEARCHCommand(query, {}).attributes;
+
+        // drop the optional CHARSET prefix, the charset is always set explicitly
+        if (attributes.length > 1 && attributes[0].value === 'CHARSET') {
+            attributes = attributes.slice(2);
+        }
+
+        if (!attributes.length) {
+            attributes.push({
+                type: 'atom',
+                value: 'ALL'
+            });
+        }
+
+        return attributes;
+    };
+
     /**
      * Binary Search
      *
@@ -1661,6 +3983,283 @@
         return list;
     };
 
+    /**
+     * Expands a sequence set into a list of numbers, eg. "1:3,5" becomes [1, 2, 3, 5].
+     * Ranges using "*" can not be expanded and are ignored
+     *
+     * @param {String} sequence Sequence set
+     * @return {Array} List of seq./uid numbers
+     */
+    Client.prototype._expandSequenceSet = function(sequence) {
+        var list = [];
+
+        (sequence || '').toString().split(',').forEach((range) => {
+            var parts = range.split(':').map((nr) => Number(nr.trim()));
+            var from = parts[0];
+            var to = parts.length > 1 ? parts[1] : from;
+            var i;
+
+            if (!from || !to) {
+                return;
+            }
+
+            for (i = Math.min(from, to); i <= Math.max(from, to); i++) {
+                list.push(i);
+            }
+        });
+
+        return list;
+    };
+
+    /**
+     * Parses VANISHED response
+     *
+     *    * VANISHED (EARLIER) 300:310,405,411
+     *
+     * @param {Object} response
+     * @return {Array} List of UIDs
+     */
+    Client.prototype._parseVANISHED = function(response) {
+        // the optional (EARLIER) tag is followed by the set of UIDs
+        var uids = [].concat(response && response.attributes || []).pop();
+        return uids && uids.value ? this._expandSequenceSet(uids.value) : [];
+    };
+
+    /**
+     * Parses APPENDUID response code of the APPEND command
+     *
+     * APPENDUID details:
+     *   https://tools.ietf.org/html/rfc4315#section-3
+     *
+     * @param {Object} response Tagged server response
+     * @return {Object} {uidValidity, uid} or undefined if the response code is missing
+     */
+    Client.prototype._parseAPPENDUID = function(response) {
+        if (!response || !Array.isArray(response.appenduid) || response.appenduid.length < 2) {
+            return;
+        }
+
+        return {
+            uidValidity: Number(response.appenduid[0]) || 0,
+            uid: Number(response.appenduid[1]) || 0
+        };
+    };
+
+    /**
+     * Parses COPYUID response code of the COPY and MOVE commands. Sequence sets are
+     * expanded, so the source uid at any index maps to the destination uid at the same index
+     *
+     * COPYUID details:
+     *   https://tools.ietf.org/html/rfc4315#section-3
+     *
+     * @param {Object} response Server response
+     * @return {Object} {uidValidity, sourceUids, destinationUids} or undefined if the response code is missing
+     */
+    Client.prototype._parseCOPYUID = function(response) {
+        if (!response || !Array.isArray(response.copyuid) || response.copyuid.length < 3) {
+            return;
+        }
+
+        return {
+            uidValidity: Number(response.copyuid[0]) || 0,
+            sourceUids: this._expandSequenceSet(response.copyuid[1]),
+            destinationUids: this._expandSequenceSet(response.copyuid[2])
+        };
+    };
+
+    /**
+     * Parses ESEARCH response. Numeric results are cast to numbers, except MODSEQ
+     * which is a 64 bit uint. ALL is kept as a sequence set string, use
+     * #_expandSequenceSet if the separate numbers are needed
+     *
+     *    * ESEARCH (TAG "W3") UID MIN 2 COUNT 5 ALL 2:4,7,9
+     *
+     * @param {Object} response
+     * @return {Object} Search result object, eg. {min: 2, count: 5, all: '2:4,7,9'}
+     */
+    Client.prototype._parseESEARCH = function(response) {
+        var result = {};
+
+        if (!response || !response.payload || !response.payload.ESEARCH || !response.payload.ESEARCH.length) {
+            return result;
+        }
+
+        [].concat(response.payload.ESEARCH || []).forEach((esearch) => {
+            var attributes = [].concat(esearch.attributes || []);
+            var i, key, value;
+
+            for (i = 0; i < attributes.length; i++) {
+                if (Array.isArray(attributes[i])) {
+                    // search correlator, eg. (TAG "W3")
+                    continue;
+                }
+
+                key = (attributes[i] && attributes[i].value || '').toString().toLowerCase();
+                if (key === 'uid') {
+                    continue;
+                }
+
+                value = (attributes[++i] && attributes[i].value || '').toString();
+                switch (key) {
+                    case 'all':
+                    case 'modseq':
+                        result[key] = value;
+                        break;
+                    default:
+                        result[key] = Number(value) || 0;
+                }
+            }
+        });
+
+        return result;
+    };
+
+    /**
+     * Builds an ESEARCH like result object from a list of seq./uid numbers. Used
+     * when the server does not support ESEARCH
+     *
+     * @param {Array} list Sorted seq./uid number list
+     * @param {Array} returnOptions Requested result options
+     * @return {Object} Search result object
+     */
+    Client.prototype._buildESEARCHResult = function(list, returnOptions) {
+        var result = {};
+
+        returnOptions.forEach((option) => {
+            switch (option) {
+                case 'MIN':
+                    if (list.length) {
+                        result.min = list[0];
+                    }
+                    break;
+                case 'MAX':
+                    if (list.length) {
+                        result.max = list[list.length - 1];
+                    }
+                    break;
+                case 'COUNT':
+                    result.count = list.length;
+                    break;
+                case 'ALL':
+                    if (list.length) {
+                        result.all = this._compressSequenceSet(list);
+                    }
+                    break;
+            }
+        });
+
+        return result;
+    };
+
+    /**
+     * Parses SORT response. Unlike SEARCH results, the order of the numbers is kept
+     *
+     * @param {Object} response
+     * @return {Array} Sorted Seq./UID number list
+     */
+    Client.prototype._parseSORT = function(response) {
+        var list = [];
+
+        if (!response || !response.payload || !response.payload.SORT || !response.payload.SORT.length) {
+            return list;
+        }
+
+        [].concat(response.payload.SORT || []).forEach((result) => {
+            [].concat(result.attributes || []).forEach((nr) => {
+                list.push(Number(nr && nr.value || nr || 0) || 0);
+            });
+        });
+
+        return list;
+    };
+
+    /**
+     * Parses THREAD response into a list of thread trees. Every node in a tree
+     * is an object `{id, children}` where `id` is the seq./uid number of the message.
+     * If the parent of a thread is missing from the mailbox, the root node has
+     * no `id` and only lists the children
+     *
+     *    * THREAD (2)(3 6 (4 23)(44 7 96))
+     *
+     * @param {Object} response
+     * @return {Array} List of thread trees
+     */
+    Client.prototype._parseTHREAD = function(response) {
+        var processThread = (list) => {
+            var root, current;
+
+            [].concat(list || []).forEach((item) => {
+                var node;
+
+                if (Array.isArray(item)) {
+                    // a branch, all branches are children of the last message in the chain
+                    if (!current) {
+                        root = current = {
+                            children: []
+                        };
+                    }
+                    current.children.push(processThread(item));
+                    return;
+                }
+
+                node = {
+                    id: Number(item && item.value || 0) || 0,
+                    children: []
+                };
+
+                if (current) {
+                    current.children.push(node);
+                } else {
+                    root = node;
+                }
+                current = node;
+            });
+
+            return root;
+        };
+
+        if (!response || !response.payload || !response.payload.THREAD || !response.payload.THREAD.length) {
+            return [];
+        }
+
+        var threads = [];
+        [].concat(response.payload.THREAD || []).forEach((result) => {
+            [].concat(result.attributes || []).forEach((thread) => {
+                threads.push(processThread(thread));
+            });
+        });
+
+        return threads;
+    };
+
+    /**
+     * Compresses a sorted list of numbers into a sequence set, eg. [1, 2, 3, 5] becomes "1:3,5"
+     *
+     * @param {Array} list Sorted seq./uid number list
+     * @return {String} Sequence set
+     */
+    Client.prototype._compressSequenceSet = function(list) {
+        var ranges = [];
+        var from, to;
+
+        [].concat(list || []).forEach((nr) => {
+            if (from && nr === to + 1) {
+                to = nr;
+                return;
+            }
+            if (from) {
+                ranges.push(from === to ? from : from + ':' + to);
+            }
+            from = to = nr;
+        });
+
+        if (from) {
+            ranges.push(from === to ? from : from + ':' + to);
+        }
+
+        return ranges.join(',');
+    };
+
     /**
      * Creates an IMAP STORE command from the selected arguments
      */
@@ -1793,23 +4392,6 @@
         return false;
     };
 
-    /**
-     * Builds a login token for XOAUTH2 authentication command
-     *
-     * @param {String} user E-mail address of the user
-     * @param {String} token Valid access token for the user
-     * @return {String} Base64 formatted login token
-     */
-    Client.prototype._buildXOAuth2Token = function(user, token) {
-        var authData = [
-            'user=' + (user || ''),
-            'auth=Bearer ' + token,
-            '',
-            ''
-        ];
-        return mimefuncs.base64.encode(authData.join('\x01'));
-    };
-
     /**
      * If needed, encloses with quotes or mime encodes the name part of an e-mail address
      *
@@ -1892,5 +4474,31 @@
         };
     };
 
+    /**
+     * Registers a SASL mechanism for all clients, see emailjs-imap-client-sasl for the mechanism interface
+     *
+     * @param {String} name Mechanism name as advertised in AUTH=
+     * @param {Object} mechanism Mechanism object with accepts(auth) and create(auth, context) methods
+     */
+    Client.registerSaslMechanism = function(name, mechanism) {
+        sasl.register(name, mechanism);
+    };
+
+    /**
+     * Helper that keeps a local mirror of a mailbox up to date, see emailjs-imap-client-sync
+     */
+    Client.MailboxSync = MailboxSync;
+
+    /**
+     * Error classes, see emailjs-imap-client-errors
+     */
+    Client.errors = errors;
+
+    /**
+     * Pool of connections for using several mailboxes in parallel, see emailjs-imap-client-pool
+     */
+    Client.ClientPool = ClientPool;
+    ClientPool.prototype.Client = Client;
+
     return Client;
 }));
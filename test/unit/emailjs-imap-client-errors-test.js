@@ -0,0 +1,77 @@
+'use strict';
+
+(function(factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['chai', 'emailjs-imap-client-errors'], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('chai'), require('../../src/emailjs-imap-client-errors'));
+    }
+}(function(chai, errors) {
+    var expect = chai.expect;
+    chai.config.includeStack = true;
+
+    describe('errors unit tests', () => {
+        describe('#fromResponse', () => {
+            it('should create an error for NO responses', () => {
+                var err = errors.fromResponse({
+                    tag: 'W3',
+                    command: 'NO',
+                    code: 'UNAVAILABLE',
+                    humanReadable: 'Try again later'
+                }, {
+                    command: 'uid fetch'
+                });
+
+                expect(err).to.be.instanceof(Error);
+                expect(err).to.be.instanceof(errors.ImapError);
+                expect(err).to.be.instanceof(errors.ImapNoResponseError);
+                expect(err.name).to.equal('ImapNoResponseError');
+                expect(err.message).to.equal('Try again later');
+                expect(err.command).to.equal('UID FETCH');
+                expect(err.tag).to.equal('W3');
+                expect(err.code).to.equal('UNAVAILABLE');
+                expect(err.serverText).to.equal('Try again later');
+                expect(err.transient).to.be.true;
+            });
+
+            it('should create an error for BAD responses', () => {
+                var err = errors.fromResponse({
+                    tag: 'W3',
+                    command: 'BAD',
+                    humanReadable: 'Syntax error'
+                });
+
+                expect(err).to.be.instanceof(errors.ImapBadResponseError);
+                expect(err.transient).to.be.false;
+            });
+
+            it('should map response codes to error classes', () => {
+                var create = (code) => errors.fromResponse({
+                    command: 'NO',
+                    code: code
+                });
+
+                expect(create('AUTHENTICATIONFAILED')).to.be.instanceof(errors.AuthenticationFailedError);
+                expect(create('EXPIRED')).to.be.instanceof(errors.AuthenticationFailedError);
+                expect(create('OVERQUOTA')).to.be.instanceof(errors.OverQuotaError);
+                expect(create('NONEXISTENT')).to.be.instanceof(errors.NonExistentError);
+                expect(create('TRYCREATE')).to.be.instanceof(errors.NonExistentError);
+                expect(create('NONEXISTENT')).to.be.instanceof(errors.ImapNoResponseError);
+                expect(create('INUSE').transient).to.be.true;
+                expect(create('CONTACTADMIN').transient).to.be.false;
+            });
+        });
+
+        describe('ConnectionClosedError', () => {
+            it('should be transient', () => {
+                var err = new errors.ConnectionClosedError('Socket closed');
+
+                expect(err).to.be.instanceof(errors.ImapError);
+                expect(err.name).to.equal('ConnectionClosedError');
+                expect(err.toString()).to.equal('ConnectionClosedError: Socket closed');
+                expect(err.stack).to.match(/^ConnectionClosedError: Socket closed/);
+                expect(err.transient).to.be.true;
+            });
+        });
+    });
+}));
@@ -69,8 +69,6 @@
                 client.close().then(() => {
                     expect(socketStub.close.called).to.be.false;
                 }).then(done).catch(done);
-
-                setTimeout(() => socketStub.onclose(), 0);
             });
         });
 
@@ -86,6 +84,81 @@
             });
         });
 
+        describe('#suspend', () => {
+            it('should suspend the socket once', () => {
+                expect(client.suspend()).to.be.true;
+                expect(client.suspend()).to.be.true;
+
+                expect(socketStub.suspend.callCount).to.equal(1);
+            });
+
+            it('should not fail if the socket can not be suspended', () => {
+                socketStub.suspend.throws(new Error('API not supported'));
+
+                expect(client.suspend()).to.be.false;
+                expect(client.suspend()).to.be.false;
+                expect(socketStub.suspend.callCount).to.equal(1);
+            });
+
+            it('should not suspend a socket without resume', () => {
+                client.socket = {
+                    suspend: sinon.stub()
+                };
+
+                expect(client.suspend()).to.be.false;
+                expect(client.socket.suspend.callCount).to.equal(0);
+            });
+
+            it('should stop the socket timeout', () => {
+                sinon.stub(client, '_onError');
+                client.send('a1 NOOP\r\n');
+
+                client.suspend();
+                expect(client._socketTimeoutTimer).to.be.null;
+                expect(client._socketTimeoutPending).to.equal(client.TIMEOUT_SOCKET_LOWER_BOUND);
+            });
+
+            it('should not arm the socket timeout when sending while suspended', () => {
+                sinon.stub(client, '_armSocketTimeout');
+                client.suspend();
+
+                client.send('a1 NOOP\r\n');
+                expect(client._armSocketTimeout.callCount).to.equal(0);
+                expect(client._socketTimeoutPending).to.be.above(0);
+            });
+        });
+
+        describe('#resume', () => {
+            it('should resume a suspended socket', () => {
+                client.resume();
+                expect(socketStub.resume.callCount).to.equal(0);
+
+                client.suspend();
+                client.resume();
+                client.resume();
+                expect(socketStub.resume.callCount).to.equal(1);
+            });
+
+            it('should arm the socket timeout again', () => {
+                sinon.stub(client, '_armSocketTimeout');
+                client.suspend();
+                client.send('a1 NOOP\r\n');
+
+                client.resume();
+                expect(client._armSocketTimeout.callCount).to.equal(1);
+                expect(client._armSocketTimeout.args[0][0]).to.be.at.least(client.TIMEOUT_SOCKET_LOWER_BOUND);
+                expect(client._socketTimeoutPending).to.equal(0);
+            });
+
+            it('should not arm the socket timeout if nothing is waiting for a response', () => {
+                sinon.stub(client, '_armSocketTimeout');
+                client.suspend();
+
+                client.resume();
+                expect(client._armSocketTimeout.callCount).to.equal(0);
+            });
+        });
+
         describe('#setHandler', () => {
             it('should set global handler for keyword', () => {
                 var handler = () => {};
@@ -117,6 +190,76 @@
             });
         });
 
+        describe('#_onError', () => {
+            it('should reject the current command and pass queued commands to onerror', (done) => {
+                var current = {
+                    callback: sinon.stub()
+                };
+                var queued = [{
+                    tag: 'W2'
+                }];
+                sinon.stub(client, 'close').returns(Promise.resolve());
+
+                client._currentCommand = current;
+                client._clientQueue = queued;
+                client.onerror = (err, commands) => {
+                    expect(err.message).to.equal('err');
+                    expect(commands).to.equal(queued);
+                    expect(current.callback.withArgs(err).callCount).to.equal(1);
+                    expect(client._clientQueue).to.deep.equal([]);
+                    done();
+                };
+
+                client._onError(new Error('err'));
+            });
+        });
+
+        describe('#requeueCommands', () => {
+            it('should queue commands with new tags', () => {
+                var precheck = () => {};
+                var prechecked = {
+                    tag: 'W4',
+                    request: {
+                        tag: 'W4'
+                    },
+                    prechecked: precheck
+                };
+                var subcommand = {
+                    tag: 'W5.p',
+                    request: {
+                        tag: 'W5.p'
+                    },
+                    callback: sinon.stub()
+                };
+                sinon.stub(client, '_sendRequest');
+
+                client._canSend = true;
+                client.requeueCommands([subcommand, prechecked]);
+
+                expect(subcommand.callback.callCount).to.equal(1);
+                expect(client._clientQueue).to.deep.equal([prechecked]);
+                expect(prechecked.tag).to.equal('W1');
+                expect(prechecked.request.tag).to.equal('W1');
+                expect(prechecked.precheck).to.equal(precheck);
+                expect(client._sendRequest.callCount).to.equal(1);
+            });
+        });
+
+        describe('#hasPendingCommands', () => {
+            it('should report queued and in flight commands', () => {
+                client._clientQueue = [];
+                client._inFlight = [];
+                expect(client.hasPendingCommands()).to.be.false;
+
+                client._clientQueue = [{}];
+                expect(client.hasPendingCommands()).to.be.true;
+
+                client._clientQueue = [];
+                client._inFlight = [{}];
+                expect(client.hasPendingCommands()).to.be.true;
+            });
+        });
+
         describe('#_onData', () => {
             it('should process input', () => {
                 sinon.stub(client, '_parseIncomingCommands');
@@ -128,10 +271,78 @@
 
                 expect(client._parseIncomingCommands.calledOnce).to.be.true;
                 expect(client._iterateIncomingBuffer.calledOnce).to.be.true;
+                expect(client._incomingBuffers.length).to.equal(1);
+            });
+
+            it('should buffer input as string', () => {
+                sinon.stub(client, '_parseIncomingCommands');
+                sinon.stub(client, '_iterateIncomingBuffer');
+                client.options.literalsAsString = true;
+
+                client._onData({
+                    data: mimefuncs.toTypedArray('foobar').buffer
+                });
+
+                expect(client._incomingBuffer).to.equal('foobar');
+                expect(client._incomingBuffers.length).to.equal(0);
             });
         });
 
         describe('#_iterateIncomingBuffer', () => {
+            it('should iterate chunked input', () => {
+                client._appendIncomingBuffer(mimefuncs.toTypedArray('* 1 FETCH (UID 1)\r\n* 2 FETCH'));
+                client._appendIncomingBuffer(mimefuncs.toTypedArray(' (UID 2)\r\n* 3 FETCH (UID 3)\r\n* 4'));
+                var iterator = client._iterateIncomingBuffer();
+
+                expect(iterator.next().value).to.equal('* 1 FETCH (UID 1)');
+                expect(iterator.next().value).to.equal('* 2 FETCH (UID 2)');
+                expect(iterator.next().value).to.equal('* 3 FETCH (UID 3)');
+                expect(iterator.next().value).to.be.undefined;
+                expect(mimefuncs.fromTypedArray(client._incomingBuffers[0])).to.equal('* 4');
+                expect(client._incomingLength).to.equal(3);
+            });
+
+            it('should search the chunks of a long line only once', () => {
+                var iterator;
+
+                for (var i = 0; i < 10; i++) {
+                    client._appendIncomingBuffer(mimefuncs.toTypedArray(i ? ' 1' : '* OK'));
+                    iterator = client._iterateIncomingBuffer();
+                    expect(iterator.next().value).to.be.undefined;
+                    expect(client._incomingSearched).to.deep.equal([i + 1, 4 + 2 * i]);
+                }
+                client._appendIncomingBuffer(mimefuncs.toTypedArray('\r\n'));
+                iterator = client._iterateIncomingBuffer();
+
+                expect(iterator.next().value).to.equal('* OK' + new Array(10).join(' 1'));
+                expect(client._incomingSearched).to.deep.equal([0, 0]);
+                expect(client._incomingLength).to.equal(0);
+                expect(client._incomingBuffers).to.deep.equal([]);
+            });
+
+            it('should keep literals as octets', () => {
+                client._appendIncomingBuffer(mimefuncs.toTypedArray('* 1 FETCH (BODY[] {4}\r\n\x00\xff\r\n'));
+                client._appendIncomingBuffer(mimefuncs.toTypedArray(' UID 1)\r\n* 2 FETCH (BODY[] {10}\r\n12345'));
+                var iterator = client._iterateIncomingBuffer();
+
+                expect(iterator.next().value).to.equal('* 1 FETCH (BODY[] {0}\r\n UID 1)');
+                expect(client._commandLiterals.length).to.equal(1);
+                expect(Array.prototype.slice.call(client._commandLiterals[0])).to.deep.equal([0, 255, 13, 10]);
+                expect(iterator.next().value).to.be.undefined;
+
+                // wait for the rest of the literal
+                client._appendIncomingBuffer(mimefuncs.toTypedArray('67890)\r\n'));
+                iterator = client._iterateIncomingBuffer();
+                expect(iterator.next().value).to.equal('* 2 FETCH (BODY[] {0}\r\n)');
+                expect(mimefuncs.fromTypedArray(client._commandLiterals[0])).to.equal('1234567890');
+            });
+        });
+
+        describe('#_iterateIncomingString', () => {
+            beforeEach(() => {
+                client.options.literalsAsString = true;
+            });
+
             it('should iterate chunked input', () => {
                 client._incomingBuffer = '* 1 FETCH (UID 1)\r\n* 2 FETCH (UID 2)\r\n* 3 FETCH (UID 3)\r\n';
                 var iterator = client._iterateIncomingBuffer();
@@ -153,6 +364,38 @@
             });
         });
 
+        describe('#_restoreLiterals', () => {
+            it('should set body literals as Uint8Array', () => {
+                var response = {
+                    tag: '*',
+                    command: '1',
+                    attributes: [{
+                        type: 'ATOM',
+                        value: 'FETCH'
+                    }, [{
+                        type: 'ATOM',
+                        value: 'BODY',
+                        section: []
+                    }, {
+                        type: 'LITERAL',
+                        value: ''
+                    }, {
+                        type: 'ATOM',
+                        value: 'ENVELOPE'
+                    }, [{
+                        type: 'LITERAL',
+                        value: ''
+                    }]]]
+                };
+
+                client._restoreLiterals(response, [new Uint8Array([0, 255]), mimefuncs.toTypedArray('abc')]);
+
+                expect(response.attributes[1][1].value).to.be.instanceof(Uint8Array);
+                expect(Array.prototype.slice.call(response.attributes[1][1].value)).to.deep.equal([0, 255]);
+                expect(response.attributes[1][3][0].value).to.equal('abc');
+            });
+        });
+
         describe('#_parseIncomingCommands', () => {
             it('should process a tagged item from the queue', () => {
                 client.onready = sinon.stub();
@@ -188,6 +431,54 @@
                 }).calledOnce).to.be.true;
             });
 
+            it('should emit [ALERT] responses', () => {
+                client.onalert = sinon.stub();
+                sinon.stub(client, '_handleResponse');
+
+                function* gen() { yield '* OK [ALERT] System going down'; }
+
+                client._parseIncomingCommands(gen());
+
+                expect(client.onalert.callCount).to.equal(1);
+                expect(client.onalert.args[0][0].humanReadable).to.equal('System going down');
+                expect(client._handleResponse.callCount).to.equal(1);
+            });
+
+            it('should close the connection with the reason on untagged BYE', () => {
+                client.onready = sinon.stub();
+                sinon.stub(client, '_onError');
+                sinon.stub(client, '_handleResponse');
+
+                function* gen() { yield '* BYE [UNAVAILABLE] Server shutting down'; }
+
+                client._parseIncomingCommands(gen());
+
+                var err = client._onError.args[0][0];
+                expect(err.name).to.equal('ConnectionClosedError');
+                expect(err.message).to.equal('Server shutting down');
+                expect(err.code).to.equal('UNAVAILABLE');
+                expect(err.transient).to.be.true;
+                expect(client._handleResponse.called).to.be.false;
+                expect(client.onready.called).to.be.false;
+            });
+
+            it('should not fail on BYE during LOGOUT', () => {
+                sinon.stub(client, '_onError');
+                sinon.stub(client, '_handleResponse');
+                client._currentCommand = {
+                    request: {
+                        command: 'LOGOUT'
+                    }
+                };
+
+                function* gen() { yield '* BYE Logging out'; }
+
+                client._parseIncomingCommands(gen());
+
+                expect(client._onError.called).to.be.false;
+                expect(client._handleResponse.callCount).to.equal(1);
+            });
+
             it('should process a plus tagged item from the queue', () => {
                 sinon.stub(client, 'send');
 
@@ -201,18 +492,35 @@
                 expect(client.send.withArgs('literal data\r\n').callCount).to.equal(1);
             });
 
-            it('should process an XOAUTH2 error challenge', () => {
-                sinon.stub(client, 'send');
-
-                function* gen() { yield '+ FOOBAR'; }
+            it('should pass a continuation request to the continuation handler', (done) => {
+                function* gen() { yield '+ Y2hhbGxlbmdl'; }
                 client._currentCommand = {
                     data: [],
-                    errorResponseExpectsEmptyLine: true
+                    continuationHandler: (challenge) => {
+                        expect(challenge).to.equal('Y2hhbGxlbmdl');
+                        return Promise.resolve('cmVzcG9uc2U=');
+                    }
                 };
+                sinon.stub(client, 'send', (str) => {
+                    expect(str).to.equal('cmVzcG9uc2U=\r\n');
+                    done();
+                });
 
                 client._parseIncomingCommands(gen());
+            });
 
-                expect(client.send.withArgs('\r\n').callCount).to.equal(1);
+            it('should cancel the exchange if the continuation handler fails', (done) => {
+                function* gen() { yield '+ '; }
+                client._currentCommand = {
+                    data: [],
+                    continuationHandler: () => Promise.reject(new Error('Invalid challenge'))
+                };
+                sinon.stub(client, 'send', (str) => {
+                    expect(str).to.equal('*\r\n');
+                    done();
+                });
+
+                client._parseIncomingCommands(gen());
             });
         });
 
@@ -280,6 +588,30 @@
                 }]);
             });
 
+            it('should pass to untagged handler', () => {
+                sinon.stub(client, '_processResponse');
+                client._globalAcceptUntagged.TEST = () => {};
+                sinon.stub(client._globalAcceptUntagged, 'TEST');
+
+                client._currentCommand = {
+                    payload: {
+                        TEST: []
+                    },
+                    untaggedHandler: sinon.stub()
+                };
+                client._handleResponse({
+                    tag: '*',
+                    command: 'test'
+                });
+
+                expect(client._globalAcceptUntagged.TEST.callCount).to.equal(0);
+                expect(client._currentCommand.untaggedHandler.withArgs({
+                    tag: '*',
+                    command: 'test'
+                }).callCount).to.equal(1);
+                expect(client._currentCommand.payload.TEST).to.deep.equal([]);
+            });
+
             it('should invoke command callback', () => {
                 sinon.stub(client, '_processResponse');
                 sinon.stub(client, '_sendRequest');
@@ -310,6 +642,81 @@
                 expect(client._sendRequest.callCount).to.equal(1);
                 expect(client._globalAcceptUntagged.TEST.callCount).to.equal(0);
             });
+
+            it('should match responses to pipelined commands', () => {
+                sinon.stub(client, '_sendRequest');
+                var status = {
+                    tag: 'W1',
+                    payload: {
+                        STATUS: []
+                    },
+                    callback: sinon.stub()
+                };
+                var list = {
+                    tag: 'W2',
+                    payload: {
+                        LIST: []
+                    },
+                    callback: sinon.stub()
+                };
+
+                client._currentCommand = list;
+                client._inFlight = [status, list];
+                client._handleResponse({
+                    tag: '*',
+                    command: 'STATUS'
+                });
+                client._handleResponse({
+                    tag: 'W1',
+                    command: 'OK'
+                });
+
+                expect(status.callback.args[0][0].payload.STATUS.length).to.equal(1);
+                expect(list.callback.callCount).to.equal(0);
+                expect(list.payload.LIST).to.deep.equal([]);
+                expect(client._inFlight).to.deep.equal([list]);
+                expect(client._sendRequest.callCount).to.equal(1);
+            });
+
+            it('should match STATUS responses by the mailbox name', () => {
+                sinon.stub(client, '_sendRequest');
+                client._globalAcceptUntagged.STATUS = sinon.stub();
+                var status = (tag, mailbox) => ({
+                    tag: tag,
+                    request: {
+                        tag: tag,
+                        command: 'STATUS',
+                        attributes: [{
+                            type: 'STRING',
+                            value: mailbox
+                        }]
+                    },
+                    payload: {
+                        STATUS: []
+                    },
+                    callback: sinon.stub()
+                });
+                var inbox = status('W1', 'INBOX');
+                var sent = status('W2', 'Sent');
+
+                client._currentCommand = sent;
+                client._inFlight = [inbox, sent];
+                ['Sent', 'Drafts', 'inbox'].forEach((mailbox) => client._handleResponse({
+                    tag: '*',
+                    command: 'STATUS',
+                    attributes: [{
+                        type: 'ATOM',
+                        value: mailbox
+                    }]
+                }));
+
+                expect(inbox.payload.STATUS.length).to.equal(1);
+                expect(inbox.payload.STATUS[0].attributes[0].value).to.equal('inbox');
+                expect(sent.payload.STATUS.length).to.equal(1);
+                expect(sent.payload.STATUS[0].attributes[0].value).to.equal('Sent');
+                expect(client._globalAcceptUntagged.STATUS.callCount).to.equal(1);
+                expect(client._globalAcceptUntagged.STATUS.args[0][0].attributes[0].value).to.equal('Drafts');
+            });
         });
 
         describe('#enqueueCommand', () => {
@@ -332,6 +739,33 @@
                 });
             });
 
+            it('should reject with a typed error', (done) => {
+                sinon.stub(client, '_sendRequest', function() {
+                    client._clientQueue[0].callback({
+                        tag: 'W101',
+                        command: 'NO',
+                        code: 'NONEXISTENT',
+                        humanReadable: 'Unknown mailbox'
+                    });
+                });
+
+                client._tagCounter = 100;
+                client._clientQueue = [];
+                client._canSend = true;
+
+                client.enqueueCommand({
+                    command: 'select',
+                    attributes: ['foo']
+                }).catch((err) => {
+                    expect(err.name).to.equal('NonExistentError');
+                    expect(err.message).to.equal('Unknown mailbox');
+                    expect(err.command).to.equal('SELECT');
+                    expect(err.tag).to.equal('W101');
+                    expect(err.code).to.equal('NONEXISTENT');
+                    expect(err.serverText).to.equal('Unknown mailbox');
+                }).then(done).catch(done);
+            });
+
             it('should invoke sending', (done) => {
                 sinon.stub(client, '_sendRequest', function() {
                     client._clientQueue[0].callback({});
@@ -378,6 +812,144 @@
                     client._clientQueue[0].callback({});
                 }, 0);
             });
+
+            it('should reject if the signal is already aborted', (done) => {
+                sinon.stub(client, '_sendRequest');
+
+                client._clientQueue = [];
+                client._canSend = true;
+
+                client.enqueueCommand({
+                    command: 'abc'
+                }, ['def'], {
+                    signal: {
+                        aborted: true
+                    }
+                }).catch((err) => {
+                    expect(err.code).to.equal('ABORTED');
+                    expect(client._clientQueue.length).to.equal(0);
+                    expect(client._sendRequest.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+
+            it('should remove a queued command on abort', (done) => {
+                var signal = {
+                    aborted: false,
+                    addEventListener: sinon.stub(),
+                    removeEventListener: sinon.stub()
+                };
+                sinon.stub(client, '_sendRequest');
+
+                client._clientQueue = [];
+                client._canSend = false;
+
+                client.enqueueCommand({
+                    command: 'abc'
+                }, ['def'], {
+                    signal: signal
+                }).catch((err) => {
+                    expect(err.code).to.equal('ABORTED');
+                    expect(client._clientQueue.length).to.equal(0);
+                    expect(signal.removeEventListener.withArgs('abort').callCount).to.equal(1);
+                }).then(done).catch(done);
+
+                signal.aborted = true;
+                signal.addEventListener.withArgs('abort').args[0][1]();
+            });
+
+            it('should reject a command in progress on abort and discard the response', (done) => {
+                var signal = {
+                    aborted: false,
+                    addEventListener: sinon.stub(),
+                    removeEventListener: sinon.stub()
+                };
+                sinon.stub(client, '_sendRequest', function() {
+                    client._currentCommand = client._clientQueue.shift();
+                });
+                sinon.stub(client, '_onError');
+
+                client._clientQueue = [];
+                client._canSend = true;
+
+                client.enqueueCommand({
+                    command: 'abc'
+                }, ['def'], {
+                    signal: signal
+                }).catch((err) => {
+                    expect(err.code).to.equal('ABORTED');
+                    expect(client._currentCommand.cancelled).to.be.true;
+                    expect(client._onError.callCount).to.equal(0);
+
+                    client._handleResponse({
+                        tag: '*',
+                        command: 'def'
+                    });
+                    expect(client._currentCommand.payload.DEF).to.deep.equal([]);
+                }).then(done).catch(done);
+
+                signal.aborted = true;
+                signal.addEventListener.withArgs('abort').args[0][1]();
+            });
+
+            it('should not abort a SELECT in progress', (done) => {
+                var signal = {
+                    aborted: false,
+                    addEventListener: sinon.stub(),
+                    removeEventListener: sinon.stub()
+                };
+                sinon.stub(client, '_sendRequest', function() {
+                    client._currentCommand = client._clientQueue.shift();
+                });
+                sinon.stub(client, '_onError');
+
+                client._clientQueue = [];
+                client._canSend = true;
+
+                client.enqueueCommand({
+                    command: 'SELECT',
+                    attributes: [{
+                        type: 'STRING',
+                        value: 'INBOX'
+                    }]
+                }, ['exists'], {
+                    signal: signal
+                }).then((response) => {
+                    expect(response.payload.EXISTS.length).to.equal(1);
+                    expect(client._onError.callCount).to.equal(0);
+                }).then(done).catch(done);
+
+                signal.aborted = true;
+                signal.addEventListener.withArgs('abort').args[0][1]();
+                expect(client._currentCommand.cancelled).to.not.exist;
+
+                client._handleResponse({
+                    tag: '*',
+                    command: 'EXISTS'
+                });
+                client._handleResponse({
+                    tag: client._currentCommand.tag,
+                    command: 'OK'
+                });
+            });
+
+            it('should close the connection if a command in progress times out', (done) => {
+                sinon.stub(client, '_sendRequest', function() {
+                    client._currentCommand = client._clientQueue.shift();
+                });
+                sinon.stub(client, '_onError', (err) => {
+                    expect(err.code).to.equal('TIMEOUT');
+                    done();
+                });
+
+                client._clientQueue = [];
+                client._canSend = true;
+
+                client.enqueueCommand({
+                    command: 'abc'
+                }, ['def'], {
+                    timeout: 1
+                });
+            });
         });
 
         describe('#_sendRequest', () => {
@@ -460,6 +1032,123 @@
             });
         });
 
+        describe('pipelining', () => {
+            var command = (tag, name, untagged) => ({
+                tag: tag,
+                request: {
+                    tag: tag,
+                    command: name
+                },
+                payload: untagged ? {
+                    [untagged]: []
+                } : undefined
+            });
+
+            beforeEach(() => {
+                sinon.stub(client, 'send');
+            });
+
+            it('should send independent commands without waiting', () => {
+                client.options.pipelining = true;
+                client._clientQueue = [command('W1', 'STATUS', 'STATUS'), command('W2', 'LIST', 'LIST'), command('W3', 'SELECT')];
+
+                client._sendRequest();
+
+                expect(client.send.args).to.deep.equal([
+                    ['W1 STATUS\r\n'],
+                    ['W2 LIST\r\n']
+                ]);
+                expect(client._inFlight.length).to.equal(2);
+                expect(client._clientQueue.length).to.equal(1);
+                expect(client._canSend).to.be.false;
+            });
+
+            it('should not pipeline commands that accept the same untagged responses', () => {
+                client.options.pipelining = true;
+                client._clientQueue = [command('W1', 'STATUS', 'STATUS'), command('W2', 'STATUS', 'STATUS')];
+
+                client._sendRequest();
+
+                expect(client.send.callCount).to.equal(1);
+                expect(client._clientQueue.length).to.equal(1);
+            });
+
+            it('should pipeline STATUS commands for different mailboxes', () => {
+                client.options.pipelining = true;
+                var status = (tag, mailbox) => {
+                    var data = command(tag, 'STATUS', 'STATUS');
+                    data.request.attributes = [{
+                        type: 'STRING',
+                        value: mailbox
+                    }];
+                    return data;
+                };
+                client._clientQueue = [status('W1', 'INBOX'), status('W2', 'Sent'), status('W3', 'Sent')];
+
+                client._sendRequest();
+
+                expect(client.send.args).to.deep.equal([
+                    ['W1 STATUS "INBOX"\r\n'],
+                    ['W2 STATUS "Sent"\r\n']
+                ]);
+                expect(client._clientQueue.length).to.equal(1);
+            });
+
+            it('should not pipeline LIST commands', () => {
+                client.options.pipelining = true;
+                client._clientQueue = [command('W1', 'LIST', 'LIST'), command('W2', 'LIST', 'LIST')];
+
+                client._sendRequest();
+
+                expect(client.send.callCount).to.equal(1);
+                expect(client._clientQueue.length).to.equal(1);
+            });
+
+            it('should not pipeline commands with literals', () => {
+                client.options.pipelining = true;
+                var status = command('W2', 'STATUS');
+                status.request.attributes = [{
+                    type: 'LITERAL',
+                    value: 'abc'
+                }];
+                client._clientQueue = [command('W1', 'NOOP'), status];
+
+                client._sendRequest();
+
+                expect(client.send.callCount).to.equal(1);
+                expect(status.chunkCount).to.equal(2);
+            });
+
+            it('should compile a command only once to check for literals', () => {
+                client.options.pipelining = true;
+                var noop = command('W1', 'NOOP');
+                noop.chunkCount = 2;
+                client._clientQueue = [noop, command('W2', 'NOOP')];
+
+                client._sendRequest();
+
+                expect(client.send.callCount).to.equal(1);
+            });
+
+            it('should respect the pipelining depth', () => {
+                client.options.pipelining = 2;
+                client._clientQueue = [command('W1', 'NOOP'), command('W2', 'NOOP'), command('W3', 'NOOP')];
+
+                client._sendRequest();
+
+                expect(client.send.callCount).to.equal(2);
+            });
+
+            it('should send one command at a time if disabled', () => {
+                client._clientQueue = [command('W1', 'NOOP'), command('W2', 'NOOP')];
+
+                client._sendRequest();
+
+                expect(client.send.callCount).to.equal(1);
+                expect(client._canSend).to.be.false;
+            });
+        });
+
         describe('#_enterIdle', () => {
             it('should set idle timer', (done) => {
                 client.onidle = () => {
@@ -511,6 +1200,32 @@
                 expect(response.code).to.equal('CAPABILITY');
                 expect(response.capability).to.deep.equal(['IMAP4REV1', 'UIDPLUS']);
             });
+
+            it('should set nested METADATA response codes', () => {
+                var response = {
+                    tag: 'W1',
+                    command: 'OK',
+                    attributes: [{
+                        type: 'ATOM',
+                        section: [{
+                            type: 'ATOM',
+                            value: 'METADATA'
+                        }, {
+                            type: 'ATOM',
+                            value: 'LONGENTRIES'
+                        }, {
+                            type: 'ATOM',
+                            value: '2199'
+                        }]
+                    }, {
+                        type: 'TEXT',
+                        value: 'GETMETADATA complete'
+                    }]
+                };
+                client._processResponse(response);
+                expect(response.code).to.equal('LONGENTRIES');
+                expect(response.longentries).to.equal('2199');
+            });
         });
 
         describe('#isError', () => {
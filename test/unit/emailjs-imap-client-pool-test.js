@@ -0,0 +1,211 @@
+'use strict';
+
+(function(factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['chai', 'emailjs-imap-client-pool'], factory.bind(null, sinon));
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('sinon'), require('chai'), require('../../src/emailjs-imap-client-pool'));
+    }
+}(function(sinon, chai, ClientPool) {
+    var expect = chai.expect;
+    chai.config.includeStack = true;
+
+    describe('ClientPool unit tests', () => {
+        var pool, clients;
+
+        function FakeClient(host, port, options) {
+            this.host = host;
+            this.port = port;
+            this.options = options;
+            this._selectedMailbox = false;
+            this._selectedMailboxOptions = {};
+            this.connect = sinon.stub().returns(Promise.resolve());
+            this.close = sinon.stub().returns(Promise.resolve());
+            this.logout = sinon.stub().returns(Promise.resolve());
+            this.selectMailbox = sinon.spy((path, options) => {
+                this._selectedMailbox = path;
+                this._selectedMailboxOptions = options || {};
+                return Promise.resolve({});
+            });
+            clients.push(this);
+        }
+
+        // resolves after the pending promise callbacks have run
+        var tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+        beforeEach(() => {
+            clients = [];
+            pool = new ClientPool('localhost', 143, {
+                maxConnections: 2,
+                sessionId: 1,
+                auth: {
+                    user: 'u',
+                    pass: 'p'
+                }
+            });
+            pool.Client = FakeClient;
+        });
+
+        describe('#withMailbox', () => {
+            it('should select the mailbox and resolve with the result of the task', (done) => {
+                pool.withMailbox('INBOX', (client) => {
+                    expect(client).to.equal(clients[0]);
+                    return 'result';
+                }, {
+                    readOnly: true
+                }).then((result) => {
+                    expect(result).to.equal('result');
+                    expect(clients[0].host).to.equal('localhost');
+                    expect(clients[0].options).to.deep.equal({
+                        auth: {
+                            user: 'u',
+                            pass: 'p'
+                        }
+                    });
+                    expect(clients[0].connect.callCount).to.equal(1);
+                    expect(clients[0].selectMailbox.withArgs('INBOX', {
+                        readOnly: true
+                    }).callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should reuse the connection that has the mailbox selected', (done) => {
+                pool.withMailbox('INBOX', () => {}).then(() => {
+                    return pool.withMailbox('Sent', () => {});
+                }).then(() => {
+                    return pool.withMailbox('INBOX', (client) => client);
+                }).then((client) => {
+                    expect(clients.length).to.equal(2);
+                    expect(client).to.equal(clients[0]);
+                    expect(client.selectMailbox.callCount).to.equal(1);
+                    expect(clients[1]._selectedMailbox).to.equal('Sent');
+                }).then(done).catch(done);
+            });
+
+            it('should run tasks for the same mailbox one after another', (done) => {
+                var finish;
+                var first = pool.withMailbox('INBOX', () => new Promise((resolve) => finish = resolve));
+                var second = pool.withMailbox('INBOX', sinon.stub().returns('second'));
+
+                tick().then(() => {
+                    expect(clients.length).to.equal(1);
+                    finish('first');
+                    return Promise.all([first, second]);
+                }).then((results) => {
+                    expect(results).to.deep.equal(['first', 'second']);
+                    expect(clients[0].selectMailbox.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should limit the number of connections', (done) => {
+                var finish = [];
+                var task = () => new Promise((resolve) => finish.push(resolve));
+
+                pool.withMailbox('INBOX', task);
+                pool.withMailbox('Sent', task);
+                var third = pool.withMailbox('Drafts', (client) => client);
+
+                tick().then(() => {
+                    expect(clients.length).to.equal(2);
+                    expect(finish.length).to.equal(2);
+                    finish[1]();
+                    return third;
+                }).then((client) => {
+                    expect(clients.length).to.equal(2);
+                    expect(client).to.equal(clients[1]);
+                    expect(client._selectedMailbox).to.equal('Drafts');
+                }).then(done).catch(done);
+            });
+
+            it('should reject if the connection fails', (done) => {
+                pool.Client = function() {
+                    FakeClient.apply(this, arguments);
+                    this.connect.returns(Promise.reject(new Error('Authentication failed')));
+                };
+                pool.onerror = sinon.stub();
+
+                pool.withMailbox('INBOX', () => {}).then(() => {
+                    throw new Error('should not resolve');
+                }).catch((err) => {
+                    expect(err.message).to.equal('Authentication failed');
+                    expect(pool._connections.length).to.equal(0);
+                    expect(pool.onerror.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#withClient', () => {
+            it('should not select a mailbox', (done) => {
+                pool.withMailbox('INBOX', () => {}).then(() => {
+                    return pool.withClient((client) => client);
+                }).then((client) => {
+                    expect(clients.length).to.equal(1);
+                    expect(client).to.equal(clients[0]);
+                    expect(client.selectMailbox.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should leave the connections with a selected mailbox to other tasks', (done) => {
+                var finish;
+
+                pool.withMailbox('INBOX', () => new Promise((resolve) => finish = resolve));
+                pool.withClient(() => {});
+
+                tick().then(() => {
+                    expect(clients.length).to.equal(2);
+                    finish();
+                    return tick();
+                }).then(() => {
+                    return pool.withMailbox('Sent', (client) => client);
+                }).then((client) => {
+                    expect(client).to.equal(clients[1]);
+                    expect(clients[0]._selectedMailbox).to.equal('INBOX');
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#onerror', () => {
+            it('should replace a failed connection', (done) => {
+                pool.onerror = sinon.stub();
+
+                pool.withMailbox('INBOX', () => {}).then(() => {
+                    clients[0].onerror(new Error('Socket closed'));
+
+                    expect(pool.onerror.withArgs(sinon.match.has('message', 'Socket closed'), clients[0]).callCount).to.equal(1);
+                    expect(clients[0].close.callCount).to.equal(1);
+                    expect(pool._connections.length).to.equal(0);
+
+                    return pool.withMailbox('INBOX', (client) => client);
+                }).then((client) => {
+                    expect(client).to.equal(clients[1]);
+                    expect(client.selectMailbox.withArgs('INBOX').callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#logout', () => {
+            it('should log out all connections and reject waiting tasks', (done) => {
+                var waiting;
+
+                pool.withMailbox('INBOX', () => new Promise(() => {}));
+                pool.withMailbox('Sent', () => new Promise(() => {}));
+                waiting = pool.withMailbox('Drafts', () => {});
+
+                tick().then(() => {
+                    return pool.logout();
+                }).then(() => {
+                    expect(clients[0].logout.callCount).to.equal(1);
+                    expect(clients[1].logout.callCount).to.equal(1);
+                    return waiting;
+                }).then(() => {
+                    throw new Error('should not resolve');
+                }).catch((err) => {
+                    expect(err.message).to.equal('Connection pool closed');
+                    return pool.withClient(() => {});
+                }).catch((err) => {
+                    expect(err.message).to.equal('Connection pool closed');
+                }).then(done).catch(done);
+            });
+        });
+    });
+}));
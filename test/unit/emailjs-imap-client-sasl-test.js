@@ -0,0 +1,239 @@
+'use strict';
+
+(function(factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['chai', 'emailjs-imap-client-sasl', 'emailjs-mime-codec'], factory.bind(null, sinon));
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('sinon'), require('chai'), require('../../src/emailjs-imap-client-sasl'), require('emailjs-mime-codec'));
+    }
+}(function(sinon, chai, sasl, mimefuncs) {
+    var expect = chai.expect;
+    chai.config.includeStack = true;
+
+    describe('sasl unit tests', () => {
+        var decode = (response) => typeof response === 'string' ? response : mimefuncs.fromTypedArray(response);
+        var encode = (str) => mimefuncs.charset.encode(str);
+
+        describe('#select', () => {
+            it('should select the strongest advertised mechanism', () => {
+                expect(sasl.select(['IMAP4rev1', 'AUTH=PLAIN', 'AUTH=SCRAM-SHA-1', 'AUTH=CRAM-MD5'], {
+                    user: 'u',
+                    pass: 'p'
+                })).to.equal('SCRAM-SHA-1');
+            });
+
+            it('should select a mechanism that accepts the credentials', () => {
+                expect(sasl.select(['AUTH=PLAIN', 'AUTH=OAUTHBEARER'], {
+                    user: 'u',
+                    xoauth2: 'token'
+                })).to.equal('OAUTHBEARER');
+                expect(sasl.select(['AUTH=EXTERNAL', 'AUTH=PLAIN'], {
+                    user: 'u',
+                    pass: 'p'
+                })).to.equal('PLAIN');
+            });
+
+            it('should return false if nothing matches', () => {
+                expect(sasl.select(['IMAP4rev1'], {
+                    user: 'u',
+                    pass: 'p'
+                })).to.be.false;
+                expect(sasl.select(['AUTH=PLAIN'], {
+                    xoauth2: 'token'
+                })).to.be.false;
+            });
+        });
+
+        describe('#register', () => {
+            afterEach(() => {
+                delete sasl.mechanisms.TEST;
+                sasl.preference.splice(sasl.preference.indexOf('TEST'), 1);
+            });
+
+            it('should prefer registered mechanisms', () => {
+                sasl.register('test', {
+                    accepts: () => true,
+                    create: () => ({})
+                });
+
+                expect(sasl.select(['AUTH=PLAIN', 'AUTH=TEST'], {
+                    user: 'u',
+                    pass: 'p'
+                })).to.equal('TEST');
+            });
+        });
+
+        describe('#create', () => {
+            it('should throw for unknown mechanisms', () => {
+                expect(() => sasl.create('UNKNOWN', {})).to.throw(/Unsupported SASL mechanism/);
+            });
+        });
+
+        describe('PLAIN', () => {
+            it('should create the initial response', () => {
+                var session = sasl.create('PLAIN', {
+                    user: 'tim',
+                    pass: 'tanstaaf',
+                    authzid: 'admin'
+                });
+
+                expect(session.clientFirst).to.be.true;
+                expect(decode(session.step(null))).to.equal('admin\x00tim\x00tanstaaf');
+            });
+        });
+
+        describe('LOGIN', () => {
+            it('should respond with user and password', () => {
+                var session = sasl.create('LOGIN', {
+                    user: 'tim',
+                    pass: 'tanstaaf'
+                });
+
+                expect(session.clientFirst).to.be.false;
+                expect(session.step(encode('Username:'))).to.equal('tim');
+                expect(session.step(encode('Password:'))).to.equal('tanstaaf');
+            });
+        });
+
+        describe('CRAM-MD5', () => {
+            it('should respond to the challenge', (done) => {
+                var session = sasl.create('CRAM-MD5', {
+                    user: 'tim',
+                    pass: 'tanstaaftanstaaf'
+                });
+
+                session.step(encode('<1896.697170952@postoffice.reston.mci.net>')).then((response) => {
+                    expect(response).to.equal('tim b913a602c7eda7a495b4e6e7334d3890');
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('SCRAM', () => {
+            afterEach(() => {
+                sasl.randomBytes.restore();
+            });
+
+            it('should authenticate with SCRAM-SHA-1', (done) => {
+                sinon.stub(sasl, 'randomBytes').returns(mimefuncs.base64.decode('fyko+d2lbbFgONRv9qkxdawL'));
+
+                var session = sasl.create('SCRAM-SHA-1', {
+                    user: 'user',
+                    pass: 'pencil'
+                });
+
+                expect(session.step(null)).to.equal('n,,n=user,r=fyko+d2lbbFgONRv9qkxdawL');
+                session.step(encode('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096')).then((response) => {
+                    expect(response).to.equal('c=biws,r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,p=v0X8v3Bz2T0CJGbJQyF0X+HI4Ts=');
+                    expect(session.step(encode('v=rmF9pqV8S7suAoZWja4dJRkFsKQ='))).to.equal('');
+                }).then(done).catch(done);
+            });
+
+            it('should authenticate with SCRAM-SHA-256', (done) => {
+                sinon.stub(sasl, 'randomBytes').returns(mimefuncs.base64.decode('rOprNGfwEbeRWgbNEkqO'));
+
+                var session = sasl.create('SCRAM-SHA-256', {
+                    user: 'user',
+                    pass: 'pencil'
+                });
+
+                expect(session.step(null)).to.equal('n,,n=user,r=rOprNGfwEbeRWgbNEkqO');
+                session.step(encode('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096')).then((response) => {
+                    expect(response).to.equal('c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ=');
+                    expect(session.step(encode('v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4='))).to.equal('');
+                }).then(done).catch(done);
+            });
+
+            it('should fail on invalid server signature', (done) => {
+                sinon.stub(sasl, 'randomBytes').returns(mimefuncs.base64.decode('rOprNGfwEbeRWgbNEkqO'));
+
+                var session = sasl.create('SCRAM-SHA-256', {
+                    user: 'user',
+                    pass: 'pencil'
+                });
+
+                session.step(null);
+                session.step(encode('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096')).then(() => {
+                    expect(() => session.step(encode('v=AAAA'))).to.throw(/signature/);
+                }).then(done).catch(done);
+            });
+
+            it('should fail on a foreign nonce', () => {
+                sinon.stub(sasl, 'randomBytes').returns(mimefuncs.base64.decode('rOprNGfwEbeRWgbNEkqO'));
+
+                var session = sasl.create('SCRAM-SHA-256', {
+                    user: 'user',
+                    pass: 'pencil'
+                });
+
+                session.step(null);
+                expect(() => session.step(encode('r=abc,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096'))).to.throw(/Invalid SCRAM/);
+            });
+        });
+
+        describe('OAUTHBEARER', () => {
+            it('should create the initial response', () => {
+                var session = sasl.create('OAUTHBEARER', {
+                    user: 'user@example.com',
+                    oauthbearer: 'vF9dft4qmTc2Nvb3RlckBhbHRhdmlzdGEuY29tCg=='
+                }, {
+                    host: 'server.example.com',
+                    port: 143
+                });
+
+                expect(session.step(null)).to.equal('n,a=user@example.com,\x01host=server.example.com\x01port=143\x01auth=Bearer vF9dft4qmTc2Nvb3RlckBhbHRhdmlzdGEuY29tCg==\x01\x01');
+            });
+
+            it('should respond to an error challenge', () => {
+                var session = sasl.create('OAUTHBEARER', {
+                    xoauth2: 'token'
+                });
+
+                session.step(null);
+                expect(session.step(encode('{"status":"invalid_token"}'))).to.equal('\x01');
+                expect(session.oauthError).to.deep.equal({
+                    status: 'invalid_token'
+                });
+            });
+        });
+
+        describe('XOAUTH2', () => {
+            it('should parse the error challenge', () => {
+                var session = sasl.create('XOAUTH2', {
+                    user: 'u1',
+                    xoauth2: 'abc'
+                });
+
+                expect(session.inline).to.be.true;
+                expect(session.step(null)).to.equal('user=u1\x01auth=Bearer abc\x01\x01');
+                expect(session.step(encode('{"status":"401","schemes":"bearer"}'))).to.equal('');
+                expect(session.oauthError).to.deep.equal({
+                    status: '401',
+                    schemes: 'bearer'
+                });
+            });
+
+            it('should keep a non-JSON error challenge as status', () => {
+                var session = sasl.create('XOAUTH2', {
+                    xoauth2: 'abc'
+                });
+
+                session.step(encode('FOOBAR'));
+                expect(session.oauthError).to.deep.equal({
+                    status: 'FOOBAR'
+                });
+            });
+        });
+
+        describe('EXTERNAL', () => {
+            it('should send the authorization identity', () => {
+                expect(sasl.create('EXTERNAL', {
+                    external: true
+                }).step(null)).to.equal('');
+                expect(sasl.create('EXTERNAL', {
+                    external: true,
+                    authzid: 'admin'
+                }).step(null)).to.equal('admin');
+            });
+        });
+    });
+}));
@@ -0,0 +1,253 @@
+'use strict';
+
+(function(factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['chai', 'emailjs-imap-client-sync'], factory.bind(null, sinon));
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('sinon'), require('chai'), require('../../src/emailjs-imap-client-sync'));
+    }
+}(function(sinon, chai, MailboxSync) {
+    var expect = chai.expect;
+    chai.config.includeStack = true;
+
+    describe('MailboxSync unit tests', () => {
+        var client, storage, mailboxSync;
+
+        beforeEach(() => {
+            client = {
+                logger: {
+                    debug: () => {}
+                },
+                hasCapability: sinon.stub().returns(false),
+                selectMailbox: sinon.stub(),
+                listMessages: sinon.stub(),
+                search: sinon.stub()
+            };
+            storage = new MailboxSync.MemoryStorage();
+            mailboxSync = new MailboxSync(client, {
+                storage: storage
+            });
+        });
+
+        describe('#sync', () => {
+            it('should fetch all messages on first sync', (done) => {
+                client.selectMailbox.returns(Promise.resolve({
+                    exists: 2,
+                    uidValidity: 1,
+                    uidNext: 3
+                }));
+                client.listMessages.returns(Promise.resolve([{
+                    uid: 1,
+                    flags: []
+                }, {
+                    uid: 2,
+                    flags: ['\\Seen']
+                }]));
+                mailboxSync.onchange = sinon.stub();
+
+                mailboxSync.sync('INBOX').then((changes) => {
+                    expect(client.selectMailbox.withArgs('INBOX', {
+                        condstore: false
+                    }).callCount).to.equal(1);
+                    expect(client.listMessages.withArgs('INBOX', '1:*', ['uid', 'flags'], {
+                        byUid: true
+                    }).callCount).to.equal(1);
+                    expect(changes.added.length).to.equal(2);
+                    expect(changes.reset).to.be.false;
+                    expect(mailboxSync.onchange.withArgs(changes).callCount).to.equal(1);
+                    expect(storage.getState('INBOX')).to.deep.equal({
+                        uidValidity: 1,
+                        uidNext: 3,
+                        highestModseq: undefined
+                    });
+                    expect(storage.getMessages('INBOX').length).to.equal(2);
+                }).then(done).catch(done);
+            });
+
+            it('should use QRESYNC to find changed and expunged messages', (done) => {
+                client.hasCapability.withArgs('QRESYNC').returns(true);
+                storage.setState('INBOX', {
+                    uidValidity: 1,
+                    uidNext: 4,
+                    highestModseq: '10'
+                });
+                storage.putMessages('INBOX', [{
+                    uid: 1,
+                    flags: []
+                }, {
+                    uid: 2,
+                    flags: []
+                }, {
+                    uid: 3,
+                    flags: []
+                }]);
+                client.selectMailbox.returns(Promise.resolve({
+                    exists: 3,
+                    uidValidity: 1,
+                    uidNext: 5,
+                    highestModseq: '12',
+                    vanished: [2, 100]
+                }));
+                client.listMessages.withArgs('INBOX', '4:*').returns(Promise.resolve([{
+                    uid: 4,
+                    flags: [],
+                    modseq: '11'
+                }]));
+                client.listMessages.withArgs('INBOX', '1:3').returns(Promise.resolve([{
+                    uid: 1,
+                    flags: ['\\Flagged'],
+                    modseq: '12'
+                }]));
+
+                mailboxSync.sync('INBOX').then((changes) => {
+                    expect(client.selectMailbox.args[0][1]).to.deep.equal({
+                        qresync: {
+                            uidValidity: 1,
+                            highestModseq: '10',
+                            knownUids: '1:3'
+                        }
+                    });
+                    expect(client.listMessages.withArgs('INBOX', '1:3', ['uid', 'flags', 'modseq'], {
+                        byUid: true,
+                        changedSince: '10'
+                    }).callCount).to.equal(1);
+                    expect(client.search.callCount).to.equal(0);
+                    expect(changes.added.map((message) => message.uid)).to.deep.equal([4]);
+                    expect(changes.changed.map((message) => message.uid)).to.deep.equal([1]);
+                    expect(changes.removed).to.deep.equal([2]);
+                    expect(storage.getMessages('INBOX').map((message) => message.uid)).to.deep.equal([1, 3, 4]);
+                    expect(storage.getState('INBOX').highestModseq).to.equal('12');
+                }).then(done).catch(done);
+            });
+
+            it('should search for expunged messages with CONDSTORE', (done) => {
+                client.hasCapability.withArgs('CONDSTORE').returns(true);
+                storage.setState('INBOX', {
+                    uidValidity: 1,
+                    uidNext: 3,
+                    highestModseq: '10'
+                });
+                storage.putMessages('INBOX', [{
+                    uid: 1,
+                    flags: []
+                }, {
+                    uid: 2,
+                    flags: []
+                }]);
+                client.selectMailbox.returns(Promise.resolve({
+                    exists: 1,
+                    uidValidity: 1,
+                    uidNext: 3,
+                    highestModseq: '10'
+                }));
+                client.search.returns(Promise.resolve([2]));
+
+                mailboxSync.sync('INBOX').then((changes) => {
+                    expect(client.listMessages.callCount).to.equal(0);
+                    expect(client.search.withArgs('INBOX', {
+                        uid: '1:2'
+                    }, {
+                        byUid: true
+                    }).callCount).to.equal(1);
+                    expect(changes.removed).to.deep.equal([1]);
+                }).then(done).catch(done);
+            });
+
+            it('should compare flags without CONDSTORE', (done) => {
+                storage.setState('INBOX', {
+                    uidValidity: 1,
+                    uidNext: 3
+                });
+                storage.putMessages('INBOX', [{
+                    uid: 1,
+                    flags: ['\\Seen']
+                }, {
+                    uid: 2,
+                    flags: []
+                }]);
+                client.selectMailbox.returns(Promise.resolve({
+                    exists: 1,
+                    uidValidity: 1,
+                    uidNext: 3
+                }));
+                client.listMessages.returns(Promise.resolve([{
+                    uid: 2,
+                    flags: ['\\Seen']
+                }]));
+
+                mailboxSync.sync('INBOX').then((changes) => {
+                    expect(client.listMessages.withArgs('INBOX', '1:2', ['uid', 'flags'], {
+                        byUid: true
+                    }).callCount).to.equal(1);
+                    expect(changes.added).to.deep.equal([]);
+                    expect(changes.changed).to.deep.equal([{
+                        uid: 2,
+                        flags: ['\\Seen']
+                    }]);
+                    expect(changes.removed).to.deep.equal([1]);
+                }).then(done).catch(done);
+            });
+
+            it('should invalidate the cache on UIDVALIDITY change', (done) => {
+                storage.setState('INBOX', {
+                    uidValidity: 1,
+                    uidNext: 3
+                });
+                storage.putMessages('INBOX', [{
+                    uid: 1,
+                    flags: []
+                }, {
+                    uid: 2,
+                    flags: []
+                }]);
+                sinon.spy(storage, 'clear');
+                client.selectMailbox.returns(Promise.resolve({
+                    exists: 1,
+                    uidValidity: 2,
+                    uidNext: 2
+                }));
+                client.listMessages.returns(Promise.resolve([{
+                    uid: 1,
+                    flags: []
+                }]));
+
+                mailboxSync.sync('INBOX').then((changes) => {
+                    expect(storage.clear.withArgs('INBOX').callCount).to.equal(1);
+                    expect(client.listMessages.args[0][1]).to.equal('1:*');
+                    expect(changes.reset).to.be.true;
+                    expect(changes.removed).to.deep.equal([1, 2]);
+                    expect(changes.added.length).to.equal(1);
+                    expect(storage.getState('INBOX').uidValidity).to.equal(2);
+                    expect(storage.getMessages('INBOX').length).to.equal(1);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#toSequenceSet', () => {
+            it('should compact UIDs', () => {
+                expect(MailboxSync.toSequenceSet([5, 1, 2, 3, 8, 9])).to.equal('1:3,5,8:9');
+                expect(MailboxSync.toSequenceSet([])).to.equal('');
+            });
+        });
+
+        describe('MemoryStorage', () => {
+            it('should merge changed messages', () => {
+                storage.putMessages('INBOX', [{
+                    uid: 1,
+                    flags: [],
+                    envelope: {}
+                }]);
+                storage.putMessages('INBOX', [{
+                    uid: 1,
+                    flags: ['\\Seen']
+                }]);
+
+                expect(storage.getMessages('INBOX')).to.deep.equal([{
+                    uid: 1,
+                    flags: ['\\Seen'],
+                    envelope: {}
+                }]);
+            });
+        });
+    });
+}));
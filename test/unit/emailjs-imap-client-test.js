@@ -79,7 +79,8 @@
                 br.updateCapability.returns(Promise.resolve());
                 br.upgradeConnection.returns(Promise.resolve());
                 br.updateId.returns(Promise.resolve());
-                br.login.returns(Promise.reject(new Error()));
+                br.login.restore();
+                sinon.stub(br, 'login', () => Promise.reject(new Error()));
 
                 br.connect().catch((err) => {
                     expect(err).to.exist;
@@ -118,6 +119,63 @@
                     done();
                 });
             });
+
+            it('should skip login on PREAUTH greeting', (done) => {
+                br.client.connect.returns(Promise.resolve());
+                br.updateCapability.returns(Promise.resolve());
+                br.updateId.returns(Promise.resolve());
+                br.compressConnection.returns(Promise.resolve());
+
+                br.connect().then(() => {
+                    expect(br._capability).to.deep.equal(['IMAP4rev1', 'IDLE']);
+                    expect(br._authenticated).to.be.true;
+                    expect(br._state).to.equal(br.STATE_AUTHENTICATED);
+                    expect(br.updateCapability.calledOnce).to.be.true;
+                    expect(br.upgradeConnection.called).to.be.false;
+                    expect(br.login.called).to.be.false;
+                    expect(br.compressConnection.calledOnce).to.be.true;
+                }).then(done).catch(done);
+
+                setTimeout(() => br.client.onready({
+                    tag: '*',
+                    command: 'PREAUTH',
+                    capability: ['IMAP4rev1', 'IDLE']
+                }), 0);
+            });
+
+            it('should refuse PREAUTH over plaintext if TLS is required', (done) => {
+                br.client.connect.returns(Promise.resolve());
+                br.options.requireTLS = true;
+
+                br.connect().catch((err) => {
+                    expect(err.message).to.match(/PREAUTH/);
+                    expect(br.client.close.calledOnce).to.be.true;
+                    expect(br._authenticated).to.be.false;
+                    expect(br._state).to.equal(br.STATE_LOGOUT);
+                    expect(br.updateCapability.called).to.be.false;
+                    expect(br.login.called).to.be.false;
+                }).then(done).catch(done);
+
+                setTimeout(() => br.client.onready({
+                    tag: '*',
+                    command: 'PREAUTH'
+                }), 0);
+            });
+        });
+
+        describe('#onalert', () => {
+            it('should emit the alert text', () => {
+                br.onalert = sinon.stub();
+
+                br.client.onalert({
+                    tag: '*',
+                    command: 'OK',
+                    code: 'ALERT',
+                    humanReadable: 'System going down in 10 minutes'
+                });
+
+                expect(br.onalert.withArgs('System going down in 10 minutes').callCount).to.equal(1);
+            });
         });
 
         describe('#close', () => {
@@ -132,6 +190,210 @@
             });
         });
 
+        describe('#_onError', () => {
+            it('should reject queued commands and emit onerror', () => {
+                var queued = [{
+                    callback: sinon.stub()
+                }];
+                var err = new Error('Socket closed');
+                br.onerror = sinon.stub();
+
+                br._onError(err, queued);
+
+                expect(queued[0].callback.withArgs(err).callCount).to.equal(1);
+                expect(br.onerror.withArgs(err).callCount).to.equal(1);
+            });
+
+            it('should reconnect if enabled', () => {
+                sinon.stub(br, '_reconnect');
+                br.options.reconnect = true;
+                br.onerror = sinon.stub();
+
+                br._onError(new Error('Socket closed'), []);
+
+                expect(br._reconnect.callCount).to.equal(1);
+                expect(br.onerror.callCount).to.equal(0);
+            });
+        });
+
+        describe('#_reconnect', () => {
+            var connect; // result of the connection attempts, rejections are created only when called
+
+            beforeEach(() => {
+                connect = () => Promise.resolve();
+
+                sinon.stub(br, '_resetConnection');
+                sinon.stub(br, 'connect', () => connect());
+                sinon.stub(br, 'selectMailbox');
+                sinon.stub(br, 'breakIdle').returns(Promise.resolve());
+                sinon.stub(br.client, 'requeueCommands');
+
+                br.options.reconnect = {
+                    initialDelay: 0,
+                    jitter: 0,
+                    maxAttempts: 2
+                };
+            });
+
+            afterEach(() => {
+                br._resetConnection.restore();
+                br.connect.restore();
+                br.selectMailbox.restore();
+                br.breakIdle.restore();
+                br.client.requeueCommands.restore();
+            });
+
+            it('should reconnect and reopen the selected mailbox', (done) => {
+                var queued = [{
+                    callback: sinon.stub()
+                }];
+                br.selectMailbox.returns(Promise.resolve());
+                br._selectedMailbox = 'INBOX';
+                br._selectedMailboxOptions = {
+                    readOnly: true
+                };
+                br.onreconnecting = sinon.stub();
+
+                br.onreconnected = (attempts) => {
+                    expect(attempts).to.equal(1);
+                    expect(br.onreconnecting.withArgs(1, 0).callCount).to.equal(1);
+                    expect(br._resetConnection.callCount).to.equal(1);
+                    expect(br.selectMailbox.withArgs('INBOX', {
+                        readOnly: true
+                    }).callCount).to.equal(1);
+                    expect(br.client.requeueCommands.withArgs(queued).callCount).to.equal(1);
+                    expect(queued[0].callback.callCount).to.equal(0);
+                    expect(br._reconnecting).to.be.false;
+                    done();
+                };
+
+                br._reconnect(new Error('Socket closed'), queued);
+            });
+
+            it('should restore notifications', (done) => {
+                sinon.stub(br, 'notify').returns(Promise.resolve());
+                br._notify = {
+                    groups: [{
+                        set: 'inboxes',
+                        events: ['MessageNew', 'MessageExpunge']
+                    }],
+                    options: {}
+                };
+
+                br.onreconnected = () => {
+                    expect(br.notify.withArgs(br._notify.groups, br._notify.options).callCount).to.equal(1);
+                    done();
+                };
+
+                br._reconnect(new Error('Socket closed'), []);
+            });
+
+            it('should retry failed attempts', (done) => {
+                var attempts = 0;
+                connect = () => ++attempts === 1 ? Promise.reject(new Error('Could not open socket')) : Promise.resolve();
+
+                br.onreconnected = (attempts) => {
+                    expect(attempts).to.equal(2);
+                    expect(br.connect.callCount).to.equal(2);
+                    expect(br.selectMailbox.callCount).to.equal(0);
+                    done();
+                };
+
+                br._reconnect(new Error('Socket closed'), []);
+            });
+
+            it('should give up after max attempts', (done) => {
+                var queued = [{
+                    callback: sinon.stub()
+                }];
+                connect = () => Promise.reject(new Error('Could not open socket'));
+
+                br.onerror = (err) => {
+                    expect(err.message).to.equal('Could not open socket');
+                    expect(br.connect.callCount).to.equal(2);
+                    expect(queued[0].callback.withArgs(err).callCount).to.equal(1);
+                    expect(br.client.requeueCommands.callCount).to.equal(0);
+                    done();
+                };
+
+                br._reconnect(new Error('Socket closed'), queued);
+            });
+
+            it('should give up if the connection can not be opened', (done) => {
+                connect = () => ImapClient.prototype.connect.call(br);
+                sinon.stub(br.client, 'connect', () => Promise.reject(new Error('Could not open socket')));
+                sinon.stub(br.client, 'close').returns(Promise.resolve());
+
+                br.onerror = (err) => {
+                    expect(err.message).to.equal('Could not open socket');
+                    expect(br.client.connect.callCount).to.equal(2);
+                    expect(br.client.close.callCount).to.equal(2);
+                    expect(br._reconnecting).to.be.false;
+                    done();
+                };
+
+                br._reconnect(new Error('Socket closed'), []);
+            });
+
+            it('should reject queued commands if retryQueued is false', () => {
+                var queued = [{
+                    callback: sinon.stub()
+                }];
+                var err = new Error('Socket closed');
+                connect = () => new Promise(() => {});
+                br.options.reconnect.retryQueued = false;
+
+                br._reconnect(err, queued);
+
+                expect(queued[0].callback.withArgs(err).callCount).to.equal(1);
+            });
+
+            it('should stop when closed', (done) => {
+                br.options.reconnect.initialDelay = 1000;
+                br.onerror = sinon.stub();
+                sinon.stub(br.client, 'close').returns(Promise.resolve());
+
+                var queued = [{
+                    callback: (err) => {
+                        expect(err.message).to.equal('Connection closed');
+                        expect(br.connect.callCount).to.equal(0);
+                        expect(br.onerror.callCount).to.equal(0);
+                        done();
+                    }
+                }];
+
+                br._reconnect(new Error('Socket closed'), queued);
+                br.close();
+            });
+        });
+
+        describe('#_getReconnectDelay', () => {
+            it('should grow exponentially up to the max delay', () => {
+                var policy = {
+                    initialDelay: 1000,
+                    maxDelay: 5000,
+                    factor: 2,
+                    jitter: 0
+                };
+
+                expect(br._getReconnectDelay(1, policy)).to.equal(1000);
+                expect(br._getReconnectDelay(2, policy)).to.equal(2000);
+                expect(br._getReconnectDelay(3, policy)).to.equal(4000);
+                expect(br._getReconnectDelay(4, policy)).to.equal(5000);
+            });
+
+            it('should apply jitter', () => {
+                var delay = br._getReconnectDelay(1, {
+                    initialDelay: 1000,
+                    maxDelay: 5000,
+                    factor: 2,
+                    jitter: 0.5
+                });
+
+                expect(delay).to.be.within(500, 1500);
+            });
+        });
+
         describe('#exec', () => {
             beforeEach(() => {
                 sinon.stub(br, 'breakIdle', () => {
@@ -174,7 +436,7 @@
             });
 
             it('should break IDLE after timeout', (done) => {
-                sinon.stub(br.client, 'enqueueCommand');
+                sinon.stub(br.client, 'enqueueCommand').returns(new Promise(() => {}));
                 sinon.stub(br.client.socket, 'send', (payload) => {
 
                     expect(br.client.enqueueCommand.args[0][0].command).to.equal('IDLE');
@@ -187,6 +449,161 @@
                 br.TIMEOUT_IDLE = 1;
                 br.enterIdle();
             });
+
+            it('should enter IDLE again right after a refresh', (done) => {
+                var finish = [];
+                br.onidlestatechange = sinon.stub();
+                sinon.stub(br.client, 'enqueueCommand', () => {
+                    if (finish.length === 1) {
+                        // the client kept idling, the refresh is not reported
+                        expect(br.onidlestatechange.args).to.deep.equal([
+                            ['idle']
+                        ]);
+                        done();
+                    }
+                    return new Promise((resolve) => finish.push(resolve));
+                });
+                sinon.stub(br.client.socket, 'send', () => {
+                    if (finish.length === 1) {
+                        finish[0]();
+                    }
+                });
+
+                br._capability = ['IDLE'];
+                br.options.idle = {
+                    idleInterval: 1
+                };
+                br.enterIdle();
+            });
+
+            it('should not enter IDLE again if a command is run during a refresh', (done) => {
+                var finish;
+                br.onidlestatechange = sinon.stub();
+                sinon.stub(br.client, 'enqueueCommand', (request) => request.command === 'IDLE' ? new Promise((resolve) => finish = resolve) : Promise.resolve({}));
+                sinon.stub(br.client.socket, 'send', () => {
+                    if (br.client.socket.send.callCount > 1) {
+                        return;
+                    }
+
+                    // DONE was sent but the server has not completed IDLE yet
+                    br.exec({
+                        command: 'NOOP'
+                    }).then(() => {
+                        finish();
+                        return new Promise((resolve) => setTimeout(resolve, 0));
+                    }).then(() => {
+                        expect(br.client.enqueueCommand.args.map((args) => args[0].command)).to.deep.equal(['IDLE', 'NOOP']);
+                        expect(br.client.socket.send.callCount).to.equal(1);
+                        expect(br._enteredIdle).to.be.false;
+                        expect(br.onidlestatechange.args).to.deep.equal([
+                            ['idle'],
+                            ['none']
+                        ]);
+                    }).then(done).catch(done);
+                });
+
+                br._capability = ['IDLE'];
+                br.options.idle = {
+                    idleInterval: 1
+                };
+                br.enterIdle();
+            });
+
+            it('should wait for queued commands before entering IDLE again', (done) => {
+                var finish;
+                br.onidlestatechange = sinon.stub();
+                sinon.stub(br.client, 'hasPendingCommands').returns(true);
+                sinon.stub(br.client, 'enqueueCommand', () => new Promise((resolve) => finish = resolve));
+                sinon.stub(br.client.socket, 'send', () => {
+                    finish();
+                    setTimeout(() => {
+                        expect(br.client.enqueueCommand.callCount).to.equal(1);
+                        expect(br._enteredIdle).to.be.false;
+                        expect(br.onidlestatechange.args).to.deep.equal([
+                            ['idle'],
+                            ['none']
+                        ]);
+                        done();
+                    }, 0);
+                });
+
+                br._capability = ['IDLE'];
+                br.options.idle = {
+                    idleInterval: 1
+                };
+                br.enterIdle();
+            });
+
+            it('should restart IDLE if nothing is received for the heartbeat interval', (done) => {
+                sinon.stub(br.client, 'enqueueCommand').returns(new Promise(() => {}));
+                sinon.stub(br.client.socket, 'send', () => {
+                    expect(br._idleRefreshing).to.be.true;
+                    done();
+                });
+
+                br._capability = ['IDLE'];
+                br.options.idle = {
+                    idleInterval: 60 * 1000,
+                    heartbeat: 1
+                };
+                br.enterIdle();
+            });
+
+            it('should log if IDLE fails', (done) => {
+                var err = new Error('Connection closed');
+                sinon.stub(br.client, 'enqueueCommand').returns(Promise.reject(err));
+                sinon.stub(br.logger, 'error', (message, e) => {
+                    expect(e).to.equal(err);
+                    done();
+                });
+
+                br._capability = ['IDLE'];
+                br.enterIdle();
+                br.breakIdle();
+            });
+
+            it('should poll with NOOP if the strategy is noop', (done) => {
+                sinon.stub(br, 'exec', (command) => {
+                    expect(command).to.equal('NOOP');
+                    expect(br._idleState).to.equal('noop');
+                    done();
+                });
+
+                br._capability = ['IDLE'];
+                br.options.idle = {
+                    strategy: 'noop',
+                    noopInterval: 1
+                };
+                br.enterIdle();
+            });
+
+            it('should not idle if the strategy is none', () => {
+                sinon.stub(br.client, 'enqueueCommand');
+                br._capability = ['IDLE'];
+                br.options.idle = {
+                    strategy: 'none'
+                };
+
+                br.enterIdle();
+
+                expect(br._enteredIdle).to.be.false;
+                expect(br.client.enqueueCommand.callCount).to.equal(0);
+            });
+        });
+
+        describe('#_getIdlePolicy', () => {
+            it('should limit the IDLE refresh interval to 29 minutes', () => {
+                br.options.idle = {
+                    idleInterval: 60 * 60 * 1000
+                };
+
+                expect(br._getIdlePolicy()).to.deep.equal({
+                    strategy: 'auto',
+                    idleInterval: 29 * 60 * 1000,
+                    noopInterval: br.TIMEOUT_NOOP,
+                    heartbeat: 0
+                });
+            });
         });
 
         describe('#breakIdle', () => {
@@ -198,6 +615,20 @@
                     expect([].slice.call(new Uint8Array(br.client.socket.send.args[0][0]))).to.deep.equal([0x44, 0x4f, 0x4e, 0x45, 0x0d, 0x0a]);
                 }).then(done).catch(done);
             });
+
+            it('should emit onidlestatechange', (done) => {
+                sinon.stub(br.client.socket, 'send');
+                br.onidlestatechange = sinon.stub();
+
+                br._enteredIdle = 'IDLE';
+                br._idleState = 'idle';
+                br.breakIdle().then(() => {
+                    expect(br.onidlestatechange.withArgs('none').callCount).to.equal(1);
+                    return br.breakIdle();
+                }).then(() => {
+                    expect(br.onidlestatechange.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
         });
 
         describe('#upgradeConnection', () => {
@@ -266,79 +697,233 @@
             });
         });
 
-        describe('#listNamespaces', () => {
+        describe('#mailboxStatus', () => {
             beforeEach(() => {
                 sinon.stub(br, 'exec');
             });
 
-            it('should run NAMESPACE if supported', (done) => {
-                br.exec.returns(Promise.resolve({
-                    payload: {
-                        NAMESPACE: [{
-                            attributes: [
-                                [
-                                    [{
-                                        type: 'STRING',
-                                        value: 'INBOX.'
-                                    }, {
-                                        type: 'STRING',
-                                        value: '.'
-                                    }]
-                                ], null, null
-                            ]
+            it('should run STATUS with requested items', (done) => {
+                br.exec.withArgs({
+                    command: 'STATUS',
+                    attributes: [{
+                            type: 'STRING',
+                            value: 'INBOX'
+                        },
+                        [{
+                            type: 'ATOM',
+                            value: 'MESSAGES'
+                        }, {
+                            type: 'ATOM',
+                            value: 'UNSEEN'
                         }]
+                    ]
+                }, 'STATUS').returns(Promise.resolve({
+                    payload: {
+                        STATUS: [imapHandler.parser('* STATUS INBOX (MESSAGES 231 UNSEEN 12)')]
                     }
                 }));
-                br._capability = ['NAMESPACE'];
 
-                br.listNamespaces().then((namespaces) => {
-                    expect(namespaces).to.deep.equal({
-                        personal: [{
-                            prefix: 'INBOX.',
-                            delimiter: '.'
-                        }],
-                        users: false,
-                        shared: false
+                br._selectedMailbox = 'Sent';
+                br.mailboxStatus('INBOX', ['messages', 'unseen']).then((status) => {
+                    expect(status).to.deep.equal({
+                        messages: 231,
+                        unseen: 12
                     });
-                    expect(br.exec.args[0][0]).to.equal('NAMESPACE');
-                    expect(br.exec.args[0][1]).to.equal('NAMESPACE');
+                    expect(br._selectedMailbox).to.equal('Sent');
                 }).then(done).catch(done);
             });
 
-            it('should do nothing if not supported', (done) => {
-                br._capability = [];
-                br.listNamespaces().then((namespaces) => {
-                    expect(namespaces).to.be.false;
-                    expect(br.exec.callCount).to.equal(0);
+            it('should pass STATUS responses for other mailboxes to onupdate', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        STATUS: [
+                            imapHandler.parser('* STATUS INBOX (MESSAGES 231 UNSEEN 12)'),
+                            imapHandler.parser('* STATUS Sent (MESSAGES 3 UNSEEN 1)')
+                        ]
+                    }
+                }));
+                br.onupdate = sinon.stub();
+
+                br.mailboxStatus('INBOX', ['messages', 'unseen']).then((status) => {
+                    expect(status).to.deep.equal({
+                        messages: 231,
+                        unseen: 12
+                    });
+                    expect(br.onupdate.withArgs('Sent', 'status', {
+                        messages: 3,
+                        unseen: 1
+                    }).callCount).to.equal(1);
+                    expect(br.onupdate.callCount).to.equal(1);
                 }).then(done).catch(done);
             });
-        });
 
-        describe('#compressConnection', () => {
-            beforeEach(() => {
-                sinon.stub(br, 'exec');
-                sinon.stub(br.client, 'enableCompression');
+            it('should use the path as listed by listMailboxes', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        STATUS: [imapHandler.parser('* STATUS "Lists/&AOQ-" (MESSAGES 3)')]
+                    }
+                }));
+                br.onupdate = sinon.stub();
+
+                br.mailboxStatus('Lists/&AOQ-', ['messages']).then((status) => {
+                    expect(br.exec.args[0][0].attributes[0].value).to.equal('Lists/&AOQ-');
+                    expect(status).to.deep.equal({
+                        messages: 3
+                    });
+                    expect(br.onupdate.callCount).to.equal(0);
+                }).then(done).catch(done);
             });
 
-            it('should run COMPRESS=DEFLATE if supported', (done) => {
-                br.exec.withArgs({
-                    command: 'COMPRESS',
-                    attributes: [{
-                        type: 'ATOM',
-                        value: 'DEFLATE'
-                    }]
-                }).returns(Promise.resolve({}));
+            it('should request all supported items by default', (done) => {
+                br.exec.returns(Promise.resolve({}));
 
-                br.options.enableCompression = true;
-                br._capability = ['COMPRESS=DEFLATE'];
-                br.compressConnection().then(() => {
-                    expect(br.exec.callCount).to.equal(1);
-                    expect(br.client.enableCompression.callCount).to.equal(1);
+                br._capability = ['CONDSTORE', 'STATUS=SIZE'];
+                br.mailboxStatus('INBOX').then(() => {
+                    expect(br.exec.args[0][0].attributes[1].map((item) => item.value)).to.deep.equal(['MESSAGES', 'RECENT', 'UIDNEXT', 'UIDVALIDITY', 'UNSEEN', 'HIGHESTMODSEQ', 'SIZE']);
                 }).then(done).catch(done);
             });
+        });
 
-            it('should do nothing if not supported', (done) => {
-                br._capability = [];
+        describe('#notify', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                br._capability = ['NOTIFY'];
+            });
+
+            it('should run NOTIFY SET', (done) => {
+                br.notify([{
+                    set: 'selected',
+                    events: ['MessageNew', 'MessageExpunge', 'FlagChange']
+                }, {
+                    subtree: 'Lists',
+                    events: ['MailboxName']
+                }, {
+                    mailboxes: ['Sent', 'Drafts']
+                }], {
+                    status: true
+                }).then(() => {
+                    expect(imapHandler.compiler(br.exec.args[0][0]).trim()).to.equal('NOTIFY SET STATUS (SELECTED (MessageNew MessageExpunge FlagChange)) (SUBTREE ("Lists") (MailboxName)) (MAILBOXES ("Sent" "Drafts") NONE)');
+                    expect(br._notify.options).to.deep.equal({
+                        status: true
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should use the mailbox paths as listed by listMailboxes', (done) => {
+                br.notify([{
+                    mailboxes: ['Lists/&AOQ-'],
+                    events: ['MessageNew', 'MessageExpunge']
+                }]).then(() => {
+                    expect(imapHandler.compiler(br.exec.args[0][0]).trim()).to.equal('NOTIFY SET (MAILBOXES ("Lists/&AOQ-") (MessageNew MessageExpunge))');
+                }).then(done).catch(done);
+            });
+
+            it('should run NOTIFY NONE', (done) => {
+                br._notify = {
+                    groups: [{
+                        set: 'inboxes'
+                    }],
+                    options: {}
+                };
+
+                br.notify([]).then(() => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'NOTIFY',
+                        attributes: [{
+                            type: 'ATOM',
+                            value: 'NONE'
+                        }]
+                    });
+                    expect(br._notify).to.be.false;
+                }).then(done).catch(done);
+            });
+
+            it('should fail if not supported', (done) => {
+                br._capability = [];
+
+                br.notify([{
+                    set: 'inboxes',
+                    events: ['MessageNew', 'MessageExpunge']
+                }]).catch((err) => {
+                    expect(err.message).to.match(/NOTIFY/);
+                    expect(br.exec.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#listNamespaces', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should run NAMESPACE if supported', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        NAMESPACE: [{
+                            attributes: [
+                                [
+                                    [{
+                                        type: 'STRING',
+                                        value: 'INBOX.'
+                                    }, {
+                                        type: 'STRING',
+                                        value: '.'
+                                    }]
+                                ], null, null
+                            ]
+                        }]
+                    }
+                }));
+                br._capability = ['NAMESPACE'];
+
+                br.listNamespaces().then((namespaces) => {
+                    expect(namespaces).to.deep.equal({
+                        personal: [{
+                            prefix: 'INBOX.',
+                            delimiter: '.'
+                        }],
+                        users: false,
+                        shared: false
+                    });
+                    expect(br.exec.args[0][0]).to.equal('NAMESPACE');
+                    expect(br.exec.args[0][1]).to.equal('NAMESPACE');
+                }).then(done).catch(done);
+            });
+
+            it('should do nothing if not supported', (done) => {
+                br._capability = [];
+                br.listNamespaces().then((namespaces) => {
+                    expect(namespaces).to.be.false;
+                    expect(br.exec.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#compressConnection', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+                sinon.stub(br.client, 'enableCompression');
+            });
+
+            it('should run COMPRESS=DEFLATE if supported', (done) => {
+                br.exec.withArgs({
+                    command: 'COMPRESS',
+                    attributes: [{
+                        type: 'ATOM',
+                        value: 'DEFLATE'
+                    }]
+                }).returns(Promise.resolve({}));
+
+                br.options.enableCompression = true;
+                br._capability = ['COMPRESS=DEFLATE'];
+                br.compressConnection().then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                    expect(br.client.enableCompression.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should do nothing if not supported', (done) => {
+                br._capability = [];
 
                 br.compressConnection().then(() => {
                     expect(br.exec.callCount).to.equal(0);
@@ -405,6 +990,187 @@
                     });
                 });
             });
+
+            it('should send the initial response with SASL-IR', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                sinon.stub(br, 'updateCapability').returns(Promise.resolve(true));
+
+                br._capability = ['AUTH=PLAIN', 'SASL-IR'];
+                br.login({
+                    user: 'u1',
+                    pass: 'p1',
+                    negotiate: true
+                }).then(() => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'AUTHENTICATE',
+                        attributes: [{
+                            type: 'ATOM',
+                            value: 'PLAIN'
+                        }, {
+                            type: 'ATOM',
+                            value: 'AHUxAHAx',
+                            sensitive: true
+                        }]
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should answer continuation requests', (done) => {
+                var responses = [];
+                sinon.stub(br, 'exec', (command, acceptUntagged, options) => {
+                    return options.continuationHandler('').then((response) => {
+                        responses.push(response);
+                        return options.continuationHandler('PDE4OTYuNjk3MTcwOTUyQHBvc3RvZmZpY2UucmVzdG9uLm1jaS5uZXQ+');
+                    }).then((response) => {
+                        responses.push(response);
+                        return {};
+                    });
+                });
+                sinon.stub(br, 'updateCapability').returns(Promise.resolve(true));
+
+                br._capability = ['AUTH=LOGIN'];
+                br.login({
+                    user: 'u1',
+                    pass: 'p1',
+                    negotiate: true
+                }).then(() => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'AUTHENTICATE',
+                        attributes: [{
+                            type: 'ATOM',
+                            value: 'LOGIN'
+                        }]
+                    });
+                    expect(responses).to.deep.equal(['dTE=', 'cDE=']);
+                }).then(done).catch(done);
+            });
+
+            it('should use the requested mechanism', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                sinon.stub(br, 'updateCapability').returns(Promise.resolve(true));
+
+                br._capability = ['AUTH=PLAIN', 'AUTH=EXTERNAL', 'SASL-IR'];
+                br.login({
+                    mechanism: 'external'
+                }).then(() => {
+                    expect(br.exec.args[0][0].attributes).to.deep.equal([{
+                        type: 'ATOM',
+                        value: 'EXTERNAL'
+                    }, {
+                        type: 'ATOM',
+                        value: '=',
+                        sensitive: true
+                    }]);
+                }).then(done).catch(done);
+            });
+
+            it('should call LOGIN for user and password unless negotiation is requested', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                sinon.stub(br, 'updateCapability').returns(Promise.resolve(true));
+
+                br._capability = ['AUTH=SCRAM-SHA-256', 'AUTH=PLAIN', 'SASL-IR'];
+                br.login({
+                    user: 'u1',
+                    pass: 'p1'
+                }).then(() => {
+                    expect(br.exec.args[0][0].command).to.equal('login');
+                }).then(done).catch(done);
+            });
+
+            it('should negotiate a mechanism for user and password if LOGINDISABLED is advertised', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                sinon.stub(br, 'updateCapability').returns(Promise.resolve(true));
+
+                br._capability = ['AUTH=PLAIN', 'SASL-IR', 'LOGINDISABLED'];
+                br.login({
+                    user: 'u1',
+                    pass: 'p1'
+                }).then(() => {
+                    expect(br.exec.args[0][0].command).to.equal('AUTHENTICATE');
+                    expect(br.exec.args[0][0].attributes[0].value).to.equal('PLAIN');
+                }).then(done).catch(done);
+            });
+
+            it('should not send LOGIN if LOGINDISABLED is advertised', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+
+                br._capability = ['LOGINDISABLED'];
+                br.login({
+                    user: 'u1',
+                    pass: 'p1'
+                }).catch((err) => {
+                    expect(err.message).to.match(/LOGIN/);
+                    expect(br.exec.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+
+            it('should expose the XOAUTH2 error', (done) => {
+                sinon.stub(br, 'exec', (command, acceptUntagged, options) => {
+                    return options.continuationHandler('eyJzdGF0dXMiOiI0MDEiLCJzY2hlbWVzIjoiYmVhcmVyIiwic2NvcGUiOiJodHRwczovL21haWwuZ29vZ2xlLmNvbS8ifQ==').then((response) => {
+                        expect(response).to.equal('');
+                        var err = new Error('Invalid credentials (Failure)');
+                        err.code = 'AUTHENTICATIONFAILED';
+                        throw err;
+                    });
+                });
+
+                br._capability = ['AUTH=XOAUTH2'];
+                br.login({
+                    user: 'u1',
+                    xoauth2: 'abc'
+                }).catch((err) => {
+                    expect(err.message).to.equal('Invalid credentials (Failure)');
+                    expect(err.oauthError).to.deep.equal({
+                        status: '401',
+                        schemes: 'bearer',
+                        scope: 'https://mail.google.com/'
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should refresh the access token and retry once', (done) => {
+                var err = new Error('Invalid credentials (Failure)');
+                err.code = 'AUTHENTICATIONFAILED';
+
+                sinon.stub(br, 'exec');
+                br.exec.onFirstCall().returns(Promise.reject(err));
+                br.exec.onSecondCall().returns(Promise.resolve({}));
+                sinon.stub(br, 'updateCapability').returns(Promise.resolve(true));
+
+                var auth = {
+                    user: 'u1',
+                    xoauth2: 'abc',
+                    refreshToken: sinon.stub().returns(Promise.resolve('new'))
+                };
+
+                br._capability = ['AUTH=XOAUTH2'];
+                br.login(auth).then(() => {
+                    expect(auth.refreshToken.callCount).to.equal(1);
+                    expect(auth.xoauth2).to.equal('new');
+                    expect(br.exec.callCount).to.equal(2);
+                    expect(br.exec.args[1][0].attributes[1].value).to.equal('dXNlcj11MQFhdXRoPUJlYXJlciBuZXcBAQ==');
+                }).then(done).catch(done);
+            });
+
+            it('should fail if the refreshed token is rejected', (done) => {
+                var err = new Error('Invalid credentials (Failure)');
+                err.code = 'AUTHENTICATIONFAILED';
+
+                sinon.stub(br, 'exec').returns(Promise.reject(err));
+
+                var auth = {
+                    user: 'u1',
+                    xoauth2: 'abc',
+                    refreshToken: sinon.stub().returns(Promise.resolve('new'))
+                };
+
+                br._capability = ['AUTH=XOAUTH2'];
+                br.login(auth).catch((e) => {
+                    expect(e).to.equal(err);
+                    expect(auth.refreshToken.callCount).to.equal(1);
+                    expect(br.exec.callCount).to.equal(2);
+                }).then(done).catch(done);
+            });
         });
 
         describe('#updateId', () => {
@@ -482,155 +1248,1312 @@
             });
         });
 
-        describe('#listMailboxes', () => {
+        describe('#getQuota', () => {
             beforeEach(() => {
                 sinon.stub(br, 'exec');
             });
 
-            it('should call LIST and LSUB in sequence', (done) => {
-                br.exec.withArgs({
-                    command: 'LIST',
-                    attributes: ['', '*']
-                }).returns(Promise.resolve({
+            it('should run GETQUOTA', (done) => {
+                br.exec.returns(Promise.resolve({
                     payload: {
-                        LIST: [false]
+                        QUOTA: [imapHandler.parser('* QUOTA "" (STORAGE 10 512 MESSAGE 3 1000)')]
                     }
                 }));
+                br._capability = ['QUOTA'];
 
-                br.exec.withArgs({
-                    command: 'LSUB',
-                    attributes: ['', '*']
-                }).returns(Promise.resolve({
+                br.getQuota('').then((quota) => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'GETQUOTA',
+                        attributes: [{
+                            type: 'STRING',
+                            value: ''
+                        }]
+                    });
+                    expect(br.exec.args[0][1]).to.equal('QUOTA');
+                    expect(quota).to.deep.equal({
+                        root: '',
+                        storage: {
+                            usage: 10,
+                            limit: 512
+                        },
+                        messages: {
+                            usage: 3,
+                            limit: 1000
+                        }
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should fail if not supported', (done) => {
+                br._capability = [];
+                br.getQuota('').catch((err) => {
+                    expect(err.message).to.match(/QUOTA/);
+                    expect(br.exec.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#getQuotaRoot', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should run GETQUOTAROOT', (done) => {
+                br.exec.returns(Promise.resolve({
                     payload: {
-                        LSUB: [false]
+                        QUOTAROOT: [imapHandler.parser('* QUOTAROOT INBOX "" "shared"')],
+                        QUOTA: [imapHandler.parser('* QUOTA "" (STORAGE 10 512)')]
                     }
                 }));
+                br._capability = ['QUOTA=RES-STORAGE'];
+
+                br.getQuotaRoot('INBOX').then((quotas) => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'GETQUOTAROOT',
+                        attributes: ['INBOX']
+                    });
+                    expect(br.exec.args[0][1]).to.deep.equal(['QUOTAROOT', 'QUOTA']);
+                    expect(quotas).to.deep.equal([{
+                        root: '',
+                        storage: {
+                            usage: 10,
+                            limit: 512
+                        }
+                    }, {
+                        root: 'shared'
+                    }]);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#setQuota', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should run SETQUOTA', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        QUOTA: [imapHandler.parser('* QUOTA "" (STORAGE 10 1024 MESSAGE 3 500)')]
+                    }
+                }));
+                br._capability = ['QUOTA', 'QUOTASET'];
+
+                br.setQuota('', {
+                    storage: 1024,
+                    messages: 500
+                }).then((quota) => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'SETQUOTA',
+                        attributes: [{
+                            type: 'STRING',
+                            value: ''
+                        }, [{
+                            type: 'ATOM',
+                            value: 'STORAGE'
+                        }, {
+                            type: 'ATOM',
+                            value: '1024'
+                        }, {
+                            type: 'ATOM',
+                            value: 'MESSAGE'
+                        }, {
+                            type: 'ATOM',
+                            value: '500'
+                        }]]
+                    });
+                    expect(quota.storage.limit).to.equal(1024);
+                    expect(quota.messages.limit).to.equal(500);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#getAcl', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should run GETACL', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        ACL: [imapHandler.parser('* ACL INBOX fred lrswipkxtea -fred d')]
+                    }
+                }));
+                br._capability = ['ACL'];
+
+                br.getAcl('INBOX').then((acl) => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'GETACL',
+                        attributes: ['INBOX']
+                    });
+                    expect(br.exec.args[0][1]).to.equal('ACL');
+                    expect(acl).to.deep.equal({
+                        fred: ['l', 'r', 's', 'w', 'i', 'p', 'k', 'x', 't', 'e', 'a'],
+                        '-fred': ['d']
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should fail if not supported', (done) => {
+                br._capability = [];
+                br.getAcl('INBOX').catch((err) => {
+                    expect(err.message).to.match(/ACL/);
+                    expect(br.exec.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#setAcl', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                br._capability = ['ACL'];
+            });
+
+            it('should run SETACL with a list of rights', (done) => {
+                br.setAcl('INBOX', 'fred', ['l', 'r']).then(() => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'SETACL',
+                        attributes: ['INBOX', {
+                            type: 'STRING',
+                            value: 'fred'
+                        }, {
+                            type: 'STRING',
+                            value: 'lr'
+                        }]
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should run SETACL with a modifier', (done) => {
+                br.setAcl('INBOX', 'fred', '-w').then(() => {
+                    expect(br.exec.args[0][0].attributes[2].value).to.equal('-w');
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#deleteAcl', () => {
+            it('should run DELETEACL', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                br._capability = ['ACL'];
+
+                br.deleteAcl('INBOX', 'fred').then(() => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'DELETEACL',
+                        attributes: ['INBOX', {
+                            type: 'STRING',
+                            value: 'fred'
+                        }]
+                    });
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#listRights', () => {
+            it('should run LISTRIGHTS', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({
+                    payload: {
+                        LISTRIGHTS: [imapHandler.parser('* LISTRIGHTS INBOX fred lr s w ip')]
+                    }
+                }));
+                br._capability = ['ACL'];
+
+                br.listRights('INBOX', 'fred').then((rights) => {
+                    expect(br.exec.args[0][1]).to.equal('LISTRIGHTS');
+                    expect(rights).to.deep.equal({
+                        required: ['l', 'r'],
+                        optional: [
+                            ['s'],
+                            ['w'],
+                            ['i', 'p']
+                        ]
+                    });
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#myRights', () => {
+            it('should run MYRIGHTS', (done) => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({
+                    payload: {
+                        MYRIGHTS: [imapHandler.parser('* MYRIGHTS INBOX lrs')]
+                    }
+                }));
+                br._capability = ['ACL'];
+
+                br.myRights('INBOX').then((rights) => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'MYRIGHTS',
+                        attributes: ['INBOX']
+                    });
+                    expect(rights).to.deep.equal(['l', 'r', 's']);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#getMetadata', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+                br._capability = ['METADATA'];
+            });
+
+            it('should run GETMETADATA', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        METADATA: [imapHandler.parser('* METADATA "INBOX" (/private/color "#ff0000" /private/comment NIL)')]
+                    }
+                }));
+
+                br.getMetadata('INBOX', ['/private/color', '/private/comment']).then((result) => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'GETMETADATA',
+                        attributes: [{
+                            type: 'STRING',
+                            value: 'INBOX'
+                        }, [{
+                            type: 'ATOM',
+                            value: '/private/color'
+                        }, {
+                            type: 'ATOM',
+                            value: '/private/comment'
+                        }]]
+                    });
+                    expect(br.exec.args[0][1]).to.equal('METADATA');
+                    expect(result).to.deep.equal({
+                        entries: {
+                            '/private/color': '#ff0000',
+                            '/private/comment': null
+                        }
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should send depth and size options and report long entries', (done) => {
+                br.exec.returns(Promise.resolve({
+                    code: 'LONGENTRIES',
+                    longentries: '2199',
+                    payload: {
+                        METADATA: [imapHandler.parser('* METADATA "" (/shared/comment {3}\r\nabc)')]
+                    }
+                }));
+                br._capability = ['METADATA-SERVER'];
+
+                br.getMetadata('', ['/shared'], {
+                    depth: 'infinity',
+                    maxSize: 1024
+                }).then((result) => {
+                    expect(br.exec.args[0][0].attributes[0]).to.deep.equal([{
+                        type: 'ATOM',
+                        value: 'MAXSIZE'
+                    }, {
+                        type: 'NUMBER',
+                        value: 1024
+                    }, {
+                        type: 'ATOM',
+                        value: 'DEPTH'
+                    }, {
+                        type: 'ATOM',
+                        value: 'infinity'
+                    }]);
+                    expect(result).to.deep.equal({
+                        entries: {
+                            '/shared/comment': 'abc'
+                        },
+                        longEntries: 2199
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should return binary values', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        METADATA: [imapHandler.parser('* METADATA "INBOX" (/private/comment "\xc3\xa4")')]
+                    }
+                }));
+
+                br.getMetadata('INBOX', ['/private/comment'], {
+                    binary: true
+                }).then((result) => {
+                    expect(result.entries['/private/comment']).to.deep.equal(new Uint8Array([0xc3, 0xa4]));
+                }).then(done).catch(done);
+            });
+
+            it('should fail for mailboxes with METADATA-SERVER only', (done) => {
+                br._capability = ['METADATA-SERVER'];
+
+                br.getMetadata('INBOX', ['/private/comment']).catch((err) => {
+                    expect(err.message).to.match(/METADATA/);
+                    expect(br.exec.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#setMetadata', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec').returns(Promise.resolve({}));
+                br._capability = ['METADATA'];
+            });
+
+            it('should run SETMETADATA', (done) => {
+                br.setMetadata('INBOX', {
+                    '/private/color': '#ff0000',
+                    '/private/comment': null
+                }).then(() => {
+                    expect(br.exec.args[0][0]).to.deep.equal({
+                        command: 'SETMETADATA',
+                        attributes: [{
+                            type: 'STRING',
+                            value: 'INBOX'
+                        }, [{
+                            type: 'ATOM',
+                            value: '/private/color'
+                        }, {
+                            type: 'STRING',
+                            value: '#ff0000'
+                        }, {
+                            type: 'ATOM',
+                            value: '/private/comment'
+                        }, null]]
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should send binary values as literals', (done) => {
+                br.setMetadata('INBOX', {
+                    '/private/comment': 'ä',
+                    '/private/blob': new Uint8Array([0, 255])
+                }).then(() => {
+                    expect(br.exec.args[0][0].attributes[1]).to.deep.equal([{
+                        type: 'ATOM',
+                        value: '/private/comment'
+                    }, {
+                        type: 'LITERAL',
+                        value: '\xc3\xa4'
+                    }, {
+                        type: 'ATOM',
+                        value: '/private/blob'
+                    }, {
+                        type: 'LITERAL',
+                        value: '\x00\xff'
+                    }]);
+                }).then(done).catch(done);
+            });
+
+            it('should pass the server error codes', (done) => {
+                var err = new Error('Annotation too large');
+                err.code = 'MAXSIZE';
+                br.exec.returns(Promise.reject(err));
+
+                br.setMetadata('INBOX', {
+                    '/private/comment': 'value'
+                }).catch((err) => {
+                    expect(err.code).to.equal('MAXSIZE');
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#_annotateMyRights', () => {
+            var tree;
+
+            beforeEach(() => {
+                tree = {
+                    root: true,
+                    children: [{
+                        path: 'INBOX',
+                        listed: true,
+                        flags: [],
+                        children: []
+                    }, {
+                        path: 'Shared',
+                        listed: true,
+                        flags: ['\\Noselect'],
+                        children: [{
+                            path: 'Shared/Team',
+                            listed: true,
+                            flags: [],
+                            children: []
+                        }]
+                    }]
+                };
+                sinon.stub(br, 'myRights');
+                br.myRights.withArgs('INBOX').returns(Promise.resolve(['l', 'r', 'w']));
+                br.myRights.withArgs('Shared/Team').returns(Promise.resolve(['l', 'r']));
+            });
+
+            it('should add the rights to selectable mailboxes', (done) => {
+                br._capability = ['ACL'];
+
+                br._annotateMyRights(tree, {
+                    myRights: true
+                }).then((result) => {
+                    expect(result).to.equal(tree);
+                    expect(br.myRights.callCount).to.equal(2);
+                    expect(tree.children[0].myRights).to.deep.equal(['l', 'r', 'w']);
+                    expect(tree.children[1].myRights).to.not.exist;
+                    expect(tree.children[1].children[0].myRights).to.deep.equal(['l', 'r']);
+                }).then(done).catch(done);
+            });
+
+            it('should do nothing if not requested', (done) => {
+                br._capability = ['ACL'];
+
+                br._annotateMyRights(tree, {}).then(() => {
+                    expect(br.myRights.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#listMailboxes', () => {
+
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should call LIST and LSUB in sequence', (done) => {
+                br.exec.withArgs({
+                    command: 'LIST',
+                    attributes: ['', '*']
+                }).returns(Promise.resolve({
+                    payload: {
+                        LIST: [false]
+                    }
+                }));
+
+                br.exec.withArgs({
+                    command: 'LSUB',
+                    attributes: ['', '*']
+                }).returns(Promise.resolve({
+                    payload: {
+                        LSUB: [false]
+                    }
+                }));
+
+                br.listMailboxes().then((tree) => {
+                    expect(tree).to.exist;
+                }).then(done).catch(done);
+            });
+
+            it('should not die on NIL separators', (done) => {
+                br.exec.withArgs({
+                    command: 'LIST',
+                    attributes: ['', '*']
+                }).returns(Promise.resolve({
+                    payload: {
+                        LIST: [
+                            imapHandler.parser('* LIST (\\NoInferiors) NIL "INBOX"')
+                        ]
+                    }
+                }));
+
+                br.exec.withArgs({
+                    command: 'LSUB',
+                    attributes: ['', '*']
+                }).returns(Promise.resolve({
+                    payload: {
+                        LSUB: [
+                            imapHandler.parser('* LSUB (\\NoInferiors) NIL "INBOX"')
+                        ]
+                    }
+                }));
+
+                br.listMailboxes().then((tree) => {
+                    expect(tree).to.exist;
+                }).then(done).catch(done);
+            });
+
+            it('should call LIST and LSUB for every pattern', (done) => {
+                br.exec.returns(Promise.resolve({}));
+
+                br.listMailboxes({
+                    patterns: ['INBOX', 'Lists/*']
+                }).then((tree) => {
+                    expect(tree).to.exist;
+                    expect(br.exec.args.map((args) => args[0])).to.deep.equal([{
+                        command: 'LIST',
+                        attributes: ['', 'INBOX']
+                    }, {
+                        command: 'LIST',
+                        attributes: ['', 'Lists/*']
+                    }, {
+                        command: 'LSUB',
+                        attributes: ['', 'INBOX']
+                    }, {
+                        command: 'LSUB',
+                        attributes: ['', 'Lists/*']
+                    }]);
+                }).then(done).catch(done);
+            });
+
+            it('should call extended LIST if supported', (done) => {
+                br.exec.withArgs({
+                    command: 'LIST',
+                    attributes: [
+                        [{
+                            type: 'ATOM',
+                            value: 'SPECIAL-USE'
+                        }], '', '*', {
+                            type: 'ATOM',
+                            value: 'RETURN'
+                        },
+                        [{
+                            type: 'ATOM',
+                            value: 'SUBSCRIBED'
+                        }, {
+                            type: 'ATOM',
+                            value: 'CHILDREN'
+                        }, {
+                            type: 'ATOM',
+                            value: 'SPECIAL-USE'
+                        }, {
+                            type: 'ATOM',
+                            value: 'STATUS'
+                        }, [{
+                            type: 'ATOM',
+                            value: 'MESSAGES'
+                        }, {
+                            type: 'ATOM',
+                            value: 'UNSEEN'
+                        }]]
+                    ]
+                }, ['LIST', 'STATUS']).returns(Promise.resolve({
+                    payload: {
+                        LIST: [
+                            imapHandler.parser('* LIST (\\HasChildren \\Subscribed \\Sent) "/" "Sent"'),
+                            imapHandler.parser('* LIST (\\HasNoChildren \\Trash) "/" "Trash"')
+                        ],
+                        STATUS: [
+                            imapHandler.parser('* STATUS "Sent" (MESSAGES 17 UNSEEN 16)')
+                        ]
+                    }
+                }));
+
+                br._capability = ['LIST-EXTENDED', 'LIST-STATUS', 'SPECIAL-USE'];
+                br.listMailboxes({
+                    specialUseOnly: true,
+                    statusItems: ['messages', 'unseen']
+                }).then((tree) => {
+                    expect(br.exec.callCount).to.equal(1);
+                    expect(tree.children[0]).to.deep.equal({
+                        name: 'Sent',
+                        delimiter: '/',
+                        path: 'Sent',
+                        children: [],
+                        flags: ['\\HasChildren', '\\Subscribed', '\\Sent'],
+                        listed: true,
+                        subscribed: true,
+                        hasChildren: true,
+                        specialUse: '\\Sent',
+                        specialUseFlag: '\\Sent',
+                        status: {
+                            messages: 17,
+                            unseen: 16
+                        }
+                    });
+                    expect(tree.children[1].subscribed).to.be.false;
+                    expect(tree.children[1].hasChildren).to.be.false;
+                    expect(tree.children[1].status).to.not.exist;
+                }).then(done).catch(done);
+            });
+
+            it('should pass LIST responses that do not match the patterns to onupdate', (done) => {
+                br.exec.withArgs({
+                    command: 'LIST',
+                    attributes: ['', 'Lists/%']
+                }).returns(Promise.resolve({
+                    payload: {
+                        LIST: [
+                            imapHandler.parser('* LIST () "/" "Lists/a"'),
+                            imapHandler.parser('* LIST () "/" "Archive"'),
+                            imapHandler.parser('* LIST () "/" "Lists/b" ("OLDNAME" ("Lists/c"))')
+                        ]
+                    }
+                }));
+                br.exec.withArgs({
+                    command: 'LSUB',
+                    attributes: ['', 'Lists/%']
+                }).returns(Promise.resolve({}));
+                br.onupdate = sinon.stub();
+
+                br.listMailboxes({
+                    patterns: ['Lists/%']
+                }).then((tree) => {
+                    expect(tree.children.length).to.equal(1);
+                    expect(tree.children[0].children.map((branch) => branch.path)).to.deep.equal(['Lists/a']);
+                    expect(br.onupdate.callCount).to.equal(2);
+                    expect(br.onupdate.args[0][0]).to.equal('Archive');
+                    expect(br.onupdate.args[1][2].oldPath).to.equal('Lists/c');
+                }).then(done).catch(done);
+            });
+
+            it('should pass STATUS responses for mailboxes that are not listed to onupdate', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        LIST: [
+                            imapHandler.parser('* LIST (\\HasNoChildren) "/" "Lists/a"')
+                        ],
+                        STATUS: [
+                            imapHandler.parser('* STATUS "Lists/a" (MESSAGES 2)'),
+                            imapHandler.parser('* STATUS "INBOX" (MESSAGES 5)')
+                        ]
+                    }
+                }));
+                br.onupdate = sinon.stub();
+
+                br._capability = ['LIST-EXTENDED', 'LIST-STATUS'];
+                br.listMailboxes({
+                    patterns: ['Lists/*'],
+                    statusItems: ['messages']
+                }).then((tree) => {
+                    expect(tree.children[0].children[0].status).to.deep.equal({
+                        messages: 2
+                    });
+                    expect(br.onupdate.withArgs('INBOX', 'status', {
+                        messages: 5
+                    }).callCount).to.equal(1);
+                    expect(br.onupdate.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#_matchesListPattern', () => {
+            it('should match * across hierarchy levels', () => {
+                expect(br._matchesListPattern('Lists/a/b', 'Lists/*', '/')).to.be.true;
+                expect(br._matchesListPattern('Archive', 'Lists/*', '/')).to.be.false;
+            });
+
+            it('should match % within a hierarchy level', () => {
+                expect(br._matchesListPattern('Lists/a', 'Lists/%', '/')).to.be.true;
+                expect(br._matchesListPattern('Lists/a/b', 'Lists/%', '/')).to.be.false;
+                expect(br._matchesListPattern('Lists.a', 'Lists.%', '.')).to.be.true;
+            });
+
+            it('should match INBOX case-insensitively', () => {
+                expect(br._matchesListPattern('inbox', 'INBOX', '/')).to.be.true;
+                expect(br._matchesListPattern('INBOX/Work', 'inbox/%', '/')).to.be.true;
+                expect(br._matchesListPattern('Inboxes', 'INBOX%', '/')).to.be.false;
+            });
+        });
+
+        describe('#createMailbox', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should call CREATE with a string payload', (done) => {
+                // The spec allows unquoted ATOM-style syntax too, but for
+                // simplicity we always generate a string even if it could be
+                // expressed as an atom.
+                br.exec.withArgs({
+                    command: 'CREATE',
+                    attributes: ['mailboxname']
+                }).returns(Promise.resolve());
+
+                br.createMailbox('mailboxname').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should call mutf7 encode the argument', (done) => {
+                // From RFC 3501
+                br.exec.withArgs({
+                    command: 'CREATE',
+                    attributes: ['~peter/mail/&U,BTFw-/&ZeVnLIqe-']
+                }).returns(Promise.resolve());
+
+                br.createMailbox('~peter/mail/\u53f0\u5317/\u65e5\u672c\u8a9e').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should treat an ALREADYEXISTS response as success', (done) => {
+                var fakeErr = {
+                    code: 'ALREADYEXISTS'
+                };
+                br.exec.withArgs({
+                    command: 'CREATE',
+                    attributes: ['mailboxname']
+                }).returns(Promise.reject(fakeErr));
+
+                br.createMailbox('mailboxname').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#deleteMailbox', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should call DELETE with a mutf7 encoded argument', (done) => {
+                br.exec.withArgs({
+                    command: 'DELETE',
+                    attributes: ['~peter/mail/&U,BTFw-/&ZeVnLIqe-']
+                }).returns(Promise.resolve());
+
+                br.deleteMailbox('~peter/mail/\u53f0\u5317/\u65e5\u672c\u8a9e').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should treat a NONEXISTENT response as success', (done) => {
+                br.exec.withArgs({
+                    command: 'DELETE',
+                    attributes: ['mailboxname']
+                }).returns(Promise.reject({
+                    code: 'NONEXISTENT'
+                }));
+
+                br.deleteMailbox('mailboxname').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should close the deleted mailbox if selected', (done) => {
+                br.exec.returns(Promise.resolve());
+                br.onclosemailbox = sinon.stub();
+
+                br._state = br.STATE_SELECTED;
+                br._selectedMailbox = 'mailboxname';
+                br.deleteMailbox('mailboxname').then(() => {
+                    expect(br.onclosemailbox.withArgs('mailboxname').callCount).to.equal(1);
+                    expect(br._selectedMailbox).to.be.false;
+                    expect(br._state).to.equal(br.STATE_AUTHENTICATED);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#renameMailbox', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should call RENAME', (done) => {
+                br.exec.withArgs({
+                    command: 'RENAME',
+                    attributes: ['foo', 'bar']
+                }).returns(Promise.resolve());
+
+                br.renameMailbox('foo', 'bar').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should update the selected mailbox', (done) => {
+                br.exec.returns(Promise.resolve());
+                br.onclosemailbox = sinon.stub();
+
+                br._state = br.STATE_SELECTED;
+                br._selectedMailbox = 'foo';
+                br.renameMailbox('foo', 'bar').then(() => {
+                    expect(br.onclosemailbox.withArgs('foo').callCount).to.equal(1);
+                    expect(br._selectedMailbox).to.equal('bar');
+                    expect(br._state).to.equal(br.STATE_SELECTED);
+                }).then(done).catch(done);
+            });
+
+            it('should update the selected mailbox if a child is selected', (done) => {
+                br.exec.withArgs(sinon.match({
+                    command: 'RENAME'
+                })).returns(Promise.resolve());
+                br.exec.withArgs(sinon.match({
+                    command: 'LIST'
+                })).returns(Promise.resolve({
+                    payload: {
+                        LIST: [imapHandler.parser('* LIST (\\Noselect) "/" ""')]
+                    }
+                }));
+                br.onclosemailbox = sinon.stub();
+
+                br._selectedMailbox = 'foo/b&AOQ-r';
+                br.renameMailbox('foo', 'bär').then(() => {
+                    expect(br.exec.args[1][0].attributes).to.deep.equal(['', '']);
+                    expect(br.onclosemailbox.withArgs('foo/b&AOQ-r').callCount).to.equal(1);
+                    expect(br._selectedMailbox).to.equal('b&AOQ-r/b&AOQ-r');
+                }).then(done).catch(done);
+            });
+
+            it('should not update the selected mailbox if a sibling with the same prefix is selected', (done) => {
+                br.exec.withArgs(sinon.match({
+                    command: 'RENAME'
+                })).returns(Promise.resolve());
+                br.exec.withArgs(sinon.match({
+                    command: 'LIST'
+                })).returns(Promise.resolve({
+                    payload: {
+                        LIST: [imapHandler.parser('* LIST (\\Noselect) "/" ""')]
+                    }
+                }));
+                br.onclosemailbox = sinon.stub();
+
+                br._selectedMailbox = 'foobar';
+                br.renameMailbox('foo', 'bar').then(() => {
+                    expect(br.onclosemailbox.callCount).to.equal(0);
+                    expect(br._selectedMailbox).to.equal('foobar');
+                }).then(done).catch(done);
+            });
+
+            it('should keep INBOX selected', (done) => {
+                br.exec.returns(Promise.resolve());
+                br.onclosemailbox = sinon.stub();
+
+                br._selectedMailbox = 'INBOX';
+                br.renameMailbox('INBOX', 'Old').then(() => {
+                    expect(br.onclosemailbox.callCount).to.equal(0);
+                    expect(br._selectedMailbox).to.equal('INBOX');
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#subscribeMailbox', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should call SUBSCRIBE', (done) => {
+                br.exec.withArgs({
+                    command: 'SUBSCRIBE',
+                    attributes: ['mailboxname']
+                }).returns(Promise.resolve());
+
+                br.subscribeMailbox('mailboxname').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#unsubscribeMailbox', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should treat a NONEXISTENT response as success', (done) => {
+                br.exec.withArgs({
+                    command: 'UNSUBSCRIBE',
+                    attributes: ['mailboxname']
+                }).returns(Promise.reject({
+                    code: 'NONEXISTENT'
+                }));
+
+                br.unsubscribeMailbox('mailboxname').then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#listMessages', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+                sinon.stub(br, '_buildFETCHCommand');
+                sinon.stub(br, '_parseFETCH');
+            });
+
+            it('should call FETCH', (done) => {
+                br.exec.returns(Promise.resolve('abc'));
+                br._buildFETCHCommand.withArgs(['1:2', ['uid', 'flags'], {
+                    byUid: true
+                }]).returns({});
+
+                br.listMessages('INBOX', '1:2', ['uid', 'flags'], {
+                    byUid: true
+                }).then(() => {
+                    expect(br._buildFETCHCommand.callCount).to.equal(1);
+                    expect(br._parseFETCH.withArgs('abc').callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should pass timeout and signal to exec', (done) => {
+                var signal = {};
+                br.exec.returns(Promise.resolve('abc'));
+                br._buildFETCHCommand.returns({});
+
+                br.listMessages('INBOX', '1:2', ['uid'], {
+                    timeout: 1000,
+                    signal: signal
+                }).then(() => {
+                    var execOptions = br.exec.args[0][2];
+                    expect(execOptions.timeout).to.equal(1000);
+                    expect(execOptions.signal).to.equal(signal);
+                    expect(execOptions.precheck).to.exist;
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#fetchMessages', () => {
+            var finish;
+
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+                sinon.stub(br, '_buildFETCHCommand');
+                sinon.stub(br, '_parseFETCH');
+
+                br._buildFETCHCommand.returns({});
+                br.exec.returns(new Promise((resolve, reject) => {
+                    finish = (err) => err ? reject(err) : resolve({});
+                }));
+                br._parseFETCH.withArgs({
+                    payload: {
+                        FETCH: [{
+                            nr: 1
+                        }]
+                    }
+                }).returns([{
+                    '#': 1
+                }]);
+                br._parseFETCH.withArgs({
+                    payload: {
+                        FETCH: [{
+                            nr: 2
+                        }]
+                    }
+                }).returns([{
+                    '#': 2
+                }]);
+            });
+
+            it('should not run FETCH until iterated', () => {
+                br.fetchMessages('INBOX', '1:2', ['uid']);
+                expect(br.exec.callCount).to.equal(0);
+            });
+
+            it('should yield messages as these arrive', (done) => {
+                var messages = br.fetchMessages('INBOX', '1:2', ['uid'], {
+                    byUid: true
+                });
+                var first = messages.next();
+
+                expect(br._buildFETCHCommand.withArgs('1:2', ['uid'], {
+                    byUid: true
+                }).callCount).to.equal(1);
+                expect(br.exec.args[0][1]).to.equal('FETCH');
+
+                var handler = br.exec.args[0][2].untaggedHandler;
+                handler({
+                    nr: 1
+                });
+
+                first.then((result) => {
+                    expect(result).to.deep.equal({
+                        value: {
+                            '#': 1
+                        },
+                        done: false
+                    });
+
+                    handler({
+                        nr: 2
+                    });
+                    finish();
+                    return messages.next();
+                }).then((result) => {
+                    expect(result.value).to.deep.equal({
+                        '#': 2
+                    });
+                    return messages.next();
+                }).then((result) => {
+                    expect(result.done).to.be.true;
+                    expect(br.exec.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should suspend reading while the consumer is slow', (done) => {
+                sinon.stub(br.client, 'suspend').returns(true);
+                sinon.stub(br.client, 'resume');
+                br._parseFETCH.returns([{}]);
+                br.FETCH_HIGH_WATER_MARK = 4;
+
+                var messages = br.fetchMessages('INBOX', '1:*', ['uid']);
+                var consume = (count) => count ? messages.next().then(() => consume(count - 1)) : Promise.resolve();
+                var first = messages.next();
+                var handler = br.exec.args[0][2].untaggedHandler;
+
+                for (var i = 0; i < 6; i++) {
+                    handler({});
+                }
+                expect(br.client.suspend.callCount).to.equal(1);
+
+                first.then(() => consume(2)).then(() => {
+                    expect(br.client.resume.callCount).to.equal(0);
+                    return consume(1);
+                }).then(() => {
+                    expect(br.client.resume.callCount).to.equal(1);
+                    expect(br.client.suspend.callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should reject on command error', (done) => {
+                var messages = br.fetchMessages('INBOX', '1:2', ['uid']);
+
+                messages.next().then(() => {
+                    throw new Error('should not resolve');
+                }, (err) => {
+                    expect(err.message).to.equal('abc');
+                    return messages.next();
+                }).then((result) => {
+                    expect(result.done).to.be.true;
+                }).then(done).catch(done);
+
+                finish(new Error('abc'));
+            });
+
+            it('should discard messages after return', (done) => {
+                var messages = br.fetchMessages('INBOX', '1:2', ['uid']);
+                messages.next();
+
+                messages.return().then(() => {
+                    br.exec.args[0][2].untaggedHandler({
+                        nr: 1
+                    });
+                    return messages.next();
+                }).then((result) => {
+                    expect(result.done).to.be.true;
+                    expect(br._parseFETCH.callCount).to.equal(0);
+                }).then(done).catch(done);
+            });
+        });
+
+        describe('#fetchBodyPart', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'listMessages');
+            });
+
+            it('should fetch BINARY if supported', (done) => {
+                br._capability = ['BINARY'];
+                br.listMessages.withArgs('INBOX', '5', ['uid', 'binary.peek[1.2]'], {
+                    byUid: true
+                }).returns(Promise.resolve([{
+                    '#': 1,
+                    uid: 5,
+                    'binary[1.2]': new Uint8Array([0, 255])
+                }]));
+
+                br.fetchBodyPart('INBOX', '5', '1.2', {
+                    byUid: true
+                }).then((parts) => {
+                    expect(parts).to.deep.equal([{
+                        '#': 1,
+                        uid: 5,
+                        content: new Uint8Array([0, 255])
+                    }]);
+                }).then(done).catch(done);
+            });
+
+            it('should decode BODY.PEEK if BINARY is not supported', (done) => {
+                br._capability = [];
+                br.listMessages.withArgs('INBOX', '1', ['uid', 'body.peek[2]']).returns(Promise.resolve([{
+                    '#': 1,
+                    uid: 5,
+                    'body[2]': 'AP8=\r\n'
+                }]));
+
+                br.fetchBodyPart('INBOX', '1', '2', {
+                    encoding: 'base64'
+                }).then((parts) => {
+                    expect(parts[0].content).to.deep.equal(new Uint8Array([0, 255]));
+                }).then(done).catch(done);
+            });
+
+            it('should take the encoding from the bodystructure', (done) => {
+                br._capability = [];
+                br.listMessages.withArgs('INBOX', '1', ['uid', 'body.peek[2]', 'bodystructure']).returns(Promise.resolve([{
+                    '#': 1,
+                    uid: 5,
+                    'body[2]': 'AP8=\r\n',
+                    bodystructure: {
+                        type: 'multipart/mixed',
+                        childNodes: [{
+                            part: '1',
+                            type: 'text/plain',
+                            encoding: '7bit'
+                        }, {
+                            part: '2',
+                            type: 'application/octet-stream',
+                            encoding: 'base64'
+                        }]
+                    }
+                }]));
 
-                br.listMailboxes().then((tree) => {
-                    expect(tree).to.exist;
+                br.fetchBodyPart('INBOX', '1', '2').then((parts) => {
+                    expect(parts[0].content).to.deep.equal(new Uint8Array([0, 255]));
                 }).then(done).catch(done);
             });
 
-            it('should not die on NIL separators', (done) => {
-                br.exec.withArgs({
-                    command: 'LIST',
-                    attributes: ['', '*']
-                }).returns(Promise.resolve({
-                    payload: {
-                        LIST: [
-                            imapHandler.parser('* LIST (\\NoInferiors) NIL "INBOX"')
-                        ]
+            it('should reject if the part is not in the bodystructure', (done) => {
+                br._capability = [];
+                br.listMessages.returns(Promise.resolve([{
+                    '#': 1,
+                    uid: 5,
+                    'body[3]': '',
+                    bodystructure: {
+                        type: 'text/plain',
+                        encoding: 'quoted-printable'
                     }
-                }));
+                }]));
 
-                br.exec.withArgs({
-                    command: 'LSUB',
-                    attributes: ['', '*']
-                }).returns(Promise.resolve({
-                    payload: {
-                        LSUB: [
-                            imapHandler.parser('* LSUB (\\NoInferiors) NIL "INBOX"')
-                        ]
-                    }
-                }));
+                br.fetchBodyPart('INBOX', '1', '3').then(() => {
+                    throw new Error('should not resolve');
+                }, (err) => {
+                    expect(err.message).to.match(/Body part 3 not found/);
+                }).then(done).catch(done);
+            });
 
-                br.listMailboxes().then((tree) => {
-                    expect(tree).to.exist;
+            it('should fall back to BODY.PEEK on UNKNOWN-CTE', (done) => {
+                var err = new Error('Unknown encoding');
+                err.code = 'UNKNOWN-CTE';
+
+                br._capability = ['BINARY'];
+                br.listMessages.withArgs('INBOX', '1', ['uid', 'binary.peek[2]']).returns(Promise.reject(err));
+                br.listMessages.withArgs('INBOX', '1', ['uid', 'body.peek[2]']).returns(Promise.resolve([{
+                    '#': 1,
+                    'body[2]': 'a=3D=\r\nb'
+                }]));
+
+                br.fetchBodyPart('INBOX', '1', '2', {
+                    encoding: 'quoted-printable'
+                }).then((parts) => {
+                    expect(parts[0].content).to.deep.equal(new Uint8Array([97, 61, 98]));
                 }).then(done).catch(done);
             });
         });
 
-        describe('#createMailbox', () => {
+        describe('#search', () => {
             beforeEach(() => {
                 sinon.stub(br, 'exec');
+                sinon.stub(br, '_buildSEARCHCommand');
+                sinon.stub(br, '_parseSEARCH');
             });
 
-            it('should call CREATE with a string payload', (done) => {
-                // The spec allows unquoted ATOM-style syntax too, but for
-                // simplicity we always generate a string even if it could be
-                // expressed as an atom.
-                br.exec.withArgs({
-                    command: 'CREATE',
-                    attributes: ['mailboxname']
-                }).returns(Promise.resolve());
+            it('should call SEARCH', (done) => {
+                br.exec.returns(Promise.resolve('abc'));
+                br._buildSEARCHCommand.withArgs({
+                    uid: 1
+                }, {
+                    byUid: true
+                }).returns({});
 
-                br.createMailbox('mailboxname').then(() => {
+                br.search('INBOX', {
+                    uid: 1
+                }, {
+                    byUid: true
+                }).then(() => {
+                    expect(br._buildSEARCHCommand.callCount).to.equal(1);
                     expect(br.exec.callCount).to.equal(1);
+                    expect(br._parseSEARCH.withArgs('abc').callCount).to.equal(1);
                 }).then(done).catch(done);
             });
 
-            it('should call mutf7 encode the argument', (done) => {
-                // From RFC 3501
-                br.exec.withArgs({
-                    command: 'CREATE',
-                    attributes: ['~peter/mail/&U,BTFw-/&ZeVnLIqe-']
-                }).returns(Promise.resolve());
+            it('should call ESEARCH if return options are set', (done) => {
+                sinon.stub(br, '_parseESEARCH').returns({
+                    count: 3
+                });
+                br.exec.returns(Promise.resolve('abc'));
 
-                br.createMailbox('~peter/mail/\u53f0\u5317/\u65e5\u672c\u8a9e').then(() => {
-                    expect(br.exec.callCount).to.equal(1);
+                br._capability = ['ESEARCH'];
+                br.search('INBOX', {
+                    unseen: true
+                }, {
+                    returnOptions: ['count']
+                }).then((result) => {
+                    expect(result).to.deep.equal({
+                        count: 3
+                    });
+                    expect(br._buildSEARCHCommand.args[0][1]).to.deep.equal({
+                        returnOptions: ['count']
+                    });
+                    expect(br.exec.args[0][1]).to.equal('ESEARCH');
+                    expect(br._parseESEARCH.withArgs('abc').callCount).to.equal(1);
+                    expect(br._parseSEARCH.callCount).to.equal(0);
                 }).then(done).catch(done);
             });
 
-            it('should treat an ALREADYEXISTS response as success', (done) => {
-                var fakeErr = {
-                    code: 'ALREADYEXISTS'
-                };
-                br.exec.withArgs({
-                    command: 'CREATE',
-                    attributes: ['mailboxname']
-                }).returns(Promise.reject(fakeErr));
+            it('should emulate return options if ESEARCH is not supported', (done) => {
+                br.exec.returns(Promise.resolve('abc'));
+                br._parseSEARCH.withArgs('abc').returns([1, 2, 3, 7]);
 
-                br.createMailbox('mailboxname').then(() => {
-                    expect(br.exec.callCount).to.equal(1);
+                br._capability = [];
+                br.search('INBOX', {
+                    unseen: true
+                }, {
+                    byUid: true,
+                    returnOptions: ['MIN', 'MAX', 'COUNT', 'ALL']
+                }).then((result) => {
+                    expect(result).to.deep.equal({
+                        min: 1,
+                        max: 7,
+                        count: 4,
+                        all: '1:3,7'
+                    });
+                    expect(br._buildSEARCHCommand.args[0][1]).to.deep.equal({
+                        byUid: true
+                    });
+                    expect(br.exec.args[0][1]).to.equal('SEARCH');
                 }).then(done).catch(done);
             });
         });
 
-        describe('#listMessages', () => {
+        describe('#sort', () => {
             beforeEach(() => {
                 sinon.stub(br, 'exec');
-                sinon.stub(br, '_buildFETCHCommand');
-                sinon.stub(br, '_parseFETCH');
+                sinon.stub(br, '_buildSORTCommand');
+                sinon.stub(br, '_parseSORT');
             });
 
-            it('should call FETCH', (done) => {
+            it('should call SORT', (done) => {
                 br.exec.returns(Promise.resolve('abc'));
-                br._buildFETCHCommand.withArgs(['1:2', ['uid', 'flags'], {
+                br._buildSORTCommand.withArgs(['reverse date'], {
+                    unseen: true
+                }, {
                     byUid: true
-                }]).returns({});
+                }).returns({});
 
-                br.listMessages('INBOX', '1:2', ['uid', 'flags'], {
+                br._capability = ['SORT'];
+                br.sort('INBOX', ['reverse date'], {
+                    unseen: true
+                }, {
                     byUid: true
                 }).then(() => {
-                    expect(br._buildFETCHCommand.callCount).to.equal(1);
-                    expect(br._parseFETCH.withArgs('abc').callCount).to.equal(1);
+                    expect(br._buildSORTCommand.callCount).to.equal(1);
+                    expect(br.exec.args[0][1]).to.equal('SORT');
+                    expect(br._parseSORT.withArgs('abc').callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should fail if not supported', (done) => {
+                br._capability = [];
+                br.sort('INBOX', ['date']).catch((err) => {
+                    expect(err).to.exist;
+                    expect(br.exec.callCount).to.equal(0);
                 }).then(done).catch(done);
             });
         });
 
-        describe('#search', () => {
+        describe('#thread', () => {
             beforeEach(() => {
                 sinon.stub(br, 'exec');
-                sinon.stub(br, '_buildSEARCHCommand');
-                sinon.stub(br, '_parseSEARCH');
+                sinon.stub(br, '_buildTHREADCommand');
+                sinon.stub(br, '_parseTHREAD');
             });
 
-            it('should call SEARCH', (done) => {
+            it('should call THREAD', (done) => {
                 br.exec.returns(Promise.resolve('abc'));
-                br._buildSEARCHCommand.withArgs({
-                    uid: 1
-                }, {
-                    byUid: true
-                }).returns({});
+                br._buildTHREADCommand.withArgs('REFERENCES', {
+                    unseen: true
+                }, {}).returns({});
 
-                br.search('INBOX', {
-                    uid: 1
-                }, {
-                    byUid: true
+                br._capability = ['THREAD=REFERENCES'];
+                br.thread('INBOX', 'references', {
+                    unseen: true
                 }).then(() => {
-                    expect(br._buildSEARCHCommand.callCount).to.equal(1);
-                    expect(br.exec.callCount).to.equal(1);
-                    expect(br._parseSEARCH.withArgs('abc').callCount).to.equal(1);
+                    expect(br._buildTHREADCommand.callCount).to.equal(1);
+                    expect(br.exec.args[0][1]).to.equal('THREAD');
+                    expect(br._parseTHREAD.withArgs('abc').callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should fail if algorithm is not supported', (done) => {
+                br._capability = ['THREAD=ORDEREDSUBJECT'];
+                br.thread('INBOX', 'REFERENCES').catch((err) => {
+                    expect(err).to.exist;
+                    expect(br.exec.callCount).to.equal(0);
                 }).then(done).catch(done);
             });
         });
@@ -657,6 +2580,67 @@
                     expect(br.exec.callCount).to.equal(1);
                 }).then(done).catch(done);
             });
+
+            it('should resolve with APPENDUID', (done) => {
+                br.exec.returns(Promise.resolve({
+                    appenduid: ['38505', '3955']
+                }));
+
+                br.upload('mailbox', 'this is a message').then((result) => {
+                    expect(result).to.deep.equal({
+                        uidValidity: 38505,
+                        uid: 3955
+                    });
+                }).then(done).catch(done);
+            });
+
+            it('should reject with OVERQUOTA', (done) => {
+                var err = new Error('Quota exceeded (mailbox for user is full)');
+                err.code = 'OVERQUOTA';
+                br.exec.returns(Promise.reject(err));
+
+                br.upload('mailbox', 'this is a message').catch((e) => {
+                    expect(e.code).to.equal('OVERQUOTA');
+                }).then(done).catch(done);
+            });
+
+            it('should recognise quota errors without a response code', (done) => {
+                br.exec.returns(Promise.reject(new ImapClient.errors.ImapNoResponseError('Over quota', {
+                    command: 'APPEND',
+                    tag: 'W1',
+                    serverText: 'Over quota'
+                })));
+
+                br.upload('mailbox', 'this is a message').catch((e) => {
+                    expect(e).to.be.instanceof(ImapClient.errors.OverQuotaError);
+                    expect(e.tag).to.equal('W1');
+                    expect(e.code).to.equal('OVERQUOTA');
+                }).then(done).catch(done);
+            });
+
+            it('should not treat other errors that mention the quota as quota errors', (done) => {
+                br.exec.returns(Promise.reject(new ImapClient.errors.ConnectionClosedError('Connection closed while waiting for the quota', {
+                    command: 'APPEND'
+                })));
+
+                br.upload('mailbox', 'this is a message').catch((e) => {
+                    expect(e).to.be.instanceof(ImapClient.errors.ConnectionClosedError);
+                    expect(e.code).to.not.exist;
+                }).then(done).catch(done);
+            });
+
+            it('should not treat BAD responses that mention the quota as quota errors', (done) => {
+                br.exec.returns(Promise.reject(new ImapClient.errors.ImapBadResponseError('Invalid quota argument', {
+                    command: 'APPEND',
+                    tag: 'W1',
+                    serverText: 'Invalid quota argument'
+                })));
+
+                br.upload('mailbox', 'this is a message').catch((e) => {
+                    expect(e).to.be.instanceof(ImapClient.errors.ImapBadResponseError);
+                    expect(e).to.not.be.instanceof(ImapClient.errors.OverQuotaError);
+                }).then(done).catch(done);
+            });
         });
 
         describe('#setFlags', () => {
@@ -767,10 +2751,27 @@
                 br.copyMessages('INBOX', '1:2', '[Gmail]/Trash', {
                     byUid: true
                 }).then((response) => {
-                    expect(response).to.equal('abc');
+                    expect(response).to.be.undefined;
                     expect(br.exec.callCount).to.equal(1);
                 }).then(done).catch(done);
             });
+
+            it('should resolve with COPYUID', (done) => {
+                br.exec.returns(Promise.resolve({
+                    humanReadable: 'abc',
+                    copyuid: ['38505', '304,319:320', '3956:3958']
+                }));
+
+                br.copyMessages('INBOX', '304,319:320', '[Gmail]/Trash', {
+                    byUid: true
+                }).then((response) => {
+                    expect(response).to.deep.equal({
+                        uidValidity: 38505,
+                        sourceUids: [304, 319, 320],
+                        destinationUids: [3956, 3957, 3958]
+                    });
+                }).then(done).catch(done);
+            });
         });
 
         describe('#moveMessages', () => {
@@ -800,23 +2801,98 @@
                 }).then(done).catch(done);
             });
 
+            it('should resolve with COPYUID from untagged OK', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        OK: [{
+                            copyuid: ['432432', '42:43', '11:12']
+                        }]
+                    }
+                }));
+
+                br._capability = ['MOVE'];
+                br.moveMessages('INBOX', '42:43', '[Gmail]/Trash', {
+                    byUid: true
+                }).then((result) => {
+                    expect(result).to.deep.equal({
+                        uidValidity: 432432,
+                        sourceUids: [42, 43],
+                        destinationUids: [11, 12]
+                    });
+                }).then(done).catch(done);
+            });
+
             it('should fallback to copy+expunge', (done) => {
+                var copyuid = {
+                    uidValidity: 432432,
+                    sourceUids: [1, 2],
+                    destinationUids: [11, 12]
+                };
                 br.copyMessages.withArgs('INBOX', '1:2', '[Gmail]/Trash', {
                     byUid: true
-                }).returns(Promise.resolve());
-                br.deleteMessages.withArgs('1:2', {
+                }).returns(Promise.resolve(copyuid));
+                br.deleteMessages.withArgs('INBOX', '1:2', {
                     byUid: true
                 }).returns(Promise.resolve());
 
                 br._capability = [];
                 br.moveMessages('INBOX', '1:2', '[Gmail]/Trash', {
                     byUid: true
-                }).then(() => {
+                }).then((result) => {
+                    expect(result).to.equal(copyuid);
                     expect(br.deleteMessages.callCount).to.equal(1);
                 }).then(done).catch(done);
             });
         });
 
+        describe('#enable', () => {
+            beforeEach(() => {
+                sinon.stub(br, 'exec');
+            });
+
+            it('should run ENABLE and update enabled extensions', (done) => {
+                br.exec.withArgs({
+                    command: 'ENABLE',
+                    attributes: [{
+                        type: 'ATOM',
+                        value: 'CONDSTORE'
+                    }, {
+                        type: 'ATOM',
+                        value: 'UTF8=ACCEPT'
+                    }]
+                }, 'ENABLED').returns(Promise.resolve({
+                    payload: {
+                        ENABLED: [imapHandler.parser('* ENABLED CONDSTORE')]
+                    }
+                }));
+
+                br._capability = ['ENABLE', 'CONDSTORE', 'UTF8=ACCEPT'];
+                br.enable(['condstore', 'UTF8=ACCEPT']).then((enabled) => {
+                    expect(br.exec.callCount).to.equal(1);
+                    expect(enabled).to.deep.equal(['CONDSTORE']);
+                    expect(br.isEnabled('condstore')).to.be.true;
+                    expect(br.isEnabled('UTF8=ACCEPT')).to.be.false;
+                }).then(done).catch(done);
+            });
+
+            it('should skip extensions that are already enabled', (done) => {
+                br._capability = ['ENABLE', 'QRESYNC'];
+                br._enabled = ['QRESYNC'];
+                br.enable(['QRESYNC']).then((enabled) => {
+                    expect(br.exec.callCount).to.equal(0);
+                    expect(enabled).to.deep.equal(['QRESYNC']);
+                }).then(done).catch(done);
+            });
+
+            it('should do nothing if not supported', (done) => {
+                br._capability = ['QRESYNC'];
+                br.enable(['QRESYNC']).then((enabled) => {
+                    expect(br.exec.callCount).to.equal(0);
+                    expect(enabled).to.deep.equal([]);
+                }).then(done).catch(done);
+            });
+        });
+
         describe('#selectMailbox', () => {
             beforeEach(() => {
                 sinon.stub(br, 'exec');
@@ -853,13 +2929,121 @@
                     ]
                 }).returns(Promise.resolve('abc'));
 
-                br._capability = ['CONDSTORE'];
+                br._capability = ['CONDSTORE'];
+                br.selectMailbox('[Gmail]/Trash', {
+                    condstore: true
+                }).then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                    expect(br._parseSELECT.withArgs('abc').callCount).to.equal(1);
+                    expect(br._state).to.equal(br.STATE_SELECTED);
+                }).then(done).catch(done);
+            });
+
+            it('should run SELECT with QRESYNC', (done) => {
+                br.exec.withArgs({
+                    command: 'ENABLE',
+                    attributes: [{
+                        type: 'ATOM',
+                        value: 'QRESYNC'
+                    }]
+                }).returns(Promise.resolve({
+                    payload: {
+                        ENABLED: [imapHandler.parser('* ENABLED QRESYNC')]
+                    }
+                }));
+                br.exec.withArgs({
+                    command: 'SELECT',
+                    attributes: [{
+                            type: 'STRING',
+                            value: '[Gmail]/Trash'
+                        },
+                        [{
+                                type: 'ATOM',
+                                value: 'QRESYNC'
+                            },
+                            [{
+                                type: 'ATOM',
+                                value: '67890007'
+                            }, {
+                                type: 'ATOM',
+                                value: '20050715194045000'
+                            }, {
+                                type: 'SEQUENCE',
+                                value: '41:211'
+                            }]
+                        ]
+                    ]
+                }).returns(Promise.resolve('abc'));
+
+                br._capability = ['ENABLE', 'QRESYNC'];
+                br.selectMailbox('[Gmail]/Trash', {
+                    qresync: {
+                        uidValidity: 67890007,
+                        highestModseq: '20050715194045000',
+                        knownUids: '41:211'
+                    }
+                }).then(() => {
+                    expect(br.exec.callCount).to.equal(2);
+                    expect(br.exec.args[1][1]).to.deep.equal(['EXISTS', 'FLAGS', 'OK', 'VANISHED', 'FETCH']);
+                    expect(br._enabled).to.deep.equal(['QRESYNC']);
+                    expect(br._parseSELECT.withArgs('abc').callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should emit VANISHED (EARLIER) from QRESYNC', (done) => {
+                br.exec.returns(Promise.resolve({
+                    payload: {
+                        VANISHED: [imapHandler.parser('* VANISHED (EARLIER) 41,43:45')]
+                    }
+                }));
+                br.onupdate = sinon.stub();
+
+                br._capability = ['ENABLE', 'QRESYNC'];
+                br._enabled = ['QRESYNC'];
+                br.selectMailbox('[Gmail]/Trash', {
+                    qresync: {
+                        uidValidity: 67890007,
+                        highestModseq: '20050715194045000'
+                    }
+                }).then(() => {
+                    expect(br.exec.callCount).to.equal(1);
+                    expect(br.onupdate.withArgs('[Gmail]/Trash', 'vanished', [41, 43, 44, 45]).callCount).to.equal(1);
+                }).then(done).catch(done);
+            });
+
+            it('should remember the QRESYNC state for reconnecting', (done) => {
+                br.exec.returns(Promise.resolve({}));
+                br._parseSELECT.returns({
+                    uidValidity: 67890007,
+                    highestModseq: '20050715194045100'
+                });
+
+                br._capability = ['ENABLE', 'QRESYNC'];
+                br._enabled = ['QRESYNC'];
                 br.selectMailbox('[Gmail]/Trash', {
-                    condstore: true
+                    readOnly: true,
+                    qresync: {
+                        uidValidity: 67890007,
+                        highestModseq: '20050715194045000',
+                        knownUids: '41:211'
+                    }
                 }).then(() => {
-                    expect(br.exec.callCount).to.equal(1);
-                    expect(br._parseSELECT.withArgs('abc').callCount).to.equal(1);
-                    expect(br._state).to.equal(br.STATE_SELECTED);
+                    br._untaggedOkHandler({
+                        tag: '*',
+                        command: 'OK',
+                        code: 'HIGHESTMODSEQ',
+                        highestmodseq: '20050715194045200'
+                    });
+
+                    expect(br._selectedMailboxOptions).to.deep.equal({
+                        readOnly: true,
+                        condstore: false,
+                        qresync: {
+                            uidValidity: 67890007,
+                            highestModseq: '20050715194045200',
+                            knownUids: '41:211'
+                        }
+                    });
                 }).then(done).catch(done);
             });
 
@@ -921,6 +3105,15 @@
             });
         });
 
+        describe('#isEnabled', () => {
+            it('should detect enabled extension', () => {
+                br._enabled = ['QRESYNC'];
+                expect(br.isEnabled('qresync')).to.be.true;
+                expect(br.isEnabled('CONDSTORE')).to.be.false;
+                expect(br.isEnabled()).to.be.false;
+            });
+        });
+
         describe('#_untaggedOkHandler', () => {
             it('should update capability if present', () => {
                 br._untaggedOkHandler({
@@ -965,6 +3158,16 @@
             });
         });
 
+        describe('#_untaggedVanishedHandler', () => {
+            it('should emit onupdate', () => {
+                br.onupdate = sinon.stub();
+                br._selectedMailbox = 'FOO';
+
+                br._untaggedVanishedHandler(imapHandler.parser('* VANISHED 405,407:409'));
+                expect(br.onupdate.withArgs('FOO', 'vanished', [405, 407, 408, 409]).callCount).to.equal(1);
+            });
+        });
+
         describe('#_untaggedFetchHandler', () => {
             it('should emit onupdate', () => {
                 br.onupdate = sinon.stub();
@@ -985,6 +3188,60 @@
             });
         });
 
+        describe('#_untaggedStatusHandler', () => {
+            it('should emit onupdate with the mailbox path', () => {
+                br.onupdate = sinon.stub();
+                br._selectedMailbox = 'INBOX';
+
+                br._untaggedStatusHandler(imapHandler.parser('* STATUS "Lists/a" (MESSAGES 3 UIDNEXT 10 UNSEEN 1)'));
+                expect(br.onupdate.withArgs('Lists/a', 'status', {
+                    messages: 3,
+                    uidNext: 10,
+                    unseen: 1
+                }).callCount).to.equal(1);
+            });
+
+            it('should not decode the mailbox path', () => {
+                br.onupdate = sinon.stub();
+
+                br._untaggedStatusHandler(imapHandler.parser('* STATUS "Lists/&AOQ-" (MESSAGES 3)'));
+                expect(br.onupdate.args[0][0]).to.equal('Lists/&AOQ-');
+            });
+        });
+
+        describe('#_untaggedListHandler', () => {
+            it('should emit onupdate for renamed mailboxes', () => {
+                br.onupdate = sinon.stub();
+
+                br._untaggedListHandler(imapHandler.parser('* LIST () "/" "Lists/b" ("OLDNAME" ("Lists/a"))'));
+                expect(br.onupdate.withArgs('Lists/b', 'list', {
+                    path: 'Lists/b',
+                    delimiter: '/',
+                    flags: [],
+                    oldPath: 'Lists/a'
+                }).callCount).to.equal(1);
+            });
+
+            it('should emit onupdate with the paths as listed by listMailboxes', () => {
+                br.onupdate = sinon.stub();
+
+                br._untaggedListHandler(imapHandler.parser('* LIST () "/" "Lists/&AOQ-" ("OLDNAME" ("Lists/a"))'));
+                expect(br.onupdate.args[0][0]).to.equal('Lists/&AOQ-');
+                expect(br.onupdate.args[0][2].path).to.equal('Lists/&AOQ-');
+            });
+
+            it('should emit onupdate for deleted mailboxes', () => {
+                br.onupdate = sinon.stub();
+
+                br._untaggedListHandler(imapHandler.parser('* LIST (\\NonExistent) "/" "Lists/a"'));
+                expect(br.onupdate.withArgs('Lists/a', 'list', {
+                    path: 'Lists/a',
+                    delimiter: '/',
+                    flags: ['\\NonExistent']
+                }).callCount).to.equal(1);
+            });
+        });
+
         describe('#_parseSELECT', () => {
             it('should parse a complete response', () => {
                 expect(br._parseSELECT({
@@ -1150,6 +3407,32 @@
             });
         });
 
+        describe('#_parseSTATUS', () => {
+            it('should parse a complete response', () => {
+                expect(br._parseSTATUS({
+                    payload: {
+                        STATUS: [imapHandler.parser('* STATUS "INBOX" (MESSAGES 231 RECENT 1 UIDNEXT 44292 UIDVALIDITY 1 UNSEEN 3 HIGHESTMODSEQ 7011231777 SIZE 123456)')]
+                    }
+                })).to.deep.equal({
+                    messages: 231,
+                    recent: 1,
+                    uidNext: 44292,
+                    uidValidity: 1,
+                    unseen: 3,
+                    highestModseq: '7011231777',
+                    size: 123456
+                });
+            });
+
+            it('should not succeed for no status response', () => {
+                expect(br._parseSTATUS({
+                    payload: {
+                        STATUS: []
+                    }
+                })).to.deep.equal({});
+            });
+        });
+
         describe('#_parseNAMESPACE', () => {
             it('should not succeed for no namespace response', () => {
                 expect(br._parseNAMESPACE({
@@ -1402,6 +3685,34 @@
                 });
             });
 
+            it('should build FETCH with vanished', () => {
+                expect(br._buildFETCHCommand('1:*', ['flags'], {
+                    byUid: true,
+                    changedSince: '123456',
+                    vanished: true
+                })).to.deep.equal({
+                    command: 'UID FETCH',
+                    attributes: [{
+                            type: 'SEQUENCE',
+                            value: '1:*'
+                        }, {
+                            type: 'ATOM',
+                            value: 'FLAGS'
+                        },
+                        [{
+                            type: 'ATOM',
+                            value: 'CHANGEDSINCE'
+                        }, {
+                            type: 'ATOM',
+                            value: '123456'
+                        }, {
+                            type: 'ATOM',
+                            value: 'VANISHED'
+                        }]
+                    ]
+                });
+            });
+
             it('should build FETCH with partial', () => {
                 expect(br._buildFETCHCommand('1:*', ['body[]'], {})).to.deep.equal({
                     command: 'FETCH',
@@ -1415,6 +3726,34 @@
                     }]
                 });
             });
+
+            it('should build FETCH with BINARY items', () => {
+                expect(br._buildFETCHCommand('1:*', ['binary.peek[1.2]', 'binary.size[1.2]', 'binary[]'], {})).to.deep.equal({
+                    command: 'FETCH',
+                    attributes: [{
+                        type: 'SEQUENCE',
+                        value: '1:*'
+                    }, [{
+                        type: 'ATOM',
+                        value: 'BINARY.PEEK',
+                        section: [{
+                            type: 'ATOM',
+                            value: '1.2'
+                        }]
+                    }, {
+                        type: 'ATOM',
+                        value: 'BINARY.SIZE',
+                        section: [{
+                            type: 'ATOM',
+                            value: '1.2'
+                        }]
+                    }, {
+                        type: 'ATOM',
+                        value: 'BINARY',
+                        section: []
+                    }]]
+                });
+            });
         });
 
         describe('#_parseFETCH', () => {
@@ -1506,6 +3845,42 @@
                     'uid': 790
                 }]);
             });
+
+            it('should parse BINARY values', () => {
+                expect(br._parseFETCH({
+                    payload: {
+                        FETCH: [{
+                            nr: 1,
+                            attributes: [
+                                [{
+                                    type: 'ATOM',
+                                    value: 'BINARY[1.2]'
+                                }, {
+                                    type: 'LITERAL',
+                                    value: new Uint8Array([0, 255])
+                                }, {
+                                    type: 'ATOM',
+                                    value: 'BINARY.SIZE[1.2]'
+                                }, {
+                                    type: 'ATOM',
+                                    value: '2'
+                                }, {
+                                    type: 'ATOM',
+                                    value: 'BINARY[2]'
+                                }, {
+                                    type: 'STRING',
+                                    value: 'ab'
+                                }]
+                            ]
+                        }]
+                    }
+                })).to.deep.equal([{
+                    '#': 1,
+                    'binary[1.2]': new Uint8Array([0, 255]),
+                    'binary.size[1.2]': 2,
+                    'binary[2]': new Uint8Array([97, 98])
+                }]);
+            });
         });
 
         describe('#_parseENVELOPE', () => {
@@ -1514,6 +3889,40 @@
             });
         });
 
+        describe('#_findBodyPart', () => {
+            var structure = {
+                type: 'multipart/mixed',
+                childNodes: [{
+                    part: '1',
+                    type: 'text/plain',
+                    encoding: 'quoted-printable'
+                }, {
+                    part: '2',
+                    type: 'message/rfc822',
+                    encoding: '7bit',
+                    childNodes: [{
+                        part: '2',
+                        type: 'text/plain',
+                        encoding: 'base64'
+                    }]
+                }]
+            };
+
+            it('should find parts by number', () => {
+                expect(br._findBodyPart(structure, '1').encoding).to.equal('quoted-printable');
+                expect(br._findBodyPart(structure, '2').type).to.equal('message/rfc822');
+                expect(br._findBodyPart(structure, '3')).to.be.null;
+            });
+
+            it('should find the body of a message that is not multipart', () => {
+                expect(br._findBodyPart(structure, '2.1').encoding).to.equal('base64');
+                expect(br._findBodyPart({
+                    type: 'text/plain',
+                    encoding: 'base64'
+                }, '1').encoding).to.equal('base64');
+            });
+        });
+
         describe('#_parseBODYSTRUCTURE', () => {
             it('should parse bodystructure object', () => {
                 expect(br._parseBODYSTRUCTURE(mimeTorture.source)).to.deep.equal(mimeTorture.parsed);
@@ -1688,6 +4097,213 @@
             });
         });
 
+        describe('#_buildSEARCHCommand with return options', () => {
+            it('should prepend RETURN before CHARSET', () => {
+                expect(br._buildSEARCHCommand({
+                    body: 'jõgeva'
+                }, {
+                    byUid: true,
+                    returnOptions: ['min', 'COUNT']
+                })).to.deep.equal({
+                    command: 'UID SEARCH',
+                    attributes: [{
+                            type: 'atom',
+                            value: 'RETURN'
+                        },
+                        [{
+                            type: 'atom',
+                            value: 'MIN'
+                        }, {
+                            type: 'atom',
+                            value: 'COUNT'
+                        }], {
+                            type: 'atom',
+                            value: 'CHARSET'
+                        }, {
+                            type: 'atom',
+                            value: 'UTF-8'
+                        }, {
+                            type: 'atom',
+                            value: 'BODY'
+                        }, {
+                            type: 'literal',
+                            value: 'jÃµgeva'
+                        }
+                    ]
+                });
+            });
+        });
+
+        describe('#_parseESEARCH', () => {
+            it('should parse ESEARCH response', () => {
+                expect(br._parseESEARCH({
+                    payload: {
+                        ESEARCH: [imapHandler.parser('* ESEARCH (TAG "W3") UID MIN 2 MAX 9 COUNT 5 ALL 2:4,7,9')]
+                    }
+                })).to.deep.equal({
+                    min: 2,
+                    max: 9,
+                    count: 5,
+                    all: '2:4,7,9'
+                });
+            });
+
+            it('should parse empty ESEARCH response', () => {
+                expect(br._parseESEARCH({
+                    payload: {
+                        ESEARCH: [imapHandler.parser('* ESEARCH (TAG "W3") UID')]
+                    }
+                })).to.deep.equal({});
+            });
+        });
+
+        describe('#_compressSequenceSet', () => {
+            it('should compress a sorted list', () => {
+                expect(br._compressSequenceSet([1, 2, 3, 5, 7, 8])).to.equal('1:3,5,7:8');
+                expect(br._compressSequenceSet([4])).to.equal('4');
+                expect(br._compressSequenceSet([])).to.equal('');
+            });
+        });
+
+        describe('#_buildSORTCommand', () => {
+            it('should compose a sort command', () => {
+                expect(br._buildSORTCommand(['reverse date', 'SUBJECT'], {
+                    unseen: true
+                }, {
+                    byUid: true
+                })).to.deep.equal({
+                    command: 'UID SORT',
+                    attributes: [
+                        [{
+                            type: 'atom',
+                            value: 'REVERSE'
+                        }, {
+                            type: 'atom',
+                            value: 'DATE'
+                        }, {
+                            type: 'atom',
+                            value: 'SUBJECT'
+                        }], {
+                            type: 'atom',
+                            value: 'UTF-8'
+                        }, {
+                            type: 'atom',
+                            value: 'UNSEEN'
+                        }
+                    ]
+                });
+            });
+
+            it('should compose an unicode sort command', () => {
+                expect(br._buildSORTCommand(['arrival'], {
+                    body: 'jõgeva'
+                }, {})).to.deep.equal({
+                    command: 'SORT',
+                    attributes: [
+                        [{
+                            type: 'atom',
+                            value: 'ARRIVAL'
+                        }], {
+                            type: 'atom',
+                            value: 'UTF-8'
+                        }, {
+                            type: 'atom',
+                            value: 'BODY'
+                        }, {
+                            type: 'literal',
+                            value: 'jÃµgeva'
+                        }
+                    ]
+                });
+            });
+        });
+
+        describe('#_buildTHREADCommand', () => {
+            it('should compose a thread command with ALL', () => {
+                expect(br._buildTHREADCommand('ORDEREDSUBJECT', null, {})).to.deep.equal({
+                    command: 'THREAD',
+                    attributes: [{
+                        type: 'atom',
+                        value: 'ORDEREDSUBJECT'
+                    }, {
+                        type: 'atom',
+                        value: 'UTF-8'
+                    }, {
+                        type: 'atom',
+                        value: 'ALL'
+                    }]
+                });
+            });
+        });
+
+        describe('#_parseSORT', () => {
+            it('should parse SORT response and keep the order', () => {
+                expect(br._parseSORT({
+                    payload: {
+                        SORT: [imapHandler.parser('* SORT 5 3 4')]
+                    }
+                })).to.deep.equal([5, 3, 4]);
+            });
+
+            it('should parse empty SORT response', () => {
+                expect(br._parseSORT({
+                    payload: {
+                        SORT: [imapHandler.parser('* SORT')]
+                    }
+                })).to.deep.equal([]);
+            });
+        });
+
+        describe('#_parseTHREAD', () => {
+            it('should parse THREAD response', () => {
+                expect(br._parseTHREAD({
+                    payload: {
+                        THREAD: [imapHandler.parser('* THREAD (2)(3 6 (4 23)(44 7 96))')]
+                    }
+                })).to.deep.equal([{
+                    id: 2,
+                    children: []
+                }, {
+                    id: 3,
+                    children: [{
+                        id: 6,
+                        children: [{
+                            id: 4,
+                            children: [{
+                                id: 23,
+                                children: []
+                            }]
+                        }, {
+                            id: 44,
+                            children: [{
+                                id: 7,
+                                children: [{
+                                    id: 96,
+                                    children: []
+                                }]
+                            }]
+                        }]
+                    }]
+                }]);
+            });
+
+            it('should parse threads with a missing parent', () => {
+                expect(br._parseTHREAD({
+                    payload: {
+                        THREAD: [imapHandler.parser('* THREAD ((3)(5))')]
+                    }
+                })).to.deep.equal([{
+                    children: [{
+                        id: 3,
+                        children: []
+                    }, {
+                        id: 5,
+                        children: []
+                    }]
+                }]);
+            });
+        });
+
         describe('#_parseSEARCH', () => {
             it('should parse SEARCH response', () => {
                 expect(br._parseSEARCH({
@@ -1719,6 +4335,17 @@
             });
         });
 
+        describe('#_expandSequenceSet', () => {
+            it('should expand ranges', () => {
+                expect(br._expandSequenceSet('1,3:5,9:7')).to.deep.equal([1, 3, 4, 5, 7, 8, 9]);
+            });
+
+            it('should ignore unbounded ranges', () => {
+                expect(br._expandSequenceSet('2,10:*')).to.deep.equal([2]);
+                expect(br._expandSequenceSet('')).to.deep.equal([]);
+            });
+        });
+
         describe('#_buildSTORECommand', () => {
             it('should compose a store command from an array', () => {
                 expect(br._buildSTORECommand('1,2,3', 'FLAGS', ['a', 'b'], {})).to.deep.equal({
@@ -1998,12 +4625,6 @@
             });
         });
 
-        describe('#_buildXOAuth2Token', () => {
-            it('should return base64 encoded XOAUTH2 token', () => {
-                expect(br._buildXOAuth2Token('user@host', 'abcde')).to.equal('dXNlcj11c2VyQGhvc3QBYXV0aD1CZWFyZXIgYWJjZGUBAQ==');
-            });
-        });
-
         describe('untagged updates', () => {
             it('should receive information about untagged exists', (done) => {
                 br.client._connectionReady = true;
@@ -2035,6 +4656,21 @@
                 });
             });
 
+            it('should receive information about untagged vanished', (done) => {
+                br.client._connectionReady = true;
+                br._selectedMailbox = 'FOO';
+                br.onupdate = (path, type, value) => {
+                    expect(path).to.equal('FOO');
+                    expect(type).to.equal('vanished');
+                    expect(value).to.deep.equal([1, 2, 3]);
+                    done();
+                };
+                br.client._onData({
+                    /* * VANISHED 1:3\r\n */
+                    data: new Uint8Array([42, 32, 86, 65, 78, 73, 83, 72, 69, 68, 32, 49, 58, 51, 13, 10]).buffer
+                });
+            });
+
             it('should receive information about untagged fetch', (done) => {
                 br.client._connectionReady = true;
                 br._selectedMailbox = 'FOO';